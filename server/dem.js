@@ -0,0 +1,312 @@
+// Local DEM store for the proxy.
+// Serves elevations from SRTM .hgt tiles and single-band GeoTIFFs (geographic lat/lon rasters) dropped
+// into a directory, so terrain can be built offline and without OpenTopoData rate limits.
+// Rasters are decoded on first use and kept in a small LRU cache.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// --- SRTM .hgt
+
+// N21E105.hgt -> south-west corner { lat: 21, lon: 105 }
+function parseHgtName(name) {
+  const m = /^([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name);
+  if (!m) return null;
+  const lat = parseInt(m[2], 10) * (m[1].toUpperCase() === 'S' ? -1 : 1);
+  const lon = parseInt(m[4], 10) * (m[3].toUpperCase() === 'W' ? -1 : 1);
+  return { lat, lon };
+}
+
+// .hgt files are square grids of big-endian int16 samples (1201x1201 for 3", 3601x3601 for 1"),
+// row 0 is the north edge and samples sit on the whole-degree tile corners
+function readHgt(buf, corner) {
+  const size = Math.round(Math.sqrt(buf.length / 2));
+  if (size * size * 2 !== buf.length) throw new Error(`Not an SRTM .hgt tile (${buf.length} bytes)`);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) data[i] = buf.readInt16BE(i * 2);
+  const res = 1 / (size - 1);
+  return { width: size, height: size, x0: corner.lon, y0: corner.lat + 1, resX: res, resY: res, data, nodata: -32768, halfPixel: false };
+}
+
+// --- GeoTIFF (baseline TIFF + GeoTIFF tags; uncompressed, LZW or Deflate; strips or tiles)
+
+const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function readTiffValue(buf, le, type, off) {
+  switch (type) {
+    case 1: case 2: case 7: return buf.readUInt8(off);
+    case 6: return buf.readInt8(off);
+    case 3: return le ? buf.readUInt16LE(off) : buf.readUInt16BE(off);
+    case 8: return le ? buf.readInt16LE(off) : buf.readInt16BE(off);
+    case 4: return le ? buf.readUInt32LE(off) : buf.readUInt32BE(off);
+    case 9: return le ? buf.readInt32LE(off) : buf.readInt32BE(off);
+    case 11: return le ? buf.readFloatLE(off) : buf.readFloatBE(off);
+    case 12: return le ? buf.readDoubleLE(off) : buf.readDoubleBE(off);
+    case 5: case 10: {
+      const rd = type === 5 ? (le ? 'readUInt32LE' : 'readUInt32BE') : (le ? 'readInt32LE' : 'readInt32BE');
+      return buf[rd](off) / buf[rd](off + 4);
+    }
+    default: throw new Error(`Unsupported TIFF field type ${type}`);
+  }
+}
+
+// First IFD as { tag: value | [values] | string }
+function readTiffTags(buf) {
+  const order = buf.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+  const le = order === 'II';
+  const magic = le ? buf.readUInt16LE(2) : buf.readUInt16BE(2);
+  if (magic === 43) throw new Error('BigTIFF is not supported');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+  const ifd = le ? buf.readUInt32LE(4) : buf.readUInt32BE(4);
+  const count = le ? buf.readUInt16LE(ifd) : buf.readUInt16BE(ifd);
+  const tags = {};
+  for (let k = 0; k < count; k++) {
+    const e = ifd + 2 + k * 12;
+    const tag = le ? buf.readUInt16LE(e) : buf.readUInt16BE(e);
+    const type = le ? buf.readUInt16LE(e + 2) : buf.readUInt16BE(e + 2);
+    const n = le ? buf.readUInt32LE(e + 4) : buf.readUInt32BE(e + 4);
+    const size = TIFF_TYPE_SIZE[type];
+    if (!size) continue;
+    const off = size * n <= 4 ? e + 8 : (le ? buf.readUInt32LE(e + 8) : buf.readUInt32BE(e + 8));
+    if (type === 2) { tags[tag] = buf.toString('latin1', off, off + n).replace(/\0+$/, ''); continue; }
+    const vals = new Array(n);
+    for (let i = 0; i < n; i++) vals[i] = readTiffValue(buf, le, type, off + i * size);
+    tags[tag] = n === 1 ? vals[0] : vals;
+  }
+  return { tags, le };
+}
+
+// TIFF LZW: MSB-first codes, 256 = clear, 257 = end, code width grows one code early
+function decodeLzw(input) {
+  const out = [];
+  let dict = [], width = 9, bitPos = 0, prev = null;
+  const reset = () => { dict = []; for (let i = 0; i < 256; i++) dict.push([i]); dict.push(null, null); width = 9; };
+  reset();
+  const totalBits = input.length * 8;
+  while (bitPos + width <= totalBits) {
+    let code = 0;
+    for (let b = 0; b < width; b++, bitPos++) code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    if (code === 256) { reset(); prev = null; continue; }
+    if (code === 257) break;
+    let entry;
+    if (code < dict.length && dict[code]) entry = dict[code];
+    else if (prev) entry = prev.concat(prev[0]);
+    else throw new Error('Corrupt LZW data');
+    for (const v of entry) out.push(v);
+    if (prev) dict.push(prev.concat(entry[0]));
+    prev = entry;
+    if (dict.length + 1 >= (1 << width) && width < 12) width++;
+  }
+  return Buffer.from(out);
+}
+
+function decompressChunk(chunk, compression) {
+  if (compression === 1) return chunk;
+  if (compression === 5) return decodeLzw(chunk);
+  if (compression === 8 || compression === 32946) return zlib.inflateSync(chunk);
+  throw new Error(`Unsupported GeoTIFF compression ${compression}`);
+}
+
+// GeoKeyDirectory -> { keyId: value } (only keys stored inline are needed here)
+function readGeoKeys(dir) {
+  const keys = {};
+  if (!Array.isArray(dir)) return keys;
+  for (let i = 4; i + 3 < dir.length; i += 4) if (dir[i + 1] === 0) keys[dir[i]] = dir[i + 3];
+  return keys;
+}
+
+function readGeoTiff(buf) {
+  const { tags, le } = readTiffTags(buf);
+  const width = tags[256], height = tags[257];
+  const bits = Array.isArray(tags[258]) ? tags[258][0] : (tags[258] || 8);
+  const samples = tags[277] || 1;
+  const format = Array.isArray(tags[339]) ? tags[339][0] : (tags[339] || 1);
+  const compression = tags[259] || 1;
+  const predictor = tags[317] || 1;
+  if (samples !== 1 && tags[284] !== 2) throw new Error('Only single-band GeoTIFFs are supported');
+  if (predictor === 3) throw new Error('Floating point predictor is not supported');
+
+  const geoKeys = readGeoKeys(tags[34735]);
+  if (geoKeys[1024] && geoKeys[1024] !== 2) throw new Error('GeoTIFF must use geographic (lat/lon) coordinates');
+  let resX, resY, tieX, tieY;
+  if (tags[33550] && tags[33922]) {
+    [resX, resY] = tags[33550];
+    const tp = tags[33922];
+    tieX = tp[3] - tp[0] * resX;
+    tieY = tp[4] + tp[1] * resY;
+  } else if (Array.isArray(tags[34264])) {
+    const m = tags[34264];
+    if (m[1] !== 0 || m[4] !== 0) throw new Error('Rotated GeoTIFFs are not supported');
+    resX = m[0]; resY = -m[5]; tieX = m[3]; tieY = m[7];
+  } else throw new Error('GeoTIFF has no georeferencing tags');
+  // PixelIsPoint rasters are referenced to pixel centres, PixelIsArea (default) to pixel corners
+  const halfPixel = geoKeys[1025] !== 2;
+
+  const bytesPer = bits / 8;
+  const reader = {
+    '1:8': (b, o) => b.readUInt8(o), '2:8': (b, o) => b.readInt8(o),
+    '1:16': (b, o) => le ? b.readUInt16LE(o) : b.readUInt16BE(o), '2:16': (b, o) => le ? b.readInt16LE(o) : b.readInt16BE(o),
+    '1:32': (b, o) => le ? b.readUInt32LE(o) : b.readUInt32BE(o), '2:32': (b, o) => le ? b.readInt32LE(o) : b.readInt32BE(o),
+    '3:32': (b, o) => le ? b.readFloatLE(o) : b.readFloatBE(o), '3:64': (b, o) => le ? b.readDoubleLE(o) : b.readDoubleBE(o),
+  }[`${format}:${bits}`];
+  if (!reader) throw new Error(`Unsupported GeoTIFF sample type (format ${format}, ${bits} bits)`);
+
+  const data = new Float32Array(width * height);
+  const tiled = !!tags[322];
+  const blockW = tiled ? tags[322] : width;
+  const blockH = tiled ? tags[323] : (tags[278] || height);
+  const offsets = [].concat(tiled ? tags[324] : tags[273]);
+  const counts = [].concat(tiled ? tags[325] : tags[279]);
+  const across = Math.ceil(width / blockW);
+  for (let k = 0; k < offsets.length; k++) {
+    const raw = decompressChunk(buf.subarray(offsets[k], offsets[k] + counts[k]), compression);
+    const bx = tiled ? (k % across) * blockW : 0;
+    const by = tiled ? Math.floor(k / across) * blockH : k * blockH;
+    const rows = Math.min(blockH, height - by);
+    for (let r = 0; r < rows; r++) {
+      let acc = 0;
+      for (let c = 0; c < blockW; c++) {
+        const o = (r * blockW + c) * bytesPer;
+        if (o + bytesPer > raw.length) break;
+        let v = reader(raw, o);
+        // horizontal differencing predictor (integer samples)
+        if (predictor === 2) { v = c === 0 ? v : acc + v; if (bits <= 32) v = format === 2 ? (v << (32 - bits)) >> (32 - bits) : (v & (2 ** bits - 1)) >>> 0; acc = v; }
+        const x = bx + c;
+        if (x < width) data[(by + r) * width + x] = v;
+      }
+    }
+  }
+  const nodata = tags[42113] !== undefined && tags[42113] !== '' ? parseFloat(tags[42113]) : null;
+  const off = halfPixel ? 0.5 : 0;
+  return { width, height, x0: tieX + off * resX, y0: tieY - off * resY, resX, resY, data, nodata, halfPixel };
+}
+
+// --- Sampling
+
+function rasterValue(r, col, row) {
+  col = Math.max(0, Math.min(r.width - 1, col));
+  row = Math.max(0, Math.min(r.height - 1, row));
+  const v = r.data[row * r.width + col];
+  if (!Number.isFinite(v) || (r.nodata !== null && v === r.nodata)) return null;
+  return v;
+}
+
+function bilinear(r, fx, fy) {
+  const c0 = Math.floor(fx), r0 = Math.floor(fy);
+  const tx = fx - c0, ty = fy - r0;
+  let sum = 0, wsum = 0;
+  for (const [dc, dr, w] of [[0, 0, (1 - tx) * (1 - ty)], [1, 0, tx * (1 - ty)], [0, 1, (1 - tx) * ty], [1, 1, tx * ty]]) {
+    const v = rasterValue(r, c0 + dc, r0 + dr);
+    if (v === null || w === 0) continue;
+    sum += v * w; wsum += w;
+  }
+  // voids are skipped rather than pulling the surface towards the nodata value
+  return wsum > 0 ? sum / wsum : null;
+}
+
+// Catmull-Rom weights for offset t in [0, 1)
+function cubicWeights(t) {
+  const t2 = t * t, t3 = t2 * t;
+  return [(-t3 + 2 * t2 - t) / 2, (3 * t3 - 5 * t2 + 2) / 2, (-3 * t3 + 4 * t2 + t) / 2, (t3 - t2) / 2];
+}
+
+function bicubic(r, fx, fy) {
+  const c0 = Math.floor(fx), r0 = Math.floor(fy);
+  const wx = cubicWeights(fx - c0), wy = cubicWeights(fy - r0);
+  let sum = 0;
+  for (let j = 0; j < 4; j++) {
+    for (let i = 0; i < 4; i++) {
+      const v = rasterValue(r, c0 - 1 + i, r0 - 1 + j);
+      if (v === null) return bilinear(r, fx, fy);
+      sum += v * wx[i] * wy[j];
+    }
+  }
+  return sum;
+}
+
+// Elevation at lat/lon, or null outside the raster / on a void
+function sampleRaster(r, lat, lon, interpolation) {
+  const fx = (lon - r.x0) / r.resX;
+  const fy = (r.y0 - lat) / r.resY;
+  if (interpolation === 'nearest') return rasterValue(r, Math.round(fx), Math.round(fy));
+  if (interpolation === 'cubic') return bicubic(r, fx, fy);
+  return bilinear(r, fx, fy);
+}
+
+// --- Directory index
+
+const DEM_EXTENSIONS = ['.hgt', '.tif', '.tiff'];
+
+// Store over every DEM file in `dir`. The directory is rescanned when its contents change.
+// cacheSize: number of decoded rasters kept in memory.
+export function createDemStore(dir, { cacheSize = 8 } = {}) {
+  let index = [];
+  let scannedMtime = null;
+  const cache = new Map();
+
+  function rescan() {
+    let st;
+    try { st = fs.statSync(dir); } catch (e) { index = []; scannedMtime = null; return; }
+    if (scannedMtime === st.mtimeMs) return;
+    scannedMtime = st.mtimeMs;
+    cache.clear();
+    index = [];
+    for (const name of fs.readdirSync(dir)) {
+      const ext = path.extname(name).toLowerCase();
+      if (!DEM_EXTENSIONS.includes(ext)) continue;
+      const file = path.join(dir, name);
+      try {
+        if (ext === '.hgt') {
+          const corner = parseHgtName(name);
+          if (!corner) { console.warn(`dem: skipping ${name} (expected a name like N21E105.hgt)`); continue; }
+          index.push({ file, bounds: [corner.lat, corner.lon, corner.lat + 1, corner.lon + 1], load: (buf) => readHgt(buf, corner) });
+        } else {
+          // decode once to learn the extent; the raster is kept since it is likely to be sampled next
+          const r = readGeoTiff(fs.readFileSync(file));
+          const half = r.halfPixel ? 0.5 : 0;
+          const w = r.x0 - half * r.resX, n = r.y0 + half * r.resY;
+          const e = r.x0 + (r.width - 1 + half) * r.resX, s = r.y0 - (r.height - 1 + half) * r.resY;
+          index.push({ file, bounds: [s, w, n, e], load: readGeoTiff });
+          remember(file, r);
+        }
+      } catch (err) {
+        console.warn(`dem: skipping ${name}: ${err.message}`);
+      }
+    }
+  }
+
+  function remember(file, raster) {
+    cache.delete(file);
+    cache.set(file, raster);
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+
+  function raster(entry) {
+    let r = cache.get(entry.file);
+    if (!r) r = entry.load(fs.readFileSync(entry.file));
+    remember(entry.file, r);
+    return r;
+  }
+
+  function findEntry(lat, lon) {
+    return index.find(({ bounds: [s, w, n, e] }) => lat >= s && lat <= n && lon >= w && lon <= e) || null;
+  }
+
+  return {
+    // true when at least one DEM file is available
+    hasData() { rescan(); return index.length > 0; },
+    // true when every {lat, lon} falls inside a DEM file
+    covers(points) { rescan(); return points.every(p => findEntry(p.lat, p.lon) !== null); },
+    // interpolation: 'nearest' | 'bilinear' | 'cubic' (OpenTopoData names); null where there is no data
+    sample(lat, lon, interpolation = 'bilinear') {
+      rescan();
+      const entry = findEntry(lat, lon);
+      if (!entry) return null;
+      const v = sampleRaster(raster(entry), lat, lon, interpolation);
+      return v === null ? null : Math.round(v * 100) / 100;
+    },
+    files() { rescan(); return index.map(e => ({ file: path.basename(e.file), bounds: e.bounds })); },
+  };
+}
@@ -0,0 +1,95 @@
+// Persistent elevation point cache and upstream throttling for the proxy.
+// Sampled points are stored per dataset and interpolation in 0.1° shards under the cache directory,
+// keyed by lat/lon rounded to 6 decimals, so repeated scans of an area never hit OpenTopoData again.
+
+import fs from 'fs';
+import path from 'path';
+
+const SHARD_DEG = 0.1;
+
+function pointKey(lat, lon) {
+  return `${lat.toFixed(6)},${lon.toFixed(6)}`;
+}
+
+function safeName(s) {
+  return String(s).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// Cache of sampled elevations. get() returns undefined for points never sampled (a cached null means
+// the provider has no data there). Changes are kept in memory until flush(); at most maxShards shards stay
+// loaded, the least recently used one being written out (if changed) and dropped when another is needed.
+export function createPointCache(dir, { maxShards = 64 } = {}) {
+  const shards = new Map();
+
+  // write a changed shard (temp file + rename so a crash never leaves a truncated shard)
+  function write(sh) {
+    if (!sh.dirty) return;
+    const tmp = `${sh.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(sh.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(sh.values));
+      fs.renameSync(tmp, sh.file);
+      sh.dirty = false;
+    } catch (e) { try { fs.unlinkSync(tmp); } catch (e2) { } }
+  }
+
+  function shard(dataset, interpolation, lat, lon) {
+    const cell = `${Math.floor(Number(lat.toFixed(6)) / SHARD_DEG)}_${Math.floor(Number(lon.toFixed(6)) / SHARD_DEG)}`;
+    const file = path.join(dir, safeName(dataset), safeName(interpolation), `${cell}.json`);
+    let sh = shards.get(file);
+    if (!sh) {
+      let values = {};
+      try { values = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { }
+      sh = { file, values, dirty: false };
+    }
+    shards.delete(file);
+    shards.set(file, sh);
+    while (shards.size > maxShards) {
+      const [oldest, old] = shards.entries().next().value;
+      write(old);
+      shards.delete(oldest);
+    }
+    return sh;
+  }
+
+  return {
+    get(dataset, interpolation, lat, lon) {
+      return shard(dataset, interpolation, lat, lon).values[pointKey(lat, lon)];
+    },
+    set(dataset, interpolation, lat, lon, elevation) {
+      const sh = shard(dataset, interpolation, lat, lon);
+      sh.values[pointKey(lat, lon)] = elevation;
+      sh.dirty = true;
+    },
+    flush() {
+      for (const sh of shards.values()) write(sh);
+    },
+    get size() { return shards.size; },
+  };
+}
+
+// Run async tasks one at a time with at least minIntervalMs between the end of one and the start of the next,
+// so concurrent requests together stay under a provider's per-second limit.
+export function createThrottle(minIntervalMs) {
+  let chain = Promise.resolve();
+  let nextAt = 0;
+  return function schedule(task) {
+    const run = chain.then(async () => {
+      const wait = nextAt - Date.now();
+      if (wait > 0) await new Promise(res => setTimeout(res, wait));
+      try { return await task(); } finally { nextAt = Date.now() + minIntervalMs; }
+    });
+    chain = run.catch(() => { });
+    return run;
+  };
+}
+
+// Lats (south to north) and lons (west to east) of an nx x ny grid spanning bbox [s, w, n, e],
+// computed exactly like the client so cache keys line up
+export function gridAxes(bbox, nx, ny) {
+  const [s, w, n, e] = bbox;
+  const lats = new Array(ny), lons = new Array(nx);
+  for (let j = 0; j < ny; j++) lats[j] = s + (n - s) * (j / (ny - 1));
+  for (let i = 0; i < nx; i++) lons[i] = w + (e - w) * (i / (nx - 1));
+  return { lats, lons };
+}
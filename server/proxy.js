@@ -3,7 +3,11 @@ import fetch from 'node-fetch';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import FormData from 'form-data';
+import { readOsmFile, OSM_XML_MAX_BYTES } from '../src/osmImport.js';
+import { createDemStore } from './dem.js';
+import { createPointCache, createThrottle, gridAxes } from './elevation.js';
 
 const app = express();
 app.use(express.json());
@@ -18,7 +22,118 @@ app.use((req, res, next) => {
   next();
 });
 
-const OPENTOPO_HOST = 'https://api.opentopodata.org/v1';
+const OPENTOPO_HOST = process.env.OPENTOPO_HOST || 'https://api.opentopodata.org/v1';
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+
+// On-disk cache for Overpass responses.
+// OVERPASS_CACHE_TTL: seconds before a cached response is refetched (0 = never expires).
+// OVERPASS_OFFLINE=1: cache-only mode, never contact the Overpass server (also per request via ?offline=1).
+const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), 'server', 'cache');
+const OVERPASS_CACHE_DIR = path.join(CACHE_DIR, 'overpass');
+const OVERPASS_CACHE_TTL = parseInt(process.env.OVERPASS_CACHE_TTL || '86400', 10);
+const OVERPASS_OFFLINE = process.env.OVERPASS_OFFLINE === '1' || process.env.OVERPASS_OFFLINE === 'true';
+try { fs.mkdirSync(OVERPASS_CACHE_DIR, { recursive: true }); } catch (e) { }
+
+// Local DEM files (SRTM .hgt tiles named like N21E105.hgt, single-band lat/lon GeoTIFFs) in DEM_DIR.
+// DEM_MODE=auto (default): answer /opentopo locally when every requested point is covered, else forward upstream.
+// DEM_MODE=only: never contact OpenTopoData (uncovered points get null). DEM_MODE=off: always forward.
+// The dataset name "local" forces local answers regardless of DEM_MODE.
+const DEM_DIR = process.env.DEM_DIR || path.join(process.cwd(), 'server', 'dem');
+const DEM_MODE = (process.env.DEM_MODE || 'auto').toLowerCase();
+const demStore = createDemStore(DEM_DIR, { cacheSize: parseInt(process.env.DEM_CACHE_SIZE || '8', 10) });
+
+// "lat,lon|lat,lon" -> [{ lat, lon }]; null when malformed
+function parseLocations(str) {
+  if (!str) return null;
+  const pts = String(str).split('|').map(s => s.split(',').map(Number));
+  if (pts.some(p => p.length !== 2 || !p.every(Number.isFinite))) return null;
+  return pts.map(([lat, lon]) => ({ lat, lon }));
+}
+
+const INTERPOLATIONS = ['nearest', 'bilinear', 'cubic'];
+
+// Elevations of points from the local DEM store, or null when the request should go upstream
+function localElevations(dataset, points, interpolation) {
+  const forced = dataset === 'local';
+  if (!forced && DEM_MODE === 'off') return null;
+  if (!forced && DEM_MODE !== 'only' && !(demStore.hasData() && demStore.covers(points))) return null;
+  const interp = INTERPOLATIONS.includes(interpolation) ? interpolation : 'bilinear';
+  return points.map(p => demStore.sample(p.lat, p.lon, interp));
+}
+
+// OpenTopoData-shaped response body for points and their elevations (results list, or GeoJSON with format=geojson)
+function elevationResponseBody(dataset, points, elevations, format) {
+  if (format === 'geojson') {
+    return {
+      type: 'FeatureCollection',
+      features: points.map((p, i) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [p.lon, p.lat] }, properties: { dataset, elevation: elevations[i] } })),
+    };
+  }
+  return { results: points.map((p, i) => ({ dataset, elevation: elevations[i], location: { lat: p.lat, lng: p.lon } })), status: 'OK' };
+}
+
+// Elevation point cache and OpenTopoData throttling shared by /opentopo and /elevation/grid.
+// OPENTOPO_MIN_INTERVAL_MS: pause between upstream calls (public API: 1 call per second).
+// OPENTOPO_BATCH: locations per upstream call (public API: 100). ELEVATION_GRID_MAX_POINTS caps nx * ny.
+// ELEVATION_CACHE_SHARDS: 0.1° cache shards kept in memory (least recently used ones are dropped).
+const ELEVATION_CACHE_DIR = path.join(CACHE_DIR, 'elevation');
+const OPENTOPO_MIN_INTERVAL_MS = parseInt(process.env.OPENTOPO_MIN_INTERVAL_MS || '1000', 10);
+const OPENTOPO_BATCH = parseInt(process.env.OPENTOPO_BATCH || '100', 10);
+const ELEVATION_GRID_MAX_POINTS = parseInt(process.env.ELEVATION_GRID_MAX_POINTS || '40000', 10);
+const pointCache = createPointCache(ELEVATION_CACHE_DIR, { maxShards: parseInt(process.env.ELEVATION_CACHE_SHARDS || '64', 10) });
+const opentopoThrottle = createThrottle(OPENTOPO_MIN_INTERVAL_MS);
+
+// One throttled OpenTopoData call; rate-limit answers are retried with backoff
+async function fetchOpenTopoBatch(dataset, points, interpolation) {
+  const body = new URLSearchParams({ locations: points.map(p => `${p.lat.toFixed(6)},${p.lon.toFixed(6)}`).join('|'), interpolation });
+  for (let attempt = 0; ; attempt++) {
+    const r = await opentopoThrottle(() => fetch(`${OPENTOPO_HOST}/${encodeURIComponent(dataset)}`, {
+      method: 'POST',
+      body: body.toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    }));
+    if (r.status === 429 && attempt < 3) { await new Promise(res => setTimeout(res, 2000 * (attempt + 1))); continue; }
+    const data = await r.json();
+    if (!r.ok || !Array.isArray(data.results) || data.results.length !== points.length) {
+      throw new Error(`OpenTopoData ${dataset}: ${data.error || r.status}`);
+    }
+    return data.results.map(res => (typeof res.elevation === 'number' ? res.elevation : null));
+  }
+}
+
+// Elevations for points: local DEM first, then the point cache, then throttled upstream calls for the rest.
+// Returns { elevations, source, cached, fetched }.
+async function sampleElevations(dataset, points, interpolation) {
+  const local = localElevations(dataset, points, interpolation);
+  if (local) return { elevations: local, source: 'local', cached: 0, fetched: 0 };
+  const interp = INTERPOLATIONS.includes(interpolation) ? interpolation : 'cubic';
+  const elevations = new Array(points.length);
+  const missing = [];
+  points.forEach((p, k) => {
+    const v = pointCache.get(dataset, interp, p.lat, p.lon);
+    if (v === undefined) missing.push(k); else elevations[k] = v;
+  });
+  try {
+    for (let b = 0; b < missing.length; b += OPENTOPO_BATCH) {
+      const idx = missing.slice(b, b + OPENTOPO_BATCH);
+      const vals = await fetchOpenTopoBatch(dataset, idx.map(k => points[k]), interp);
+      idx.forEach((k, m) => { elevations[k] = vals[m]; pointCache.set(dataset, interp, points[k].lat, points[k].lon, vals[m]); });
+    }
+  } finally {
+    // keep whatever was fetched even when a later batch fails
+    pointCache.flush();
+  }
+  return { elevations, source: missing.length ? 'opentopodata' : 'cache', cached: points.length - missing.length, fetched: missing.length };
+}
+
+// Basemap tiles for draping on the 3D terrain, cached on disk under server/cache/tiles.
+// TILE_URL: upstream XYZ template ({s} is replaced by a, b or c). TILE_DIR: local {z}/{x}/{y}.png|jpg tree
+// checked first (a stand-in when offline). TILES_OFFLINE=1 (or ?offline=1): never contact the tile server.
+const TILE_URL = process.env.TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_DIR = process.env.TILE_DIR || path.join(process.cwd(), 'server', 'tiles');
+const TILE_CACHE_DIR = path.join(CACHE_DIR, 'tiles');
+const TILES_OFFLINE = process.env.TILES_OFFLINE === '1' || process.env.TILES_OFFLINE === 'true';
+const tileThrottle = createThrottle(parseInt(process.env.TILE_MIN_INTERVAL_MS || '50', 10));
 
 // Ensure upload directory exists
 const UPLOAD_DIR = path.join(process.cwd(), 'server', 'uploads');
@@ -30,38 +145,220 @@ const storage = multer.diskStorage({
   filename: function (req, file, cb) { const safe = Date.now() + '-' + (file.originalname || 'upload'); cb(null, safe); }
 });
 const upload = multer({ storage, limits: { fileSize: 20 * 1024 * 1024 } }); // 20MB limit
+// OSM extracts can be much larger than images; OSM_IMPORT_MAX_MB sets the limit (default 256MB).
+// The whole file is read into memory, so raise it only as far as the machine allows.
+const OSM_IMPORT_MAX_MB = parseInt(process.env.OSM_IMPORT_MAX_MB || '256', 10);
+const osmUpload = multer({ storage, limits: { fileSize: OSM_IMPORT_MAX_MB * 1024 * 1024 } });
+// Multer fails oversize uploads with an error that Express would answer with a 500 page
+function osmUploadFile(req, res, next) {
+  osmUpload.single('file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `OSM file larger than ${OSM_IMPORT_MAX_MB}MB (set OSM_IMPORT_MAX_MB to raise the limit)` });
+    next(err);
+  });
+}
 
+// OpenTopoData-compatible point lookup (GET query or POST JSON / form body: locations, dataset, interpolation,
+// format). Answered like /elevation/grid: local DEM, then the point cache, then throttled upstream calls.
 app.all('/opentopo', async (req, res) => {
   try {
-    if (req.method === 'GET') {
-      // Forward query params; allow dataset override via ?dataset=NAME
-      const params = new URLSearchParams(req.query);
-      const dataset = req.query.dataset || 'srtm90m';
-      const url = `${OPENTOPO_HOST}/${encodeURIComponent(dataset)}?${params.toString()}`;
-      const r = await fetch(url);
-      const data = await r.json();
-      return res.json(data);
+    const q = { ...req.query, ...(req.method === 'GET' ? {} : (req.body || {})) };
+    const locations = q.locations || (Array.isArray(q.locationsArr) ? q.locationsArr.join('|') : '');
+    const points = parseLocations(locations);
+    if (!points) return res.status(400).json({ error: 'Invalid locations (expected lat,lon|lat,lon)', status: 'INVALID_REQUEST' });
+    const dataset = q.dataset || 'srtm90m';
+    // OpenTopoData interpolates bilinearly unless asked otherwise
+    const { elevations, source } = await sampleElevations(dataset, points, q.interpolation || 'bilinear');
+    res.setHeader('X-Elevation-Source', source);
+    return res.json(elevationResponseBody(source === 'local' ? 'local' : dataset, points, elevations, q.format));
+  } catch (err) {
+    console.error('Proxy error', err);
+    return res.status(502).json({ error: String(err.message || err), status: 'SERVER_ERROR' });
+  }
+});
+
+// Full height matrix of an nx x ny grid over bbox=south,west,north,east in one response.
+// Query/body: bbox, nx, ny, dataset (default srtm90m), interpolation (default cubic).
+// heights[j][i] is the elevation at lats[j] (south to north), lons[i] (west to east); null where there is no data.
+app.all('/elevation/grid', async (req, res) => {
+  try {
+    const q = { ...req.query, ...(req.body || {}) };
+    const bbox = String(q.bbox || '').split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some(v => !Number.isFinite(v)) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+      return res.status(400).json({ error: 'bbox must be south,west,north,east' });
     }
+    const nx = parseInt(q.nx, 10), ny = parseInt(q.ny, 10);
+    if (!(nx >= 2 && ny >= 2)) return res.status(400).json({ error: 'nx and ny must be at least 2' });
+    if (nx * ny > ELEVATION_GRID_MAX_POINTS) return res.status(400).json({ error: `Grid too large (max ${ELEVATION_GRID_MAX_POINTS} points)` });
+    const dataset = q.dataset || 'srtm90m';
+    const { lats, lons } = gridAxes(bbox, nx, ny);
+    const points = [];
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) points.push({ lat: lats[j], lon: lons[i] });
 
-    // For POST: accept JSON or form-encoded with 'locations' and 'interpolation'
-  // For POST: accept JSON or form-encoded with 'locations', 'interpolation', 'format', etc.
-  const body = new URLSearchParams();
-  if (req.body.locations) body.append('locations', req.body.locations);
-  else if (req.body.locationsArr && Array.isArray(req.body.locationsArr)) body.append('locations', req.body.locationsArr.join('|'));
-  if (req.body.interpolation) body.append('interpolation', req.body.interpolation);
-  if (req.body.format) body.append('format', req.body.format);
-  const dataset = (req.body.dataset || req.query.dataset || 'srtm90m');
+    const { elevations, source, cached, fetched } = await sampleElevations(dataset, points, q.interpolation);
+    const heights = new Array(ny);
+    for (let j = 0; j < ny; j++) heights[j] = elevations.slice(j * nx, (j + 1) * nx);
+    res.setHeader('X-Elevation-Source', source);
+    return res.json({ bbox, nx, ny, dataset, lats, lons, heights, cached, fetched });
+  } catch (err) {
+    console.error('elevation grid error', err);
+    return res.status(502).json({ error: String(err.message || err) });
+  }
+});
 
-    const r = await fetch(`${OPENTOPO_HOST}/${encodeURIComponent(dataset)}`, {
-      method: 'POST',
-      body: body.toString(),
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    });
-    const data = await r.json();
+const TILE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+// XYZ tile: local tile directory, then the disk cache, then the upstream tile server
+app.get('/tiles/:z/:x/:y.png', async (req, res) => {
+  try {
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(v => parseInt(v, 10));
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 22 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+    for (const ext of ['png', 'jpg', 'jpeg']) {
+      const p = path.join(TILE_DIR, String(z), String(x), `${y}.${ext}`);
+      if (fs.existsSync(p)) { res.setHeader('X-Cache', 'LOCAL'); return res.sendFile(p); }
+    }
+    // cached tiles keep the extension of their content type so sendFile serves them with the right one
+    for (const ext of Object.values(TILE_EXTENSIONS)) {
+      const p = path.join(TILE_CACHE_DIR, String(z), String(x), `${y}.${ext}`);
+      if (fs.existsSync(p)) { res.setHeader('X-Cache', 'HIT'); return res.sendFile(p); }
+    }
+    if (TILES_OFFLINE || req.query.offline === '1' || req.query.offline === 'true') return res.status(504).json({ error: 'Offline mode: tile not cached' });
+
+    const url = TILE_URL.replace('{s}', 'abc'[(x + y) % 3]).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    // tile servers require an identifying User-Agent
+    const r = await tileThrottle(() => fetch(url, { headers: { 'User-Agent': 'map-look-proxy/1.0' } }));
+    if (!r.ok) return res.status(r.status).json({ error: `Tile server answered ${r.status}` });
+    const buf = Buffer.from(await r.arrayBuffer());
+    const contentType = (r.headers.get('content-type') || 'image/png').split(';')[0].trim().toLowerCase();
+    const cached = path.join(TILE_CACHE_DIR, String(z), String(x), `${y}.${TILE_EXTENSIONS[contentType] || 'png'}`);
+    const tmp = `${cached}.${process.pid}.tmp`;
+    try { fs.mkdirSync(path.dirname(cached), { recursive: true }); fs.writeFileSync(tmp, buf); fs.renameSync(tmp, cached); } catch (e) { try { fs.unlinkSync(tmp); } catch (e2) { } }
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('X-Cache', 'MISS');
+    return res.send(buf);
+  } catch (err) {
+    console.error('tile proxy error', err);
+    return res.status(502).json({ error: String(err) });
+  }
+});
+
+// Normalize an Overpass QL query so formatting differences map to the same cache entry
+function normalizeOverpassQuery(q) {
+  return String(q || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([;()\[\]{},:=])\s*/g, '$1')
+    .trim();
+}
+
+function overpassCachePath(query) {
+  const hash = crypto.createHash('sha256').update(normalizeOverpassQuery(query)).digest('hex');
+  return path.join(OVERPASS_CACHE_DIR, `${hash}.json`);
+}
+
+// Returns { body, ageSec } for a cached response, or null when there is none
+function readOverpassCache(query) {
+  const p = overpassCachePath(query);
+  try {
+    const st = fs.statSync(p);
+    return { body: fs.readFileSync(p, 'utf8'), ageSec: (Date.now() - st.mtimeMs) / 1000 };
+  } catch (e) { return null; }
+}
+
+function writeOverpassCache(query, body) {
+  const p = overpassCachePath(query);
+  // write to a temp file first so a crash never leaves a truncated cache entry
+  const tmp = `${p}.${process.pid}.tmp`;
+  try { fs.writeFileSync(tmp, body); fs.renameSync(tmp, p); } catch (e) { try { fs.unlinkSync(tmp); } catch (e2) { } }
+}
+
+// Overpass answers 200 with partial data and a "remark" when a query times out or runs out of memory.
+// Returns that remark for runtime errors, null otherwise (including bodies that are not JSON).
+function overpassRuntimeError(text) {
+  try {
+    const remark = JSON.parse(text).remark;
+    return typeof remark === 'string' && /runtime error/i.test(remark) ? remark : null;
+  } catch (e) { return null; }
+}
+
+// Overpass forwarding endpoint with on-disk cache.
+// Accepts the query as a raw text body, a form/JSON field 'data' or a GET ?data= parameter (same as the Overpass API).
+app.all('/overpass', express.text({ type: ['text/*', 'application/octet-stream'], limit: '2mb' }), async (req, res) => {
+  try {
+    let query = null;
+    if (typeof req.body === 'string' && req.body.trim()) query = req.body;
+    else if (req.body && typeof req.body.data === 'string') query = req.body.data;
+    else if (req.query.data) query = req.query.data;
+    if (!query) return res.status(400).json({ error: 'No Overpass query provided (send it as the request body or as "data")' });
+    // bodies posted as form data by browsers may still be prefixed with "data="
+    if (query.startsWith('data=')) query = decodeURIComponent(query.slice(5).replace(/\+/g, ' '));
+
+    const offline = OVERPASS_OFFLINE || req.query.offline === '1' || req.query.offline === 'true';
+    const cached = readOverpassCache(query);
+    const fresh = cached && (OVERPASS_CACHE_TTL <= 0 || cached.ageSec <= OVERPASS_CACHE_TTL);
+    res.setHeader('Content-Type', 'application/json');
+    if (cached && (fresh || offline)) {
+      res.setHeader('X-Cache', fresh ? 'HIT' : 'STALE');
+      return res.send(cached.body);
+    }
+    if (offline) return res.status(504).json({ error: 'Offline mode: query not in Overpass cache' });
+
+    let upstreamError = null;
+    try {
+      const r = await fetch(OVERPASS_URL, {
+        method: 'POST',
+        body: new URLSearchParams({ data: query }).toString(),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+      const text = await r.text();
+      const runtimeError = r.ok ? overpassRuntimeError(text) : null;
+      if (r.ok && !runtimeError) {
+        writeOverpassCache(query, text);
+        res.setHeader('X-Cache', 'MISS');
+        return res.send(text);
+      }
+      // a partial result is never cached; it is still returned when there is nothing older to fall back to
+      if (runtimeError && !cached) {
+        res.setHeader('X-Cache', 'MISS');
+        return res.send(text);
+      }
+      upstreamError = { status: r.status, text };
+    } catch (err) {
+      upstreamError = { status: 502, text: String(err) };
+    }
+    // upstream refused (rate limit / timeout) or returned partial data: an expired cache entry is better than nothing
+    if (cached) {
+      res.setHeader('X-Cache', 'STALE');
+      return res.send(cached.body);
+    }
+    return res.status(upstreamError.status || 502).json({ error: 'Overpass request failed', detail: upstreamError.text.slice(0, 500) });
+  } catch (err) {
+    console.error('overpass proxy error', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+// Offline OSM import: parse an uploaded .osm / .osm.pbf file (multipart field 'file'), clip it to
+// ?bbox=south,west,north,east and return Overpass-style JSON { elements, bounds }.
+// Use this for extracts too large to parse in the browser.
+app.post('/osm-import', osmUploadFile, async (req, res) => {
+  const filePath = req.file ? req.file.path : null;
+  try {
+    if (!filePath) return res.status(400).json({ error: 'No file uploaded (use field name "file")' });
+    if (!/\.pbf$/i.test(req.file.originalname || '') && req.file.size > OSM_XML_MAX_BYTES) {
+      return res.status(413).json({ error: '.osm XML files larger than 512MB cannot be read; convert it to .osm.pbf first (e.g. osmium cat file.osm -o file.osm.pbf)' });
+    }
+    const bboxParam = (req.body && req.body.bbox) || req.query.bbox || '';
+    const bbox = bboxParam ? String(bboxParam).split(',').map(Number) : null;
+    if (bbox && (bbox.length !== 4 || bbox.some(v => !Number.isFinite(v)))) return res.status(400).json({ error: 'bbox must be south,west,north,east' });
+    const data = await readOsmFile(req.file.originalname, fs.readFileSync(filePath), { bbox });
     return res.json(data);
   } catch (err) {
-    console.error('Proxy error', err);
+    console.error('osm-import error', err);
     return res.status(500).json({ error: String(err) });
+  } finally {
+    // extracts are only needed for this request
+    if (filePath) fs.unlink(filePath, () => { });
   }
 });
 
@@ -0,0 +1,128 @@
+// Contour lines from a regular height grid (marching squares)
+// heights[j][i] is sampled at lats[j] (south to north) and lons[i] (west to east). Lines come out in
+// fractional grid coordinates { i, j } and can be converted to lat/lon or GeoJSON.
+
+// Segments per marching-squares case. Corners: bit 1 = (i, j), 2 = (i+1, j), 4 = (i+1, j+1), 8 = (i, j+1).
+// Edges: 0 = bottom, 1 = right, 2 = top, 3 = left. Saddles (5, 10) are resolved by the cell centre.
+const CASES = {
+    1: [[3, 0]], 2: [[0, 1]], 3: [[3, 1]], 4: [[1, 2]], 6: [[0, 2]], 7: [[3, 2]], 8: [[2, 3]],
+    9: [[0, 2]], 11: [[1, 2]], 12: [[3, 1]], 13: [[0, 1]], 14: [[3, 0]],
+};
+
+function cellSegments(code, centreHigh) {
+    if (code === 5) return centreHigh ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+    if (code === 10) return centreHigh ? [[3, 0], [1, 2]] : [[0, 1], [2, 3]];
+    return CASES[code] || [];
+}
+
+// Join segments that share an edge crossing into polylines
+function stitch(segments, points) {
+    const byKey = new Map();
+    segments.forEach((s, k) => {
+        for (const key of s) {
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(k);
+        }
+    });
+    const used = new Array(segments.length).fill(false);
+    const next = (key, from) => (byKey.get(key) || []).find(k => k !== from && !used[k]);
+    const lines = [];
+    for (let k = 0; k < segments.length; k++) {
+        if (used[k]) continue;
+        used[k] = true;
+        const keys = [segments[k][0], segments[k][1]];
+        // grow forwards, then backwards from the first segment
+        for (let cur = k, key = keys[1]; ;) {
+            const n = next(key, cur);
+            if (n === undefined) break;
+            used[n] = true;
+            key = segments[n][0] === key ? segments[n][1] : segments[n][0];
+            keys.push(key);
+            cur = n;
+        }
+        for (let cur = k, key = keys[0]; ;) {
+            const n = next(key, cur);
+            if (n === undefined) break;
+            used[n] = true;
+            key = segments[n][0] === key ? segments[n][1] : segments[n][0];
+            keys.unshift(key);
+            cur = n;
+        }
+        lines.push(keys.map(key => points.get(key)));
+    }
+    return lines;
+}
+
+// Contours every `interval` meters. cellVisible(j, i), if given, skips cells (e.g. outside a polygon selection).
+// Returns [{ level, lines: [[{ i, j }, ...], ...] }] from the lowest level up; closed rings repeat their first point.
+export function computeContours(heights, interval, { cellVisible = null } = {}) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    if (!(interval > 0) || nx < 2 || ny < 2) return [];
+    let min = Infinity, max = -Infinity;
+    for (const row of heights) for (const h of row) if (Number.isFinite(h)) { if (h < min) min = h; if (h > max) max = h; }
+    if (min === Infinity) return [];
+    const out = [];
+    for (let level = Math.ceil(min / interval) * interval; level <= max; level += interval) {
+        const segments = [], points = new Map();
+        const crossing = (key, i0, j0, i1, j1) => {
+            if (!points.has(key)) {
+                const h0 = heights[j0][i0], h1 = heights[j1][i1];
+                const t = (level - h0) / (h1 - h0);
+                points.set(key, { i: i0 + (i1 - i0) * t, j: j0 + (j1 - j0) * t });
+            }
+            return key;
+        };
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                if (cellVisible && !cellVisible(j, i)) continue;
+                const h00 = heights[j][i], h10 = heights[j][i + 1], h11 = heights[j + 1][i + 1], h01 = heights[j + 1][i];
+                if (![h00, h10, h11, h01].every(Number.isFinite)) continue;
+                const code = (h00 >= level ? 1 : 0) | (h10 >= level ? 2 : 0) | (h11 >= level ? 4 : 0) | (h01 >= level ? 8 : 0);
+                if (code === 0 || code === 15) continue;
+                const centreHigh = (h00 + h10 + h11 + h01) / 4 >= level;
+                const edge = (e) => {
+                    if (e === 0) return crossing(`h${j},${i}`, i, j, i + 1, j);
+                    if (e === 1) return crossing(`v${j},${i + 1}`, i + 1, j, i + 1, j + 1);
+                    if (e === 2) return crossing(`h${j + 1},${i}`, i, j + 1, i + 1, j + 1);
+                    return crossing(`v${j},${i}`, i, j, i, j + 1);
+                };
+                for (const [a, b] of cellSegments(code, centreHigh)) segments.push([edge(a), edge(b)]);
+            }
+        }
+        if (segments.length) out.push({ level: Math.round(level * 1000) / 1000, lines: stitch(segments, points) });
+    }
+    return out;
+}
+
+// Fractional grid point -> { lat, lon } on the regular lat/lon axes of the grid
+export function gridPointToLatLon(p, lats, lons) {
+    const lerp = (axis, f) => {
+        const k = Math.max(0, Math.min(axis.length - 2, Math.floor(f)));
+        return axis[k] + (axis[k + 1] - axis[k]) * (f - k);
+    };
+    return { lat: lerp(lats, p.j), lon: lerp(lons, p.i) };
+}
+
+// Whether a contour level is an index contour (every `indexEvery`-th interval, labelled and drawn thicker)
+export function isIndexContour(level, interval, indexEvery) {
+    if (!(indexEvery > 0)) return false;
+    const k = Math.round(level / interval);
+    return Math.abs(k * interval - level) < 1e-6 && k % indexEvery === 0;
+}
+
+// GeoJSON FeatureCollection of LineStrings with properties { elevation, index }
+export function contoursToGeoJSON(contours, lats, lons, interval, indexEvery = 5) {
+    const features = [];
+    for (const c of contours) {
+        const index = isIndexContour(c.level, interval, indexEvery);
+        for (const line of c.lines) {
+            if (line.length < 2) continue;
+            const coordinates = line.map(p => {
+                const ll = gridPointToLatLon(p, lats, lons);
+                return [Math.round(ll.lon * 1e7) / 1e7, Math.round(ll.lat * 1e7) / 1e7];
+            });
+            features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: { elevation: c.level, index } });
+        }
+    }
+    return { type: 'FeatureCollection', features };
+}
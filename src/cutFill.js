@@ -0,0 +1,58 @@
+// Cut and fill against a design surface
+// A design platform over a polygon (local meters) is compared with the ground, sampled on a regular
+// raster: where the ground is above the design it is cut, where it is below it is filled.
+
+import { pointInRing } from './geometry.js';
+
+// Centroid of a ring [{x, y}] (area weighted; vertex mean for degenerate rings)
+export function ringCentroid(ring) {
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const f = ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+        a += f; cx += (ring[j].x + ring[i].x) * f; cy += (ring[j].y + ring[i].y) * f;
+    }
+    if (Math.abs(a) < 1e-9) return { x: ring.reduce((s, p) => s + p.x, 0) / ring.length, y: ring.reduce((s, p) => s + p.y, 0) / ring.length };
+    return { x: cx / (3 * a), y: cy / (3 * a) };
+}
+
+// Design elevation function: `level` meters at `center`, falling `slope` percent towards `azimuth`
+// (degrees clockwise from north)
+export function designSurface({ level, slope = 0, azimuth = 0, center }) {
+    const az = azimuth * Math.PI / 180, g = slope / 100;
+    const ux = Math.sin(az), uy = Math.cos(az);
+    return (x, y) => level - g * ((x - center.x) * ux + (y - center.y) * uy);
+}
+
+// Raster of the polygon at `spacing` meters. groundAt(x, y) / designAt(x, y) give elevations in meters.
+// Returns { cut, fill (m^3), area (m^2), minX, minY, spacing, nx, ny, diff[j][i] } where diff is
+// design minus ground (positive = fill) and null outside the polygon. Rows go south to north.
+export function cutFill(ring, groundAt, designAt, spacing) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of ring) { minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+    const nx = Math.max(1, Math.ceil((maxX - minX) / spacing)), ny = Math.max(1, Math.ceil((maxY - minY) / spacing));
+    const cellArea = spacing * spacing;
+    let cut = 0, fill = 0, area = 0;
+    const diff = [];
+    for (let j = 0; j < ny; j++) {
+        const row = new Array(nx).fill(null);
+        const y = minY + (j + 0.5) * spacing;
+        for (let i = 0; i < nx; i++) {
+            const x = minX + (i + 0.5) * spacing;
+            if (!pointInRing(x, y, ring)) continue;
+            const d = designAt(x, y) - groundAt(x, y);
+            row[i] = d;
+            area += cellArea;
+            if (d > 0) fill += d * cellArea; else cut -= d * cellArea;
+        }
+        diff.push(row);
+    }
+    return { cut, fill, area, minX, minY, spacing, nx, ny, diff };
+}
+
+// Mean ground elevation over the polygon: a flat platform there balances cut and fill
+export function balancedLevel(ring, groundAt, spacing) {
+    const r = cutFill(ring, groundAt, () => 0, spacing);
+    let sum = 0, n = 0;
+    for (const row of r.diff) for (const d of row) if (d !== null) { sum -= d; n++; }
+    return n ? sum / n : null;
+}
@@ -0,0 +1,80 @@
+// Elevation data quality
+// Finds isolated spikes and pits in a height grid and fills missing or rejected samples from their
+// neighbours. heights[j][i] are meters, null (or non-finite) where the service returned nothing.
+
+// Per-point origin of an elevation sample
+export const SAMPLE_FLAG = { ok: 0, fallback: 1, filled: 2, spike: 3 };
+
+const NEIGHBOURS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+function median(values) {
+    const v = values.slice().sort((a, b) => a - b);
+    const m = v.length >> 1;
+    return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+// Points standing above (or sunk below) every valid neighbour by more than
+// max(minJump, factor * neighbourhood spread). Returns ny x nx booleans.
+export function findSpikes(heights, { minJump = 50, factor = 6 } = {}) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const out = [];
+    for (let j = 0; j < ny; j++) {
+        out.push(new Array(nx).fill(false));
+        for (let i = 0; i < nx; i++) {
+            const h = heights[j][i];
+            if (!Number.isFinite(h)) continue;
+            const nb = [];
+            for (const [dj, di] of NEIGHBOURS) {
+                const v = heights[j + dj] && heights[j + dj][i + di];
+                if (Number.isFinite(v)) nb.push(v);
+            }
+            if (nb.length < 3) continue;
+            const med = median(nb);
+            const spread = median(nb.map(v => Math.abs(v - med)));
+            const beyond = h > Math.max(...nb) || h < Math.min(...nb);
+            if (beyond && Math.abs(h - med) > Math.max(minJump, factor * spread)) out[j][i] = true;
+        }
+    }
+    return out;
+}
+
+// Replace points where invalid[j][i] (or the height is not finite) in place: first from the mean of
+// already known neighbours, growing inwards from the edges of each gap, then smoothed so the fill is
+// a harmonic surface between its borders. Returns the number of points filled; a grid with no
+// valid point at all is filled with 0.
+export function fillGaps(heights, invalid = null) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const holes = [];
+    const known = heights.map((row, j) => row.map((h, i) => Number.isFinite(h) && !(invalid && invalid[j][i])));
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) if (!known[j][i]) holes.push([j, i]);
+    if (!holes.length) return 0;
+    if (holes.length === nx * ny) {
+        for (const [j, i] of holes) heights[j][i] = 0;
+        return holes.length;
+    }
+    const neighbourMean = (j, i) => {
+        let sum = 0, n = 0;
+        for (const [dj, di] of NEIGHBOURS) {
+            const jj = j + dj, ii = i + di;
+            if (jj < 0 || jj >= ny || ii < 0 || ii >= nx || !known[jj][ii]) continue;
+            sum += heights[jj][ii]; n++;
+        }
+        return n ? sum / n : null;
+    };
+    let pending = holes;
+    while (pending.length) {
+        const next = [], found = [];
+        for (const [j, i] of pending) {
+            const m = neighbourMean(j, i);
+            if (m === null) next.push([j, i]); else found.push([j, i, m]);
+        }
+        // assign after the pass so a gap fills evenly from all its sides
+        for (const [j, i, m] of found) { heights[j][i] = m; known[j][i] = true; }
+        pending = next;
+    }
+    // relax the filled points towards the average of their neighbours
+    for (let it = 0; it < 50; it++) {
+        for (const [j, i] of holes) heights[j][i] = neighbourMean(j, i);
+    }
+    return holes.length;
+}
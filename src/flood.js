@@ -0,0 +1,48 @@
+// Flood inundation on a height grid ("bathtub" model)
+// Water at one surface elevation spreads from seed points (existing water bodies) to every connected
+// grid point lower than that elevation. heights[j][i] are in meters; cells are 4-connected.
+
+// Water depth (m) per grid point, row-major (j * nx + i); 0 where dry or cut off from the seeds.
+// pointVisible(j, i), if given, keeps water out of points (e.g. outside a polygon selection).
+export function floodDepths(heights, seeds, level, { pointVisible = null } = {}) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const depth = new Float32Array(nx * ny);
+    const seen = new Uint8Array(nx * ny);
+    const stack = [];
+    const push = (j, i) => {
+        if (j < 0 || j >= ny || i < 0 || i >= nx) return;
+        const k = j * nx + i;
+        if (seen[k]) return;
+        seen[k] = 1;
+        if (pointVisible && !pointVisible(j, i)) return;
+        if (!(heights[j][i] < level)) return;
+        depth[k] = level - heights[j][i];
+        stack.push(j, i);
+    };
+    for (const [j, i] of seeds) push(j, i);
+    while (stack.length) {
+        const i = stack.pop(), j = stack.pop();
+        push(j - 1, i); push(j + 1, i); push(j, i - 1); push(j, i + 1);
+    }
+    return depth;
+}
+
+// Stored water volume (m^3) at a level, each grid point standing for cellArea m^2
+export function floodVolume(heights, seeds, level, cellArea, opts) {
+    let v = 0;
+    for (const d of floodDepths(heights, seeds, level, opts)) v += d;
+    return v * cellArea;
+}
+
+// Water level that stores `volume` m^3 more than baseLevel does (bisection; volume grows with level)
+export function levelForVolume(heights, seeds, baseLevel, volume, cellArea, opts) {
+    const base = floodVolume(heights, seeds, baseLevel, cellArea, opts);
+    let lo = baseLevel, hi = baseLevel + 1;
+    // widen until the bracket holds the volume (the grid top caps how much can be stored)
+    for (let k = 0; k < 30 && floodVolume(heights, seeds, hi, cellArea, opts) - base < volume; k++) hi = baseLevel + (hi - baseLevel) * 2;
+    for (let k = 0; k < 40; k++) {
+        const mid = (lo + hi) / 2;
+        if (floodVolume(heights, seeds, mid, cellArea, opts) - base < volume) lo = mid; else hi = mid;
+    }
+    return hi;
+}
@@ -0,0 +1,11 @@
+// Planar geometry helpers shared by the app and the analysis modules (local meters, points {x, y})
+
+// Point-in-polygon (ray casting) for a ring of {x,y} points
+export function pointInRing(x, y, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i], b = ring[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
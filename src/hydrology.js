@@ -0,0 +1,191 @@
+// Hydrology on a height grid
+// Sink filling (priority flood), D8 flow direction, flow accumulation, stream extraction and watershed
+// delineation. heights[j][i] are meters with j south to north and i west to east, spacing dx / dy meters.
+// Directions are indices into D8 (-1 = no outflow inside the grid).
+
+export const D8 = [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]]; // [dj, di]: E, NE, N, NW, W, SW, S, SE
+
+// Min-heap of [priority, j, i]
+class Heap {
+    constructor() { this.items = []; }
+    get size() { return this.items.length; }
+    push(item) {
+        const a = this.items;
+        a.push(item);
+        for (let k = a.length - 1; k > 0;) {
+            const p = (k - 1) >> 1;
+            if (a[p][0] <= a[k][0]) break;
+            [a[p], a[k]] = [a[k], a[p]];
+            k = p;
+        }
+    }
+    pop() {
+        const a = this.items, top = a[0], last = a.pop();
+        if (a.length) {
+            a[0] = last;
+            for (let k = 0; ;) {
+                const l = 2 * k + 1, r = l + 1;
+                let m = k;
+                if (l < a.length && a[l][0] < a[m][0]) m = l;
+                if (r < a.length && a[r][0] < a[m][0]) m = r;
+                if (m === k) break;
+                [a[m], a[k]] = [a[k], a[m]];
+                k = m;
+            }
+        }
+        return top;
+    }
+}
+
+// Fill depressions so every point drains to the edge of the grid (or of the visible area), raising
+// filled flats by epsilon per step so they still slope to their outlet. pointVisible(j, i), if given,
+// treats hidden points as outside the grid. Returns a new heights array.
+export function fillSinks(heights, { epsilon = 1e-3, pointVisible = null } = {}) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const out = heights.map(row => row.slice());
+    const inside = (j, i) => j >= 0 && j < ny && i >= 0 && i < nx && (!pointVisible || pointVisible(j, i));
+    const done = heights.map(row => new Array(row.length).fill(false));
+    const heap = new Heap();
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        if (!inside(j, i)) continue;
+        if (D8.some(([dj, di]) => !inside(j + dj, i + di))) { heap.push([out[j][i], j, i]); done[j][i] = true; }
+    }
+    while (heap.size) {
+        const [h, j, i] = heap.pop();
+        for (const [dj, di] of D8) {
+            const jj = j + dj, ii = i + di;
+            if (!inside(jj, ii) || done[jj][ii]) continue;
+            done[jj][ii] = true;
+            if (out[jj][ii] <= h) out[jj][ii] = h + epsilon;
+            heap.push([out[jj][ii], jj, ii]);
+        }
+    }
+    return out;
+}
+
+// D8 flow direction: the neighbour with the steepest drop. Points on the edge with no lower neighbour
+// (and hidden points) get -1. Returns Int8Array (j * nx + i).
+export function flowDirections(filled, dx, dy, { pointVisible = null } = {}) {
+    const ny = filled.length, nx = ny ? filled[0].length : 0;
+    const dir = new Int8Array(nx * ny).fill(-1);
+    const dist = D8.map(([dj, di]) => Math.hypot(dj * dy, di * dx));
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        if (pointVisible && !pointVisible(j, i)) continue;
+        let best = -1, bestDrop = 0;
+        D8.forEach(([dj, di], d) => {
+            const jj = j + dj, ii = i + di;
+            if (jj < 0 || jj >= ny || ii < 0 || ii >= nx || (pointVisible && !pointVisible(jj, ii))) return;
+            const drop = (filled[j][i] - filled[jj][ii]) / dist[d];
+            if (drop > bestDrop) { bestDrop = drop; best = d; }
+        });
+        dir[j * nx + i] = best;
+    }
+    return dir;
+}
+
+// Number of points (the point itself included) draining through each point. Returns Float64Array.
+export function flowAccumulation(dir, filled) {
+    const ny = filled.length, nx = ny ? filled[0].length : 0;
+    const acc = new Float64Array(nx * ny).fill(1);
+    // highest first, so every point is complete before it passes its flow on
+    const order = Array.from({ length: nx * ny }, (_, k) => k).sort((a, b) => filled[Math.floor(b / nx)][b % nx] - filled[Math.floor(a / nx)][a % nx]);
+    for (const k of order) {
+        const d = dir[k];
+        if (d < 0) continue;
+        const j = Math.floor(k / nx) + D8[d][0], i = (k % nx) + D8[d][1];
+        acc[j * nx + i] += acc[k];
+    }
+    return acc;
+}
+
+// Streams where accumulation reaches `threshold` points, as polylines of { i, j } traced downstream from
+// each stream head; a line stops at the point where it joins a stream already traced (included, so the
+// lines connect). Each line carries its largest accumulation as `acc`.
+export function extractStreams(dir, acc, nx, ny, threshold) {
+    const isStream = (k) => acc[k] >= threshold;
+    const hasStreamInflow = new Uint8Array(nx * ny);
+    for (let k = 0; k < nx * ny; k++) {
+        if (!isStream(k) || dir[k] < 0) continue;
+        const j = Math.floor(k / nx) + D8[dir[k]][0], i = (k % nx) + D8[dir[k]][1];
+        hasStreamInflow[j * nx + i] = 1;
+    }
+    const visited = new Uint8Array(nx * ny);
+    const heads = [];
+    for (let k = 0; k < nx * ny; k++) if (isStream(k) && !hasStreamInflow[k]) heads.push(k);
+    // heads with the largest catchment first, so main stems tend to be traced as single lines
+    heads.sort((a, b) => acc[b] - acc[a]);
+    const lines = [];
+    for (const head of heads) {
+        const line = [];
+        let k = head, top = 0;
+        for (; ;) {
+            line.push({ i: k % nx, j: Math.floor(k / nx) });
+            top = Math.max(top, acc[k]);
+            if (visited[k] || dir[k] < 0) break;
+            visited[k] = 1;
+            k = (Math.floor(k / nx) + D8[dir[k]][0]) * nx + (k % nx) + D8[dir[k]][1];
+        }
+        if (line.length > 1) { line.acc = top; lines.push(line); }
+    }
+    return lines;
+}
+
+// Point with the largest accumulation within `radius` points of (j, i): pour points snap onto the stream
+export function snapPourPoint(acc, nx, ny, j, i, radius = 2) {
+    let best = { j, i }, bestAcc = -1;
+    for (let jj = Math.max(0, j - radius); jj <= Math.min(ny - 1, j + radius); jj++) {
+        for (let ii = Math.max(0, i - radius); ii <= Math.min(nx - 1, i + radius); ii++) {
+            if (acc[jj * nx + ii] > bestAcc) { bestAcc = acc[jj * nx + ii]; best = { j: jj, i: ii }; }
+        }
+    }
+    return best;
+}
+
+// Every point draining through (j, i). Returns Uint8Array (1 = in the watershed).
+export function watershed(dir, nx, ny, j, i) {
+    const mask = new Uint8Array(nx * ny);
+    const stack = [j * nx + i];
+    mask[stack[0]] = 1;
+    while (stack.length) {
+        const k = stack.pop();
+        const kj = Math.floor(k / nx), ki = k % nx;
+        D8.forEach(([dj, di], d) => {
+            const jj = kj - dj, ii = ki - di; // the neighbour that would flow into k along d
+            if (jj < 0 || jj >= ny || ii < 0 || ii >= nx) return;
+            const n = jj * nx + ii;
+            if (!mask[n] && dir[n] === d) { mask[n] = 1; stack.push(n); }
+        });
+    }
+    return mask;
+}
+
+function distanceToLines(x, y, lines) {
+    let best = Infinity;
+    for (const pts of lines) {
+        for (let k = 0; k < pts.length - 1; k++) {
+            const a = pts[k], b = pts[k + 1];
+            const cx = b.x - a.x, cy = b.y - a.y, len2 = cx * cx + cy * cy;
+            const t = len2 ? Math.max(0, Math.min(1, ((x - a.x) * cx + (y - a.y) * cy) / len2)) : 0;
+            best = Math.min(best, Math.hypot(x - a.x - t * cx, y - a.y - t * cy));
+        }
+    }
+    return best;
+}
+
+// Share of the length of `lines` ([[{x, y}]], meters) lying within `tolerance` meters of `reference`,
+// sampled every `step` meters. Returns { length, near, ratio }.
+export function lineAgreement(lines, reference, tolerance, step = tolerance / 2) {
+    let length = 0, near = 0;
+    for (const pts of lines) {
+        for (let k = 0; k < pts.length - 1; k++) {
+            const a = pts[k], b = pts[k + 1];
+            const len = Math.hypot(b.x - a.x, b.y - a.y), n = Math.max(1, Math.ceil(len / step));
+            for (let s = 0; s < n; s++) {
+                const t = (s + 0.5) / n;
+                if (distanceToLines(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, reference) <= tolerance) near += len / n;
+            }
+            length += len;
+        }
+    }
+    return { length, near, ratio: length ? near / length : 0 };
+}
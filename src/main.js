@@ -1,28 +1,66 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154.0/build/three.module.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.154.0/examples/jsm/controls/OrbitControls.js';
 import { WeaponSimulation, WEAPONS } from './weaponSimulation.js';
-
-// Simple helper: convert lat/lon to local meters using equirectangular approx
-function latLonToMeters(lat, lon, origin) {
-    const R = 6378137; // Earth radius
-    const dLat = (lat - origin.lat) * Math.PI / 180;
-    const dLon = (lon - origin.lon) * Math.PI / 180;
-    const x = R * dLon * Math.cos(origin.lat * Math.PI / 180);
-    const y = R * dLat;
-    return { x, y };
-}
+import { readOsmFile, clipOsmToBBox } from './osmImport.js';
+// lat/lon <-> local meters (transverse Mercator around the scene origin)
+import { latLonToMeters, metersToLatLon } from './projection.js';
+import { pointInRing } from './geometry.js';
+import { TerrainLod, lodDepthFor } from './terrainLod.js';
+import { buildTileMosaic, loadGeoreferencedImage, imageryMaterial, applyImageryUVs } from './terrainImagery.js';
+import { computeContours, contoursToGeoJSON, gridPointToLatLon, isIndexContour } from './contours.js';
+import { slopeAspect, hillshade, analysisColor, analysisLegend, rasterToCanvas } from './terrainAnalysis.js';
+import { buildingObstacles, lineOfSight, computeViewshed } from './visibility.js';
+import { samplePath, profileStats, pathCrossings, drawProfileChart, sampleAtChartX } from './profile.js';
+import { floodDepths, levelForVolume } from './flood.js';
+import { ringCentroid, designSurface, cutFill, balancedLevel } from './cutFill.js';
+import { SAMPLE_FLAG, findSpikes, fillGaps } from './elevationQuality.js';
+import { fillSinks, flowDirections, flowAccumulation, extractStreams, snapPourPoint, watershed, lineAgreement } from './hydrology.js';
+import { WGS84_PRJ, toGeoTiff, toAsciiGrid, toXyz } from './terrainExport.js';
 
 // Helper: convert a lat/lon bbox [south,west,north,east] to local meter bounds using an origin
 function getLocalBoundsForBBox(bbox, origin) {
     if (!bbox || bbox.length !== 4 || !origin) return null;
     const [s, w, n, e] = bbox;
-    const p1 = latLonToMeters(s, w, origin);
-    const p2 = latLonToMeters(n, e, origin);
-    const minX = Math.min(p1.x, p2.x), maxX = Math.max(p1.x, p2.x);
-    const minY = Math.min(p1.y, p2.y), maxY = Math.max(p1.y, p2.y);
+    // meridians converge away from the origin, so all four corners are needed
+    const corners = [latLonToMeters(s, w, origin), latLonToMeters(s, e, origin), latLonToMeters(n, w, origin), latLonToMeters(n, e, origin)];
+    const minX = Math.min(...corners.map(p => p.x)), maxX = Math.max(...corners.map(p => p.x));
+    const minY = Math.min(...corners.map(p => p.y)), maxY = Math.max(...corners.map(p => p.y));
     return { minX, minY, maxX, maxY };
 }
 
+// Local bounds of the scanned area; for a polygon scan, `ring` holds the polygon in local meters
+function getSelectionBounds() {
+    if (!lastBBox || !lastOrigin) return null;
+    const bounds = getLocalBoundsForBBox(lastBBox, lastOrigin);
+    if (bounds && lastPolygon && lastPolygon.length >= 3) bounds.ring = lastPolygon.map(p => latLonToMeters(p[0], p[1], lastOrigin));
+    return bounds;
+}
+
+function pointInBounds(p, bounds) {
+    if (!p || !bounds) return true;
+    if (p.x < bounds.minX || p.x > bounds.maxX || p.y < bounds.minY || p.y > bounds.maxY) return false;
+    return !bounds.ring || pointInRing(p.x, p.y, bounds.ring);
+}
+
+function segmentsCross(a, b, c, d) {
+    const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = orient(c, d, a), d2 = orient(c, d, b), d3 = orient(a, b, c), d4 = orient(a, b, d);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// True when a feature (polyline or polygon of {x,y}) touches a ring: a vertex inside the ring,
+// the ring inside the feature, or crossing edges
+function ringsIntersect(pts, ring) {
+    for (const p of pts) if (pointInRing(p.x, p.y, ring)) return true;
+    if (pts.length >= 3 && pointInRing(ring[0].x, ring[0].y, pts)) return true;
+    for (let i = 0; i < pts.length - 1; i++) {
+        for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+            if (segmentsCross(pts[i], pts[i + 1], ring[k], ring[j])) return true;
+        }
+    }
+    return false;
+}
+
 function ptsIntersectBounds(pts, bounds) {
     if (!pts || !pts.length || !bounds) return true;
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -37,20 +75,105 @@ function ptsIntersectBounds(pts, bounds) {
     // test AABB intersection
     if (maxX < bounds.minX || minX > bounds.maxX) return false;
     if (maxY < bounds.minY || minY > bounds.maxY) return false;
+    // polygon selection: the feature must actually touch the polygon
+    if (bounds.ring) return ringsIntersect(pts.filter(p => typeof p.x === 'number' && typeof p.y === 'number'), bounds.ring);
     return true;
 }
 
+// Inside the outer ring and outside every inner ring (hole)
+function pointInPolygonWithHoles(x, y, outer, holes) {
+    if (!pointInRing(x, y, outer)) return false;
+    if (holes) for (const h of holes) if (h && h.length >= 3 && pointInRing(x, y, h)) return false;
+    return true;
+}
+
+// Polygon area (shoelace) in local meters, minus the area of its holes
+function polygonArea(pts, holes) {
+    const ringArea = (ring) => {
+        let a = 0;
+        for (let i = 0, l = ring.length; i < l; i++) {
+            const A = ring[i], B = ring[(i + 1) % l];
+            a += (A.x * B.y) - (B.x * A.y);
+        }
+        return Math.abs(a) * 0.5;
+    };
+    if (!pts || pts.length < 3) return 0;
+    let area = ringArea(pts);
+    if (holes) for (const h of holes) if (h && h.length >= 3) area -= ringArea(h);
+    return Math.max(0, area);
+}
+
+// Build a THREE.Shape from an outer ring and optional inner rings (holes)
+function shapeFromPts(pts, holes) {
+    const shape = new THREE.Shape(pts.map(p => new THREE.Vector2(p.x, p.y)));
+    if (holes) {
+        for (const h of holes) {
+            if (!h || h.length < 3) continue;
+            shape.holes.push(new THREE.Path(h.map(p => new THREE.Vector2(p.x, p.y))));
+        }
+    }
+    return shape;
+}
+
+// On local hosts API calls go through server/proxy.js (caching, CORS)
+const PROXY_BASE = 'http://localhost:3000';
+// XYZ tiles of the Leaflet base layer (also draped on the 3D terrain)
+const BASEMAP_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+function isLocalHost() {
+    return (typeof window !== 'undefined') && (window.location.hostname === '127.0.0.1' || window.location.hostname === 'localhost');
+}
+
+// `rect` is the current selection layer: an L.rectangle, or an L.polygon in polygon/lasso mode
 let map, selectionLayer, startPoint, rect, isDrawing = false;
+let selectionPolygon = null; // [[lat, lon], ...] of a polygon/lasso selection; null for a rectangle
+let drawPts = [], drawPreview = null; // polygon/lasso vertices being drawn
+let pendingMapPick = null; // callback(latlng) of an analysis tool waiting for a map click
+let pathDraft = null; // path or polygon an analysis tool is drawing: { owner, pts, line, cancelled }
 let buildings = [];
 let scene, camera, renderer, controls;
 let lastParsed = null;
 let lastOrigin = null;
 let lastBBox = null;
+let lastPolygon = null; // polygon of the last scan ([[lat, lon], ...]); null when it was a rectangle
 let lastGridSize = null;
 
+const MAX_POLYGON_VERTICES = 200; // keeps the Overpass poly: filter short
+
+function getSelectionMode() {
+    const el = document.getElementById('selectionMode');
+    return el ? el.value : 'rect';
+}
+
+// Remove the current selection (and any outline being drawn)
+function clearSelection() {
+    if (rect) { map.removeLayer(rect); rect = null; }
+    if (drawPreview) { map.removeLayer(drawPreview); drawPreview = null; }
+    drawPts = [];
+    selectionPolygon = null;
+}
+
+// Turn drawn vertices into the polygon selection (lasso outlines are thinned to MAX_POLYGON_VERTICES)
+function finishPolygonSelection(latlngs) {
+    if (drawPreview) { map.removeLayer(drawPreview); drawPreview = null; }
+    drawPts = [];
+    let pts = latlngs.slice();
+    if (pts.length > MAX_POLYGON_VERTICES) {
+        const step = pts.length / MAX_POLYGON_VERTICES;
+        pts = Array.from({ length: MAX_POLYGON_VERTICES }, (_, k) => pts[Math.floor(k * step)]);
+    }
+    if (pts.length < 3) { selectionPolygon = null; return; }
+    setPolygonSelection(pts.map(ll => [ll.lat, ll.lng]));
+}
+
+function setPolygonSelection(ring) {
+    if (rect) { map.removeLayer(rect); rect = null; }
+    selectionPolygon = ring;
+    rect = L.polygon(ring, { color: '#f06', weight: 1 }).addTo(selectionLayer);
+}
+
 function initMap() {
     map = L.map('map').setView([21.028511, 105.804817], 16); // Hanoi default
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    L.tileLayer(BASEMAP_TILE_URL, {
         maxZoom: 19,
     }).addTo(map);
 
@@ -64,25 +187,75 @@ function initMap() {
             startPoint = null;
             return;
         }
+        const mode = getSelectionMode();
+        if (mode === 'polygon') { map.dragging.disable(); return; } // vertices are added on click
         startPoint = e.latlng;
         isDrawing = true;
-        if (rect) { map.removeLayer(rect); rect = null; }
+        clearSelection();
+        if (mode === 'lasso') {
+            drawPts = [e.latlng];
+            drawPreview = L.polyline(drawPts, { color: '#f06', weight: 1 }).addTo(selectionLayer);
+        }
         map.dragging.disable();
     });
     map.on('mousemove', (e) => {
         if (!startPoint) return;
+        if (getSelectionMode() === 'lasso') {
+            // keep vertices a few pixels apart so the outline stays small
+            const last = drawPts[drawPts.length - 1];
+            if (map.latLngToContainerPoint(last).distanceTo(map.latLngToContainerPoint(e.latlng)) < 4) return;
+            drawPts.push(e.latlng);
+            if (drawPreview) drawPreview.setLatLngs(drawPts);
+            return;
+        }
         const bounds = L.latLngBounds(startPoint, e.latlng);
         if (rect) { rect.setBounds(bounds); } else { rect = L.rectangle(bounds, { color: '#f06', weight: 1 }).addTo(selectionLayer); }
     });
     map.on('mouseup', (e) => {
+        if (getSelectionMode() === 'polygon') { map.dragging.enable(); return; }
         if (!isDrawing) return; // if we weren't drawing, ignore
         map.dragging.enable();
         if (!startPoint) { isDrawing = false; return; }
+        if (getSelectionMode() === 'lasso') {
+            startPoint = null;
+            isDrawing = false;
+            finishPolygonSelection(drawPts);
+            return;
+        }
         const bounds = L.latLngBounds(startPoint, e.latlng);
         if (rect) rect.setBounds(bounds);
         startPoint = null;
         isDrawing = false;
     });
+    // polygon mode: Shift+click adds a vertex, Shift+click on the first vertex closes the polygon, Esc cancels
+    map.on('click', (e) => {
+        // analysis tools waiting for a point on the map take the click
+        if (pendingMapPick && !(e.originalEvent && e.originalEvent.shiftKey)) {
+            const pick = pendingMapPick;
+            pendingMapPick = null;
+            map.getContainer().style.cursor = '';
+            pick(e.latlng);
+            return;
+        }
+        if (getSelectionMode() !== 'polygon' || !e.originalEvent || !e.originalEvent.shiftKey) return;
+        if (!drawPts.length) {
+            clearSelection();
+            drawPts = [e.latlng];
+            drawPreview = L.polyline(drawPts, { color: '#f06', weight: 1, dashArray: '4 4' }).addTo(selectionLayer);
+            return;
+        }
+        const first = map.latLngToContainerPoint(drawPts[0]);
+        if (drawPts.length >= 3 && first.distanceTo(map.latLngToContainerPoint(e.latlng)) < 10) {
+            finishPolygonSelection(drawPts);
+            return;
+        }
+        drawPts.push(e.latlng);
+        if (drawPreview) drawPreview.setLatLngs(drawPts);
+    });
+    document.addEventListener('keydown', (ev) => {
+        if (ev.key === 'Escape' && drawPts.length) clearSelection();
+        if (ev.key === 'Escape' && pendingMapPick) { if (pathDraft) pathDraft.cancelled = true; cancelMapPick(); }
+    });
     // If mouse leaves the map while drawing, cancel drawing and re-enable dragging
 
     // Add weapon simulation on click
@@ -100,9 +273,9 @@ function initMap() {
             const lat = e.latlng.lat, lon = e.latlng.lng;
             // small bbox around click: ~150m radius
             const meters = 150;
-            const deltaLat = meters / 111000.0; // approx degrees
-            const deltaLon = meters / (111000.0 * Math.cos(lat * Math.PI / 180));
-            const bbox = [lat - deltaLat, lon - deltaLon, lat + deltaLat, lon + deltaLon];
+            const sw = metersToLatLon(-meters, -meters, { lat, lon });
+            const ne = metersToLatLon(meters, meters, { lat, lon });
+            const bbox = [sw.lat, sw.lon, ne.lat, ne.lon];
             const popTotal = parseFloat(document.getElementById('popTotal') && document.getElementById('popTotal').value) || null;
             const popDensity = parseFloat(document.getElementById('popDensity') && document.getElementById('popDensity').value) || null;
             const mortalityRate = parseFloat(document.getElementById('mortalityRate') && document.getElementById('mortalityRate').value) || 0.01;
@@ -159,7 +332,7 @@ function initMap() {
                 const mortalityRate = parseFloat(document.getElementById('mortalityRate') && document.getElementById('mortalityRate').value) || 0.01;
                 let casualties = null;
                 try {
-                    casualties = weaponSim.estimateCasualtiesForScenario(scenario, { bbox, popTotal, popDensity, mortalityRate });
+                    casualties = weaponSim.estimateCasualtiesForScenario(scenario, { bbox, polygon: selectionPolygon, popTotal, popDensity, mortalityRate });
                 } catch (e) { casualties = null; }
                 saveAppState();
                 // show summary: totalDamage, top buildings and estimated deaths
@@ -191,14 +364,26 @@ function initMap() {
     } catch (e) { }
 }
 
+// Per-point grid (rows of values) <-> one string per row with one character per point, for sessions
+function encodeGridRows(grid, toChar) {
+    return Array.isArray(grid) ? grid.map(row => row.map(toChar).join('')) : null;
+}
+
+function decodeGridRows(rows, nx, ny, fromChar) {
+    if (!Array.isArray(rows) || rows.length !== ny || rows.some(r => typeof r !== 'string' || r.length !== nx)) return null;
+    return rows.map(r => Array.from(r, fromChar));
+}
+
 // Persist application state to localStorage
 function saveAppState() {
     try {
         const key = 'maplook_state_v1';
-        const state = { parsed: null, origin: null, bbox: null, impacts: [], camera: null, terrainInfo: null };
+        const state = { parsed: null, origin: null, bbox: null, impacts: [], camera: null, terrainInfo: null, customLayers: customLayerDefs() };
         if (lastParsed) state.parsed = lastParsed;
         if (lastOrigin) state.origin = lastOrigin;
         if (lastBBox) state.bbox = lastBBox;
+        if (lastPolygon) state.polygon = lastPolygon;
+        state.verticalExaggeration = verticalExaggeration;
         // persist terrain metadata so restore can rebuild terrain
         if (lastBBox) {
             state.terrainInfo = { bbox: lastBBox, gridSize: lastGridSize || 48, dataset: selectedDataset };
@@ -219,7 +404,10 @@ function saveAppState() {
                     minX: terrainGrid.minX,
                     minY: terrainGrid.minY,
                     minH: terrainGrid.minH,
-                    visualScale: terrainGrid.visualScale,
+                    // one string per row, one character per grid point
+                    waterMask: encodeGridRows(terrainGrid.waterMask, w => (w ? '1' : '0')),
+                    classification: encodeGridRows(terrainGrid.classification, c => String(c)),
+                    quality: terrainGrid.quality ? { ...terrainGrid.quality, flags: encodeGridRows(terrainGrid.quality.flags, f => String(f)) } : null,
                     // include bbox and dataset meta so restore knows original params
                     bbox: lastBBox || null,
                     dataset: selectedDataset || null
@@ -257,6 +445,8 @@ function loadAppState() {
         // perform restore asynchronously so we can await terrain build
         async function restoreFromState(st) {
             try {
+                // custom layer definitions are restored even without scan data
+                restoreCustomLayers(st.customLayers);
                 if (!st.parsed) return;
                 // NOTE: overlay is shown/hidden by the button event handlers (showOverlay/hideOverlay)
                 // Do not manipulate the overlay DOM here so the UI feedback appears immediately
@@ -264,6 +454,9 @@ function loadAppState() {
                 lastParsed = st.parsed;
                 lastOrigin = st.origin || lastOrigin;
                 lastBBox = st.bbox || lastBBox;
+                lastPolygon = Array.isArray(st.polygon) ? st.polygon : null;
+                // before the camera is restored, which was saved in exaggerated scene coordinates
+                if (typeof st.verticalExaggeration === 'number') setVerticalExaggeration(st.verticalExaggeration);
 
                 // If a saved terrainGrid is present, restore directly from it (no API calls)
                 if (st.terrainGrid) {
@@ -282,15 +475,7 @@ function loadAppState() {
                 }
 
                 // add scene objects after terrain is available
-                if (lastParsed.buildings && document.getElementById('cb_building') && document.getElementById('cb_building').checked) addBuildingsToScene(lastParsed.buildings);
-                if (lastParsed.roads && document.getElementById('cb_road') && document.getElementById('cb_road').checked) addRoadsToScene(lastParsed.roads);
-                if (lastParsed.parks && document.getElementById('cb_park') && document.getElementById('cb_park').checked) addParksToScene(lastParsed.parks);
-                if (lastParsed.peaks && document.getElementById('cb_mountain') && document.getElementById('cb_mountain').checked) addPeaksToScene(lastParsed.peaks);
-                if (lastParsed.hills && document.getElementById('cb_mountain') && document.getElementById('cb_mountain').checked) addHillsToScene(lastParsed.hills);
-                if (lastParsed.forests && document.getElementById('cb_forest') && document.getElementById('cb_forest').checked) addForestsToScene(lastParsed.forests);
-                if (lastParsed.trees && document.getElementById('cb_forest') && document.getElementById('cb_forest').checked) addTreesToScene(lastParsed.trees);
-                if (lastParsed.ports && document.getElementById('cb_port') && document.getElementById('cb_port').checked) addPortsToScene(lastParsed.ports);
-                if (lastParsed.infra) addInfraToScene(lastParsed.infra);
+                renderLayers(lastParsed);
 
                 // set weaponSim fields
                 weaponSim.buildings = buildings;
@@ -339,7 +524,8 @@ function loadAppState() {
                         // remove existing rect if any
                         try { if (rect && rect.remove) rect.remove(); } catch (e) { }
                         const bounds = L.latLngBounds([s, w], [n, e]);
-                        rect = L.rectangle(bounds, { color: '#f06', weight: 1 }).addTo(selectionLayer);
+                        if (Array.isArray(st.polygon) && st.polygon.length >= 3) setPolygonSelection(st.polygon);
+                        else { rect = L.rectangle(bounds, { color: '#f06', weight: 1 }).addTo(selectionLayer); selectionPolygon = null; }
                         // set lastBBox and fit map
                         lastBBox = st.bbox;
                         try { map.fitBounds(bounds.pad ? bounds.pad(0.05) : bounds, { animate: true }); } catch (e) { map.fitBounds(bounds); }
@@ -367,109 +553,512 @@ function loadAppState() {
 }
 
 
-async function fetchOSM(bbox) {
-    // bbox = south,west,north,east
+// --- Layer registry
+// Each layer declares, once:
+//   id, label, group    -> checkbox `cb_<id>` in #controlsPanel ('map' or 'infra' section)
+//   selectors           -> Overpass selectors added to the scan query when the layer is enabled
+//   classes             -> tag classifiers used by parseOSM; an element goes to the bucket of the first
+//                          matching class (lowest priority) whose `types` include its OSM type, and also
+//                          to every matching `shared` class (custom layers don't steal built-in features)
+//   render(parsed, append) -> draws the layer; layers with `infra` are drawn together by addInfraToScene
+//   style               -> default colors read by the renderers through layerStyle()
+const AREA = ['way', 'relation'];
+const isWater = (t) => t.natural === 'water' || t.water === 'lake' || t.landuse === 'reservoir';
+const LAYERS = [
+    {
+        id: 'building', label: 'Tòa nhà', group: 'map', defaultOn: true,
+        selectors: ['way["building"]', 'relation["building"]', 'way["building:part"]', 'relation["building:part"]'],
+        classes: [{ bucket: 'buildings', types: AREA, priority: 20, match: t => !!(t.building || t['building:part']), props: t => ({ ...buildingHeightFromTags(t), part: !!t['building:part'] }) }],
+        render: (parsed, append) => addBuildingsToScene(parsed.buildings || [], append),
+        style: { palette: [0xd9e2ec, 0xc9d6e3, 0xf2d7d5, 0xe6e2c8, 0xdbe7d6, 0xe6d6f0, 0xf0e0c8] },
+    },
+    {
+        id: 'road', label: 'Đường', group: 'map', defaultOn: true,
+        selectors: ['way["highway"]'],
+        classes: [{ bucket: 'roads', types: ['way'], priority: 50, match: t => !!t.highway }],
+        render: (parsed, append) => addRoadsToScene(parsed.roads || [], append),
+        style: { color: 0x2f2f2f, concreteColor: 0xcccccc },
+    },
+    {
+        id: 'forest', label: 'Rừng / Cây', group: 'map', defaultOn: false,
+        selectors: ['way["landuse"="forest"]', 'relation["landuse"="forest"]', 'way["natural"="wood"]', 'relation["natural"="wood"]', 'node["natural"="tree"]'],
+        classes: [
+            { bucket: 'forests', types: AREA, priority: 10, match: t => t.landuse === 'forest' || t.natural === 'wood' },
+            { bucket: 'trees', types: ['node'], priority: 11, match: t => t.natural === 'tree' || t.natural === 'wood' || !!t.tree },
+        ],
+        render: (parsed, append) => { addForestsToScene(parsed.forests || [], append); addTreesToScene(parsed.trees || [], append); },
+        style: { color: 0x2e8b57, treeColor: 0x227722 },
+    },
+    {
+        // lakes and rivers are carved into the terrain mesh (see buildTerrainForBBox), not drawn separately
+        id: 'lake', label: 'Hồ', group: 'map', defaultOn: true,
+        selectors: ['way["natural"="water"]', 'relation["natural"="water"]', 'way["landuse"="reservoir"]', 'relation["type"="multipolygon"]["natural"="water"]', 'relation["type"="multipolygon"]["landuse"="reservoir"]'],
+        classes: [{ bucket: 'water', types: AREA, priority: 80, match: isWater }],
+        style: { color: 0x3b99d6 },
+    },
+    {
+        id: 'river', label: 'Sông', group: 'map', defaultOn: true,
+        selectors: ['way["waterway"="river"]', 'way["waterway"="riverbank"]', 'way["waterway"="stream"]'],
+        classes: [{ bucket: 'water', types: ['way'], priority: 81, match: t => !!t.waterway }],
+        style: { color: 0x3b99d6 },
+    },
+    {
+        id: 'mountain', label: 'Núi', group: 'map', defaultOn: true,
+        selectors: ['way["natural"="hill"]', 'relation["natural"="hill"]', 'node["natural"="peak"]', 'node["peak"]', 'node["place"="mountain"]', 'node["natural"="mountain"]'],
+        classes: [
+            { bucket: 'hills', types: AREA, priority: 70, match: t => t.natural === 'hill' },
+            { bucket: 'peaks', types: ['node'], priority: 5, match: t => t.natural === 'peak' || !!t.peak || t.place === 'mountain' || t.natural === 'mountain' },
+        ],
+        render: (parsed, append) => { addPeaksToScene(parsed.peaks || [], append); addHillsToScene(parsed.hills || [], append); },
+        style: { peakColor: 0x885544, hillColor: 0x886644 },
+    },
+    {
+        id: 'park', label: 'Công viên', group: 'map', defaultOn: true,
+        selectors: ['way["leisure"="park"]', 'relation["leisure"="park"]'],
+        classes: [{ bucket: 'parks', types: AREA, priority: 150, match: t => t.leisure === 'park' || t.landuse === 'park' }],
+        render: (parsed, append) => addParksToScene(parsed.parks || [], append),
+        style: { color: 0x66bb66 },
+    },
+    {
+        id: 'hospital', label: 'Bệnh viện', group: 'infra', defaultOn: false, infra: 'hospitals',
+        selectors: ['node["amenity"="hospital"]', 'way["amenity"="hospital"]', 'relation["amenity"="hospital"]'],
+        classes: [{ bucket: 'infra.hospitals', types: ['node', ...AREA], priority: 30, match: t => t.amenity === 'hospital' }],
+        style: { color: 0xff4444, areaColor: 0xff6666 },
+    },
+    {
+        id: 'school', label: 'Trường học', group: 'infra', defaultOn: false, infra: 'schools',
+        selectors: ['node["amenity"="school"]', 'way["amenity"="school"]', 'relation["amenity"="school"]'],
+        classes: [{ bucket: 'infra.schools', types: ['node', ...AREA], priority: 40, match: t => t.amenity === 'school' }],
+        style: { color: 0x4444ff, areaColor: 0x6666ff },
+    },
+    {
+        id: 'rail', label: 'Đường sắt', group: 'infra', defaultOn: false, infra: 'rails',
+        selectors: ['way["railway"]', 'relation["railway"]'],
+        classes: [{ bucket: 'infra.rails', types: ['way'], priority: 60, match: t => !!t.railway }],
+        style: { color: 0x111111 },
+    },
+    {
+        id: 'bus', label: 'Trạm bus', group: 'infra', defaultOn: false, infra: 'busStops',
+        selectors: ['node["highway"="bus_stop"]'],
+        classes: [{ bucket: 'infra.busStops', types: ['node'], priority: 45, match: t => t.highway === 'bus_stop' }],
+        style: { color: 0xffff44 },
+    },
+    {
+        id: 'power', label: 'Lưới điện / trạm', group: 'infra', defaultOn: false, infra: 'power',
+        selectors: ['way["power"]', 'node["power"]'],
+        classes: [{ bucket: 'infra.power', types: ['node', 'way'], priority: 140, match: t => !!t.power }],
+        style: { color: 0xffaa00 },
+    },
+    {
+        id: 'parking', label: 'Bãi đậu xe', group: 'infra', defaultOn: false, infra: 'parking',
+        selectors: ['way["amenity"="parking"]', 'relation["amenity"="parking"]'],
+        classes: [{ bucket: 'infra.parking', types: ['node', ...AREA], priority: 100, match: t => t.amenity === 'parking' }],
+        style: { color: 0x555555 },
+    },
+    {
+        id: 'industrial', label: 'Khu công nghiệp', group: 'infra', defaultOn: false, infra: 'industrial',
+        selectors: ['way["landuse"="industrial"]', 'relation["landuse"="industrial"]'],
+        classes: [{ bucket: 'infra.industrial', types: AREA, priority: 110, match: t => t.landuse === 'industrial' }],
+        style: { color: 0x999999 },
+    },
+    {
+        id: 'port', label: 'Cảng / Bến tàu', group: 'infra', defaultOn: false,
+        selectors: ['way["man_made"="pier"]', 'way["landuse"="port"]', 'node["man_made"="harbour"]', 'node["amenity"="ferry_terminal"]', 'relation["landuse"="port"]'],
+        classes: [{ bucket: 'ports', types: AREA, priority: 90, match: t => t.man_made === 'pier' || t.landuse === 'port' }],
+        render: (parsed, append) => addPortsToScene(parsed.ports || [], append),
+        style: { color: 0x888888 },
+    },
+    {
+        id: 'airport', label: 'Sân bay', group: 'infra', defaultOn: false, infra: 'airports',
+        selectors: ['way["aeroway"]', 'node["aeroway"="aerodrome"]', 'relation["aeroway"]'],
+        classes: [{ bucket: 'infra.airports', types: ['node', ...AREA], priority: 120, match: t => !!t.aeroway }],
+        style: { color: 0x222222 },
+    },
+    {
+        id: 'bridge', label: 'Cầu', group: 'infra', defaultOn: false, infra: 'bridges',
+        selectors: ['way["bridge"]', 'relation["bridge"]'],
+        classes: [{ bucket: 'infra.bridges', types: ['way'], priority: 130, match: t => !!t.bridge }],
+        style: { color: 0x663300 },
+    },
+];
+const LAYER_GROUPS = [
+    { id: 'map', label: 'Hiển thị trên 3D' },
+    { id: 'infra', label: 'Cơ sở hạ tầng' },
+    { id: 'custom', label: 'Lớp tùy chỉnh' },
+];
+
+function getLayer(id) {
+    return LAYERS.find(l => l.id === id) || null;
+}
+
+// Checkbox state of a layer; falls back to its default before the controls exist
+function isLayerEnabled(id) {
+    const cb = document.getElementById('cb_' + id);
+    if (cb) return cb.checked;
+    const layer = getLayer(id);
+    return !!(layer && layer.defaultOn);
+}
+
+// Default style value of a layer (renderers call this instead of hardcoding colors)
+function layerStyle(id, key, fallback) {
+    const layer = getLayer(id);
+    return (layer && layer.style && layer.style[key] !== undefined) ? layer.style[key] : fallback;
+}
+
+// All parser classes of all layers, in classification order
+function layerClasses() {
+    const out = [];
+    for (const layer of LAYERS) for (const cls of (layer.classes || [])) out.push({ ...cls, layer: layer.id });
+    return out.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+}
+
+// Classes an element belongs to: the first matching exclusive class plus all matching shared ones
+function classifyElement(type, tags, classes = layerClasses()) {
+    const out = [];
+    let exclusive = false;
+    for (const cls of classes) {
+        if (!cls.types.includes(type) || (exclusive && !cls.shared) || !cls.match(tags)) continue;
+        out.push(cls);
+        if (!cls.shared) exclusive = true;
+    }
+    return out;
+}
+
+// Build the layer checkboxes in #controlsPanel from the registry
+function buildLayerControls() {
+    const panel = document.getElementById('controlsPanel');
+    if (!panel) return;
+    // keep the user's choices when the panel is rebuilt (e.g. after adding a custom layer)
+    const prev = {};
+    panel.querySelectorAll('input[type=checkbox]').forEach(cb => { prev[cb.id] = cb.checked; });
+    panel.innerHTML = '';
+    LAYER_GROUPS.forEach((g, gi) => {
+        const groupLayers = LAYERS.filter(l => l.group === g.id);
+        if (!groupLayers.length) return;
+        const head = document.createElement('div');
+        head.className = gi === 0 ? 'font-semibold text-gray-200 mb-1' : 'mt-2 font-semibold text-gray-200';
+        head.textContent = g.label;
+        panel.appendChild(head);
+        for (const layer of groupLayers) {
+            const label = document.createElement('label');
+            label.className = 'block';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.id = 'cb_' + layer.id;
+            cb.checked = (cb.id in prev) ? prev[cb.id] : !!layer.defaultOn;
+            label.appendChild(cb);
+            if (layer.custom) {
+                const swatch = document.createElement('span');
+                swatch.style.cssText = `display:inline-block;width:10px;height:10px;margin-left:4px;background:#${layer.style.color.toString(16).padStart(6, '0')}`;
+                label.appendChild(swatch);
+            }
+            label.appendChild(document.createTextNode(' ' + layer.label));
+            if (layer.custom) {
+                const del = document.createElement('button');
+                del.className = 'ml-1 text-red-400';
+                del.title = 'Xóa lớp';
+                del.textContent = '×';
+                del.addEventListener('click', (ev) => { ev.preventDefault(); removeCustomLayer(layer.id); });
+                label.appendChild(del);
+            }
+            panel.appendChild(label);
+        }
+    });
+}
+
+// Draw every enabled layer from parsed OSM data (scan, file import and session restore).
+// With append, objects already in the scene are kept and only `parsed` is added (area extension).
+function renderLayers(parsed, append = false) {
+    if (!parsed) return;
+    const infraToAdd = {};
+    for (const layer of LAYERS) {
+        if (!isLayerEnabled(layer.id)) continue;
+        if (layer.infra) {
+            infraToAdd[layer.infra] = (parsed.infra && parsed.infra[layer.infra]) || [];
+        } else if (layer.render) {
+            try { layer.render(parsed, append); } catch (e) { console.warn('render layer failed', layer.id, e); }
+        }
+    }
+    addInfraToScene(infraToAdd, append);
+}
+
+// --- User-defined tag layers
+// Filter syntax: conditions separated by spaces or commas, each `key=value`, `key=*`, `key` or `key!=value`.
+// Overpass bracket syntax (`["shop"="supermarket"]`) is accepted too.
+const CUSTOM_GEOMETRIES = {
+    point: { types: ['node', 'way', 'relation'], label: 'Điểm' },
+    line: { types: ['way'], label: 'Đường' },
+    area: { types: ['way', 'relation'], label: 'Vùng' },
+};
+let customLayerSeq = 0;
+
+function parseTagFilter(text) {
+    const src = String(text || '').trim();
+    const conds = [];
+    const bracket = /\[\s*"?([^"=!\]\s]+)"?\s*(?:(!?=)\s*"?([^"\]]*)"?\s*)?\]/g;
+    let m;
+    if (src.startsWith('[')) {
+        while ((m = bracket.exec(src))) conds.push({ key: m[1], op: m[2] || null, value: m[3] === undefined ? null : m[3] });
+    } else {
+        for (const part of src.split(/[\s,]+/).filter(Boolean)) {
+            const mm = part.match(/^([^=!]+)(?:(!?=)(.*))?$/);
+            if (!mm) throw new Error('Bộ lọc không hợp lệ: ' + part);
+            conds.push({ key: mm[1], op: mm[2] || null, value: mm[3] === undefined ? null : mm[3] });
+        }
+    }
+    for (const c of conds) {
+        // `key=*` and `key=` mean "any value"
+        if (c.op === '=' && (c.value === '*' || c.value === '')) { c.op = null; c.value = null; }
+        if (c.op === '!=' && (c.value === '*' || c.value === '')) throw new Error('Bộ lọc không hợp lệ: ' + c.key + '!=');
+    }
+    if (!conds.length) throw new Error('Bộ lọc trống');
+    // Overpass rejects a query made of negations only (and it would match every element anyway)
+    if (!conds.some(c => c.op !== '!=')) throw new Error('Bộ lọc cần ít nhất một điều kiện key hoặc key=value');
+    return conds;
+}
+
+function tagFilterToOverpass(conds) {
+    const q = (v) => '"' + String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+    return conds.map(c => c.op ? `[${q(c.key)}${c.op}${q(c.value)}]` : `[${q(c.key)}]`).join('');
+}
+
+function tagFilterMatches(conds, tags) {
+    return conds.every(c => {
+        const v = tags[c.key];
+        if (!c.op) return v !== undefined;
+        if (c.op === '!=') return v !== c.value;
+        return v === c.value;
+    });
+}
+
+// Register a custom layer from { filter, geometry, color, label?, id?, enabled? }. Returns the layer entry.
+function addCustomLayer(def) {
+    const conds = parseTagFilter(def.filter);
+    const geometry = CUSTOM_GEOMETRIES[def.geometry] ? def.geometry : 'point';
+    const color = (typeof def.color === 'number') ? def.color : parseInt(String(def.color || '#e91e63').replace('#', ''), 16);
+    const id = def.id || `custom_${Date.now().toString(36)}_${customLayerSeq++}`;
+    const filterText = String(def.filter).trim();
+    const types = CUSTOM_GEOMETRIES[geometry].types;
+    const layer = {
+        id, label: def.label || `${filterText} (${CUSTOM_GEOMETRIES[geometry].label})`, group: 'custom', defaultOn: def.enabled !== false,
+        custom: true, filter: filterText, geometry,
+        selectors: types.map(t => t + tagFilterToOverpass(conds)),
+        classes: [{ bucket: 'custom.' + id, types, priority: 0, shared: true, match: t => tagFilterMatches(conds, t) }],
+        render: (parsed, append) => addCustomLayerToScene(layer, (parsed.custom && parsed.custom[id]) || [], append),
+        style: { color },
+    };
+    LAYERS.push(layer);
+    buildLayerControls();
+    return layer;
+}
+
+function removeCustomLayer(id) {
+    const idx = LAYERS.findIndex(l => l.id === id && l.custom);
+    if (idx < 0) return;
+    LAYERS.splice(idx, 1);
+    clearCustomLayerFromScene(id);
+    if (lastParsed && lastParsed.custom) delete lastParsed.custom[id];
+    buildLayerControls();
+}
+
+// Serializable definitions of the custom layers (for session save)
+function customLayerDefs() {
+    return LAYERS.filter(l => l.custom).map(l => ({ id: l.id, label: l.label, filter: l.filter, geometry: l.geometry, color: l.style.color, enabled: isLayerEnabled(l.id) }));
+}
+
+// Replace the current custom layers with saved definitions
+function restoreCustomLayers(defs) {
+    for (const l of LAYERS.filter(x => x.custom)) removeCustomLayer(l.id);
+    for (const def of (defs || [])) {
+        try {
+            addCustomLayer(def);
+            const cb = document.getElementById('cb_' + def.id);
+            if (cb) cb.checked = def.enabled !== false;
+        } catch (e) { console.warn('skip invalid custom layer', def, e); }
+    }
+}
+
+function clearCustomLayerFromScene(id) {
+    if (!scene || !scene.userData.customLayers || !scene.userData.customLayers[id]) return;
+    for (const o of scene.userData.customLayers[id]) scene.remove(o);
+    delete scene.userData.customLayers[id];
+}
+
+// Draw a custom layer as markers (point), terrain-following lines (line) or extruded areas (area)
+function addCustomLayerToScene(layer, items, append = false) {
+    if (!scene.userData.customLayers) scene.userData.customLayers = {};
+    if (!append) clearCustomLayerFromScene(layer.id);
+    const objs = scene.userData.customLayers[layer.id] || (scene.userData.customLayers[layer.id] = []);
+    const add = (obj) => { obj.userData = { ...obj.userData, type: 'custom', layer: layer.id }; scene.add(obj); objs.push(obj); };
+    const selBounds = getSelectionBounds();
+    const color = layer.style.color;
+    const terrainZ = (x, y) => { const h = getTerrainHeightAt(x, y); return isNaN(h) ? 0 : (h || 0); };
+    const inSel = (p) => pointInBounds(p, selBounds);
+
+    if (layer.geometry === 'point') {
+        const geom = new THREE.SphereGeometry(1.5, 10, 8);
+        const mat = new THREE.MeshStandardMaterial({ color, metalness: 0.1, roughness: 0.8 });
+        for (const it of items) {
+            // areas tagged like the filter (e.g. a fire station building) get a marker at their centroid
+            const pos = it.pos || (it.pts && it.pts.length ? { x: it.pts.reduce((s, p) => s + p.x, 0) / it.pts.length, y: it.pts.reduce((s, p) => s + p.y, 0) / it.pts.length } : null);
+            if (!pos || !inSel(pos)) continue;
+            const m = new THREE.Mesh(geom, mat);
+            m.position.set(pos.x, pos.y, terrainZ(pos.x, pos.y) + 3);
+            m.userData = { tags: it.tags };
+            add(m);
+        }
+    } else if (layer.geometry === 'line') {
+        const mat = new THREE.LineBasicMaterial({ color });
+        for (const it of items) {
+            if (!it.pts || it.pts.length < 2) continue;
+            try { if (selBounds && !ptsIntersectBounds(it.pts, selBounds)) continue; } catch (e) { }
+            const pts = it.pts.map(p => new THREE.Vector3(p.x, p.y, terrainZ(p.x, p.y) + 0.5));
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), mat);
+            line.userData = { tags: it.tags };
+            add(line);
+        }
+    } else {
+        const mat = new THREE.MeshStandardMaterial({ color, opacity: 0.8, transparent: true });
+        for (const it of items) {
+            if (!it.pts || it.pts.length < 3) continue;
+            try { if (selBounds && !ptsIntersectBounds(it.pts, selBounds)) continue; } catch (e) { }
+            try {
+                const geom = new THREE.ExtrudeGeometry(shapeFromPts(it.pts, it.holes), { depth: 3, bevelEnabled: false });
+                const mesh = new THREE.Mesh(geom, mat);
+                let sumh = 0, c = 0; for (const p of it.pts) { const hh = getTerrainHeightAt(p.x, p.y); if (!isNaN(hh)) { sumh += hh; c++; } }
+                mesh.position.z = c ? (sumh / c) : 0;
+                mesh.userData = { tags: it.tags };
+                add(mesh);
+            } catch (e) { /* ignore invalid rings */ }
+        }
+    }
+}
+
+// Large selections are split into tiles of at most OSM_TILE_SPAN degrees per side,
+// fetched OSM_TILE_CONCURRENCY at a time so each Overpass query stays within its timeout.
+const OSM_TILE_SPAN = 0.02;
+const OSM_TILE_MAX = 64;
+const OSM_TILE_CONCURRENCY = 2;
+const OSM_TILE_ATTEMPTS = 3;
+
+// Split bbox [s,w,n,e] into a grid of sub-bboxes no larger than span degrees (widened if that would exceed OSM_TILE_MAX tiles)
+function splitBBoxIntoTiles(bbox, span = OSM_TILE_SPAN) {
     const [s, w, n, e] = bbox;
+    let rows = Math.max(1, Math.ceil((n - s) / span));
+    let cols = Math.max(1, Math.ceil((e - w) / span));
+    while (rows * cols > OSM_TILE_MAX) {
+        if (rows >= cols) rows = Math.ceil(rows / 2); else cols = Math.ceil(cols / 2);
+    }
+    const tiles = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            tiles.push([s + (n - s) * r / rows, w + (e - w) * c / cols, s + (n - s) * (r + 1) / rows, w + (e - w) * (c + 1) / cols]);
+        }
+    }
+    return tiles;
+}
+
+// Merge Overpass responses, dropping duplicate nodes/ways/relations by type+id.
+// A tagged copy (from `out body`) wins over a bare `out skel` copy of the same element.
+function mergeOsmResponses(responses) {
+    const byKey = new Map();
+    for (const resp of responses) {
+        if (!resp || !Array.isArray(resp.elements)) continue;
+        for (const el of resp.elements) {
+            const key = `${el.type}/${el.id}`;
+            const prev = byKey.get(key);
+            if (!prev || (!prev.tags && el.tags)) byKey.set(key, el);
+        }
+    }
+    return { elements: Array.from(byKey.values()) };
+}
+
+async function postOverpassQuery(query) {
+    // local proxy caches responses on disk so rescans of the same area don't hit the public server
+    const url = isLocalHost() ? `${PROXY_BASE}/overpass` : 'https://overpass-api.de/api/interpreter';
+    const res = await fetch(url, { method: 'POST', body: query });
+    if (!res.ok) throw new Error('Overpass error');
+    return await res.json();
+}
+
+// Run async task factories with at most `limit` running at the same time. Resolves to settled results in order.
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+    async function worker() {
+        while (next < tasks.length) {
+            const idx = next++;
+            try { results[idx] = { ok: true, value: await tasks[idx]() }; } catch (err) { results[idx] = { ok: false, error: err }; }
+        }
+    }
+    const workers = [];
+    for (let k = 0; k < Math.min(limit, tasks.length); k++) workers.push(worker());
+    await Promise.all(workers);
+    return results;
+}
+
+// Fetch OSM data for bbox. Big selections are fetched tile by tile; onProgress({ done, total, failed, retrying })
+// is called as tiles complete. Tiles that still fail after retries are reported in `failedTiles` of the result.
+// With a polygon ([[lat, lon], ...]) every selector gets a poly: filter and tiles outside the polygon are skipped.
+async function fetchOSM(bbox, onProgress = null, polygon = null) {
+    // bbox = south,west,north,east
     // build query based on selected layers
     const wanted = [];
-    if (document.getElementById('cb_building') && document.getElementById('cb_building').checked) {
-        wanted.push('way["building"]');
-        wanted.push('relation["building"]');
-    }
-    if (document.getElementById('cb_road') && document.getElementById('cb_road').checked) {
-        wanted.push('way["highway"]');
-    }
-    // infrastructure
-    if (document.getElementById('cb_hospital') && document.getElementById('cb_hospital').checked) {
-        wanted.push('node["amenity"="hospital"]');
-        wanted.push('way["amenity"="hospital"]');
-        wanted.push('relation["amenity"="hospital"]');
-    }
-    if (document.getElementById('cb_school') && document.getElementById('cb_school').checked) {
-        wanted.push('node["amenity"="school"]');
-        wanted.push('way["amenity"="school"]');
-        wanted.push('relation["amenity"="school"]');
-    }
-    if (document.getElementById('cb_rail') && document.getElementById('cb_rail').checked) {
-        wanted.push('way["railway"]');
-        wanted.push('relation["railway"]');
-    }
-    if (document.getElementById('cb_bus') && document.getElementById('cb_bus').checked) {
-        wanted.push('node["highway"="bus_stop"]');
-    }
-    if (document.getElementById('cb_power') && document.getElementById('cb_power').checked) {
-        wanted.push('way["power"]');
-        wanted.push('node["power"]');
-    }
-    if (document.getElementById('cb_parking') && document.getElementById('cb_parking').checked) {
-        wanted.push('way["amenity"="parking"]');
-        wanted.push('relation["amenity"="parking"]');
-    }
-    if (document.getElementById('cb_industrial') && document.getElementById('cb_industrial').checked) {
-        wanted.push('way["landuse"="industrial"]');
-        wanted.push('relation["landuse"="industrial"]');
-    }
-    if (document.getElementById('cb_airport') && document.getElementById('cb_airport').checked) {
-        wanted.push('way["aeroway"]');
-        wanted.push('node["aeroway"="aerodrome"]');
-        wanted.push('relation["aeroway"]');
-    }
-    if (document.getElementById('cb_bridge') && document.getElementById('cb_bridge').checked) {
-        wanted.push('way["bridge"]');
-        wanted.push('relation["bridge"]');
-    }
-    if ((document.getElementById('cb_lake') && document.getElementById('cb_lake').checked) || (document.getElementById('cb_river') && document.getElementById('cb_river').checked)) {
-        // water features
-        wanted.push('way["natural"="water"]');
-        wanted.push('relation["natural"="water"]');
-        wanted.push('way["waterway"="river"]');
-        wanted.push('way["waterway"="riverbank"]');
-        wanted.push('way["waterway"="stream"]');
-        wanted.push('way["landuse"="reservoir"]');
-        // relations multipolygon for lakes/reservoirs
-        wanted.push('relation["type"="multipolygon"]["natural"="water"]');
-        wanted.push('relation["type"="multipolygon"]["landuse"="reservoir"]');
-    }
-    // forests / trees
-    if (document.getElementById('cb_forest') && document.getElementById('cb_forest').checked) {
-        wanted.push('way["landuse"="forest"]');
-        wanted.push('relation["landuse"="forest"]');
-        wanted.push('way["natural"="wood"]');
-        wanted.push('relation["natural"="wood"]');
-        // individual trees as nodes
-        wanted.push('node["natural"="tree"]');
-    }
-    // ports, harbors, ferry terminals, piers
-    if (document.getElementById('cb_port') && document.getElementById('cb_port').checked) {
-        wanted.push('way["man_made"="pier"]');
-        wanted.push('way["landuse"="port"]');
-        wanted.push('node["man_made"="harbour"]');
-        wanted.push('node["amenity"="ferry_terminal"]');
-        wanted.push('relation["landuse"="port"]');
-    }
-    // include hills if mountain checkbox is checked (some mapping uses 'hill')
-    if (document.getElementById('cb_mountain') && document.getElementById('cb_mountain').checked) {
-        wanted.push('way["natural"="hill"]');
-        wanted.push('relation["natural"="hill"]');
-    }
-    if (document.getElementById('cb_park') && document.getElementById('cb_park').checked) {
-        wanted.push('way["leisure"="park"]');
-        wanted.push('relation["leisure"="park"]');
-    }
-    if (document.getElementById('cb_mountain') && document.getElementById('cb_mountain').checked) {
-        // mountains/peaks as nodes
-        wanted.push('node["natural"="peak"]');
-        wanted.push('node["peak"="*"]');
-        wanted.push('node["place"="mountain"]');
-        wanted.push('node["natural"="mountain"]');
+    for (const layer of LAYERS) {
+        if (isLayerEnabled(layer.id)) for (const sel of layer.selectors) if (!wanted.includes(sel)) wanted.push(sel);
     }
     if (wanted.length === 0) throw new Error('No layer selected');
-    const group = wanted.map(item => `${item}(${s},${w},${n},${e})`).join(';');
-    const query = `[out:json][timeout:25];(${group};);out body;>;out skel qt;`;
-    const url = 'https://overpass-api.de/api/interpreter';
-    const res = await fetch(url, { method: 'POST', body: query });
-    if (!res.ok) throw new Error('Overpass error');
-    const data = await res.json();
+    const polyFilter = (polygon && polygon.length >= 3) ? `(poly:"${polygon.map(p => `${p[0].toFixed(6)} ${p[1].toFixed(6)}`).join(' ')}")` : '';
+    const buildQuery = ([s, w, n, e]) => {
+        const group = wanted.map(item => `${item}${polyFilter}(${s},${w},${n},${e})`).join(';');
+        return `[out:json][timeout:25];(${group};);out body;>;out skel qt;`;
+    };
+
+    let tiles = splitBBoxIntoTiles(bbox);
+    if (polyFilter) {
+        // compare in lon/lat space: x = lon, y = lat
+        const ring = polygon.map(p => ({ x: p[1], y: p[0] }));
+        tiles = tiles.filter(([s, w, n, e]) => ringsIntersect([{ x: w, y: s }, { x: e, y: s }, { x: e, y: n }, { x: w, y: n }, { x: w, y: s }], ring));
+        if (!tiles.length) return { elements: [] };
+    }
+    if (tiles.length === 1) return await postOverpassQuery(buildQuery(tiles[0]));
+
+    const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+    const progress = { done: 0, total: tiles.length, failed: 0, retrying: false };
+    const report = () => { try { if (onProgress) onProgress({ ...progress }); } catch (e) { } };
+    const fetchTile = async (tile) => {
+        let lastErr = null;
+        for (let attempt = 0; attempt < OSM_TILE_ATTEMPTS; attempt++) {
+            try {
+                return await postOverpassQuery(buildQuery(tile));
+            } catch (err) {
+                lastErr = err;
+                // back off before retrying: Overpass answers 429/504 when overloaded
+                if (attempt + 1 < OSM_TILE_ATTEMPTS) await sleep(1000 * (attempt + 1));
+            }
+        }
+        throw lastErr;
+    };
+    report();
+    const results = await runWithConcurrency(tiles.map(tile => async () => {
+        try { return await fetchTile(tile); } catch (err) { progress.failed++; throw err; } finally { progress.done++; report(); }
+    }), OSM_TILE_CONCURRENCY);
+
+    // second chance for tiles that failed: one at a time once the others are done
+    const failedIdx = results.map((r, i) => (r.ok ? -1 : i)).filter(i => i >= 0);
+    if (failedIdx.length) {
+        progress.retrying = true;
+        report();
+        for (const i of failedIdx) {
+            await sleep(2000);
+            try { results[i] = { ok: true, value: await fetchTile(tiles[i]) }; progress.failed--; } catch (err) { }
+            report();
+        }
+    }
+    const ok = results.filter(r => r.ok).map(r => r.value);
+    if (!ok.length) throw new Error('Overpass error');
+    const data = mergeOsmResponses(ok);
+    data.failedTiles = results.filter(r => !r.ok).length;
     return data;
 }
 
@@ -490,19 +1079,124 @@ function showOverlay(mainText, detailText) {
 
 function hideOverlay() { try { const ov = document.getElementById('restoreOverlay'); if (ov) ov.classList.add('hidden'); } catch (e) { } }
 
+const LEVEL_HEIGHT = 3; // meters per storey when only level counts are tagged
+const DEFAULT_BUILDING_HEIGHT = 10;
+
+// Parse an OSM length value to meters: "12", "12 m", "12.5m", "40'", "40 ft", "12'6\"", "1,5 m".
+// Returns NaN when the value can't be understood.
+function parseLength(value) {
+    if (value === undefined || value === null) return NaN;
+    if (typeof value === 'number') return value;
+    const str = String(value).trim().toLowerCase().replace(',', '.');
+    // feet and inches, e.g. 12'6" or 40'
+    const ftIn = str.match(/^(-?\d+(?:\.\d+)?)\s*'\s*(?:(\d+(?:\.\d+)?)\s*")?$/);
+    if (ftIn) return parseFloat(ftIn[1]) * 0.3048 + (ftIn[2] ? parseFloat(ftIn[2]) * 0.0254 : 0);
+    const m = str.match(/^(-?\d+(?:\.\d+)?)\s*(m|meters?|metres?|km|ft|feet|foot|in|inch|inches|")?$/);
+    if (!m) return NaN;
+    const v = parseFloat(m[1]);
+    switch (m[2]) {
+        case 'km': return v * 1000;
+        case 'ft': case 'feet': case 'foot': return v * 0.3048;
+        case 'in': case 'inch': case 'inches': case '"': return v * 0.0254;
+        default: return v;
+    }
+}
+
+// Resolve the vertical extent of a building or building:part from its tags (Simple 3D Buildings scheme).
+// Returns { height, minHeight, roofHeight, heightSource } where height is the top above ground and
+// heightSource is 'tagged' (height), 'levels' (building:levels/roof:levels) or 'default'.
+function buildingHeightFromTags(tags) {
+    tags = tags || {};
+    const levels = parseFloat(tags['building:levels']);
+    const roofLevels = parseFloat(tags['roof:levels']);
+    const minLevel = parseFloat(tags['building:min_level']);
+    let roofHeight = parseLength(tags['roof:height']);
+    if (!(roofHeight >= 0)) roofHeight = (roofLevels >= 0) ? roofLevels * LEVEL_HEIGHT : 0;
+
+    let minHeight = parseLength(tags.min_height);
+    if (!(minHeight >= 0)) minHeight = (minLevel >= 0) ? minLevel * LEVEL_HEIGHT : 0;
+
+    let height = parseLength(tags.height);
+    let heightSource = 'tagged';
+    if (!(height > 0)) {
+        if (levels >= 0 || roofLevels >= 0) {
+            // building:levels counts storeys above ground, excluding the roof
+            height = (levels >= 0 ? levels : 0) * LEVEL_HEIGHT + roofHeight;
+            heightSource = 'levels';
+        } else {
+            height = minHeight + DEFAULT_BUILDING_HEIGHT;
+            heightSource = 'default';
+        }
+    }
+    // keep a visible extrusion when tags are inconsistent (e.g. min_height >= height)
+    if (height <= minHeight) height = minHeight + LEVEL_HEIGHT;
+    return { height, minHeight, roofHeight, heightSource };
+}
+
+// Join multipolygon member ways (arrays of node ids) into closed rings.
+// Ways are chained by shared end nodes and reversed when they run the other way.
+// Chains that cannot be closed (e.g. members missing from the response) are closed artificially.
+function assembleRings(wayNodeLists) {
+    const pending = wayNodeLists.filter(l => l && l.length >= 2).map(l => l.slice());
+    const rings = [];
+    while (pending.length) {
+        let ring = pending.shift();
+        while (ring[0] !== ring[ring.length - 1]) {
+            const head = ring[0], tail = ring[ring.length - 1];
+            let idx = pending.findIndex(l => l[0] === tail || l[l.length - 1] === tail);
+            if (idx >= 0) {
+                const next = pending.splice(idx, 1)[0];
+                if (next[0] !== tail) next.reverse();
+                ring = ring.concat(next.slice(1));
+                continue;
+            }
+            // try growing the chain backwards from its head
+            idx = pending.findIndex(l => l[0] === head || l[l.length - 1] === head);
+            if (idx >= 0) {
+                const prev = pending.splice(idx, 1)[0];
+                if (prev[prev.length - 1] !== head) prev.reverse();
+                ring = prev.slice(0, -1).concat(ring);
+                continue;
+            }
+            ring = ring.concat([ring[0]]);
+        }
+        if (ring.length >= 4) rings.push(ring);
+    }
+    return rings;
+}
+
+// Build polygons ({ coords, holes }) in [lat, lon] from a multipolygon relation.
+// Each outer ring becomes one polygon; inner rings are attached to the smallest outer ring containing them.
+function buildMultipolygon(rel, waysIndex, nodes) {
+    const outerLists = [], innerLists = [];
+    for (const m of rel.members || []) {
+        if (m.type !== 'way') continue;
+        const w = waysIndex.get(m.ref);
+        if (!w || !w.nodes) continue;
+        if (m.role === 'inner') innerLists.push(w.nodes);
+        else if (m.role === 'outer' || !m.role) outerLists.push(w.nodes);
+    }
+    const toCoords = (ring) => ring.map(id => { const n = nodes.get(id); return n ? [n.lat, n.lon] : null; }).filter(Boolean);
+    const toXY = (coords) => coords.map(c => ({ x: c[1], y: c[0] }));
+    const outers = assembleRings(outerLists).map(toCoords).filter(c => c.length >= 3)
+        .map(coords => ({ coords, holes: [], ring: toXY(coords), area: polygonArea(toXY(coords)) }));
+    const inners = assembleRings(innerLists).map(toCoords).filter(c => c.length >= 3);
+    for (const inner of inners) {
+        const probe = { x: inner[0][1], y: inner[0][0] };
+        let best = null;
+        for (const o of outers) {
+            if (!pointInRing(probe.x, probe.y, o.ring)) continue;
+            if (!best || o.area < best.area) best = o;
+        }
+        if (best) best.holes.push(inner);
+    }
+    return outers.map(o => ({ coords: o.coords, holes: o.holes }));
+}
+
 function parseOSM(osm, bboxCenter) {
     const nodes = new Map();
     const waysIndex = new Map();
     const relations = [];
-    const roads = [];
-    const waters = [];
-    const forests = [];
-    const trees = [];
-    const parks = [];
-    const hills = [];
-    const buildings = [];
-    const infra = { hospitals: [], schools: [], busStops: [], power: [], parking: [], industrial: [], airports: [], bridges: [], rails: [] };
-    const peaks = [];
 
     // first pass: index nodes and ways
     for (const el of osm.elements) {
@@ -511,136 +1205,74 @@ function parseOSM(osm, bboxCenter) {
         else if (el.type === 'relation') relations.push(el);
     }
 
-    // process ways
+    const origin = { lat: bboxCenter[0], lon: bboxCenter[1] };
+    const toMeters = (coords) => coords.map(c => latLonToMeters(c[0], c[1], origin));
+    // inner rings (multipolygon holes) converted to local meters; omitted when empty
+    const holesToMeters = (holes) => (holes && holes.length) ? holes.map(toMeters) : undefined;
+
+    // items keep `osmId` (type/id) so an area extension can skip features it already has
+    // every bucket exists even when empty so renderers and session restore can rely on the shape
+    const classes = layerClasses();
+    const parsed = { infra: {}, custom: {} };
+    for (const cls of classes) {
+        const [head, sub] = cls.bucket.split('.');
+        if (sub) { if (!parsed[head]) parsed[head] = {}; parsed[head][sub] = []; } else parsed[head] = [];
+    }
+    const push = (cls, item) => {
+        const [head, sub] = cls.bucket.split('.');
+        (sub ? parsed[head][sub] : parsed[head]).push(cls.props ? { ...item, ...cls.props(item.tags) } : item);
+    };
+
+    // ways
     for (const [id, way] of waysIndex) {
         const tags = way.tags || {};
+        const matched = classifyElement('way', tags, classes);
+        if (!matched.length) continue;
         const coords = (way.nodes || []).map(id => { const n = nodes.get(id); return n ? [n.lat, n.lon] : null; }).filter(Boolean);
-        // collect forests
-        if (tags.landuse === 'forest' || tags.natural === 'wood') {
-            forests.push({ coords, tags });
-            continue;
-        }
-        if (tags.building) {
-            const height = tags.height ? parseFloat(tags.height) : (tags['building:levels'] ? parseFloat(tags['building:levels']) * 3 : 10);
-            buildings.push({ coords, height, tags });
-        } else if (tags.amenity === 'hospital') {
-            infra.hospitals.push({ coords, tags });
-        } else if (tags.amenity === 'school') {
-            infra.schools.push({ coords, tags });
-        } else if (tags.highway) {
-            roads.push({ coords, tags });
-        } else if (tags.railway) {
-            infra.rails.push({ coords, tags });
-        } else if (tags.natural === 'hill') {
-            hills.push({ coords, tags });
-        } else if (tags.natural === 'water' || tags.water === 'lake' || tags.waterway === 'river' || tags['waterway']) {
-            waters.push({ coords, tags });
-        } else if (tags.man_made === 'pier' || tags.landuse === 'port') {
-            // port / pier ways
-            if (coords && coords.length) {
-                // treat as port polygon/shape
-                waters.push({ coords, tags }); // reuse water bucket temporarily if overlapping
-            }
-        } else if (tags.amenity === 'parking') {
-            infra.parking.push({ coords, tags });
-        } else if (tags.landuse === 'industrial') {
-            infra.industrial.push({ coords, tags });
-        } else if (tags.aeroway) {
-            infra.airports.push({ coords, tags });
-        } else if (tags.bridge) {
-            infra.bridges.push({ coords, tags });
-        } else if (tags.power) {
-            infra.power.push({ coords, tags });
-        } else if (tags.leisure === 'park' || tags.landuse === 'park') {
-            parks.push({ coords, tags });
-        }
-    }
-
-    // process relations (try to stitch multipolygon members into polygons)
+        if (!coords.length) continue;
+        const pts = toMeters(coords);
+        for (const cls of matched) push(cls, { pts, tags, osmId: 'way/' + id });
+    }
+
+    // relations: assemble multipolygon members into outer rings with inner holes
     for (const rel of relations) {
         const tags = rel.tags || {};
-        if (tags.type === 'multipolygon') {
-            // collect member ways that are outer
-            const outerWays = [];
-            for (const m of rel.members || []) {
-                if (m.type === 'way' && (m.role === 'outer' || !m.role)) {
-                    const w = waysIndex.get(m.ref);
-                    if (!w) continue;
-                    const coords = (w.nodes || []).map(id => { const n = nodes.get(id); return n ? [n.lat, n.lon] : null; }).filter(Boolean);
-                    outerWays.push(coords);
-                }
-            }
-            // naive stitch: flatten outerWays assuming they are already ordered
-            const stitched = [].concat(...outerWays);
-            if (stitched.length >= 3) {
-                if (tags.natural === 'water' || tags.landuse === 'reservoir') waters.push({ coords: stitched, tags });
-                else if (tags.landuse === 'forest' || tags.natural === 'wood') forests.push({ coords: stitched, tags });
-                else if (tags.leisure === 'park') parks.push({ coords: stitched, tags });
-                else if (tags.building) buildings.push({ coords: stitched, height: tags.height ? parseFloat(tags.height) : 10, tags });
-                else if (tags.natural === 'hill') hills.push({ coords: stitched, tags });
-                else if (tags.amenity === 'hospital') infra.hospitals.push({ coords: stitched, tags });
-                else if (tags.amenity === 'school') infra.schools.push({ coords: stitched, tags });
-                else if (tags.amenity === 'parking') infra.parking.push({ coords: stitched, tags });
-                else if (tags.landuse === 'industrial') infra.industrial.push({ coords: stitched, tags });
-                else if (tags.aeroway) infra.airports.push({ coords: stitched, tags });
-            }
+        if (tags.type !== 'multipolygon') continue;
+        const matched = classifyElement('relation', tags, classes);
+        if (!matched.length) continue;
+        for (const poly of buildMultipolygon(rel, waysIndex, nodes)) {
+            const pts = toMeters(poly.coords), holes = holesToMeters(poly.holes);
+            for (const cls of matched) push(cls, { pts, holes, tags, osmId: 'relation/' + rel.id });
         }
     }
 
-    // process peaks (nodes)
-    for (const el of osm.elements) {
-        if (el.type === 'node') {
-            const tags = el.tags || {};
-            if (tags.natural === 'peak' || tags.peak || tags.place === 'mountain' || tags.natural === 'mountain') {
-                peaks.push({ coord: [el.lat, el.lon], tags });
-            }
-            // individual tree nodes
-            if (tags && (tags.natural === 'tree' || tags.natural === 'wood' || tags.tree)) {
-                trees.push({ lat: el.lat, lon: el.lon, tags });
-            }
-        }
+    // tagged nodes (peaks, trees, point infrastructure)
+    for (const [id, el] of nodes) {
+        if (!el.tags) continue;
+        const matched = classifyElement('node', el.tags, classes);
+        if (!matched.length) continue;
+        const pos = latLonToMeters(el.lat, el.lon, origin);
+        for (const cls of matched) push(cls, { pos, tags: el.tags, osmId: 'node/' + id });
     }
-    // also capture infra nodes (hospital, school, bus_stop, power, aerodrome, parking)
-    for (const el of osm.elements) {
-        if (el.type !== 'node') continue;
-        const tags = el.tags || {};
-        if (tags.amenity === 'hospital') infra.hospitals.push({ coord: [el.lat, el.lon], tags });
-        else if (tags.amenity === 'school') infra.schools.push({ coord: [el.lat, el.lon], tags });
-        else if (tags.highway === 'bus_stop') infra.busStops.push({ coord: [el.lat, el.lon], tags });
-        else if (tags.power) infra.power.push({ coord: [el.lat, el.lon], tags });
-        else if (tags.aeroway === 'aerodrome' || tags.aeroway) infra.airports.push({ coord: [el.lat, el.lon], tags });
-        else if (tags.amenity === 'parking') infra.parking.push({ coord: [el.lat, el.lon], tags });
-    }
-    // convert to three meshes
-    const origin = { lat: bboxCenter[0], lon: bboxCenter[1] };
-    const buildingMeshes = buildings.map(w => ({ pts: w.coords.map(c => latLonToMeters(c[0], c[1], origin)), height: w.height, tags: w.tags }));
-    const roadMeshes = roads.map(r => ({ pts: r.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: r.tags }));
-    const waterMeshes = waters.map(w => ({ pts: w.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: w.tags }));
-    const parkMeshes = parks.map(p => ({ pts: p.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: p.tags }));
-    const peakPoints = peaks.map(p => ({ pos: latLonToMeters(p.coord[0], p.coord[1], origin), tags: p.tags }));
-    const hillMeshes = hills.map(h => ({ pts: h.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: h.tags }));
-    const forestMeshes = forests.map(f => ({ pts: f.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: f.tags }));
-    const treePoints = trees.map(t => ({ pos: latLonToMeters(t.lat, t.lon, origin), tags: t.tags }));
-    const portMeshes = []; // ports will be inferred from pier/port ways if present earlier
-    // convert infra
-    const infraMeshes = {
-        hospitals: infra.hospitals.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        schools: infra.schools.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        busStops: infra.busStops.map(i => ({ pos: i.coord ? latLonToMeters(i.coord[0], i.coord[1], origin) : null, tags: i.tags })),
-        power: infra.power.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        parking: infra.parking.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        industrial: infra.industrial.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        airports: infra.airports.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        bridges: infra.bridges.map(i => ({ pts: i.coords ? i.coords.map(c => latLonToMeters(c[0], c[1], origin)) : [], tags: i.tags })),
-        rails: infra.rails.map(i => ({ pts: i.pts ? i.pts.map(c => latLonToMeters(c[0], c[1], origin)) : i.coords.map(c => latLonToMeters(c[0], c[1], origin)), tags: i.tags })),
-    };
 
-    return { buildings: buildingMeshes, roads: roadMeshes, water: waterMeshes, parks: parkMeshes, peaks: peakPoints, hills: hillMeshes, infra: infraMeshes, forests: forestMeshes, trees: treePoints, ports: portMeshes };
+    // an outline that contains building:part shapes is only a footprint; the parts carry the 3D form
+    const partMeshes = parsed.buildings.filter(b => b.part && b.pts.length >= 3);
+    if (partMeshes.length) {
+        const partCentroids = partMeshes.map(b => ({ x: b.pts.reduce((s, p) => s + p.x, 0) / b.pts.length, y: b.pts.reduce((s, p) => s + p.y, 0) / b.pts.length }));
+        parsed.buildings = parsed.buildings.filter(b => b.part || b.pts.length < 3 || !partCentroids.some(c => pointInPolygonWithHoles(c.x, c.y, b.pts, b.holes)));
+    }
+    return parsed;
 }
 
 // --- Terrain / elevation support using OpenTopoData
-const VERT_SCALE = 0.5; // vertical exaggeration / scale for terrain and object heights
+// Scene units are meters everywhere (terrain z = h - minH, buildings at their real height). Vertical
+// exaggeration is only a view setting: scene.scale.z, so everything in the scene stretches together.
+let verticalExaggeration = 1;
+let exaggerationChosen = false; // the user moved the control; scans stop suggesting a value
+// What a terrain grid point is covered by (stored per point in terrainGrid.classification and in sessions)
+const TERRAIN_CLASS = { land: 0, lake: 1, river: 2 };
 let terrain = null; // THREE.Mesh
+let terrainLod = null; // TerrainLod drawn instead of `terrain` when chunk streaming is on
 let terrainGrid = null; // { nx, ny, lats[][], lons[][], heights[][], origin, dx, dy }
 let selectedDataset = 'srtm90m';
 
@@ -649,6 +1281,8 @@ async function loadOpenTopoDatasets() {
     const fallback = [
         'aster30m', 'bkg200m', 'emod2018', 'etopo1', 'eudem25m', 'gebco2020', 'mapzen', 'ned10m', 'nzdem8m', 'srtm30m', 'srtm90m', 'test-dataset'
     ];
+    // "local" = DEM files served by the proxy (see server/dem.js)
+    if (isLocalHost()) fallback.push('local');
     const sel = document.getElementById('datasetSelect');
     if (sel) {
         sel.innerHTML = '';
@@ -659,18 +1293,20 @@ async function loadOpenTopoDatasets() {
     }
 }
 
-function addForestsToScene(forestMeshes) {
+function addForestsToScene(forestMeshes, append = false) {
     if (!scene.userData.forests) scene.userData.forests = [];
-    for (const r of scene.userData.forests) scene.remove(r);
-    scene.userData.forests = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.forests) scene.remove(r);
+        scene.userData.forests = [];
+    }
+    const selBounds = getSelectionBounds();
     for (const f of forestMeshes) {
         try { if (selBounds && f.pts && !ptsIntersectBounds(f.pts, selBounds)) continue; } catch (e) { }
         if (!f.pts || f.pts.length < 3) continue;
         try {
-            const shape = new THREE.Shape(f.pts.map(p => new THREE.Vector2(p.x, p.y)));
+            const shape = shapeFromPts(f.pts, f.holes);
             const geom = new THREE.ExtrudeGeometry(shape, { depth: 0.5, bevelEnabled: false });
-            const mat = new THREE.MeshLambertMaterial({ color: 0x2e8b57, opacity: 0.8, transparent: true });
+            const mat = new THREE.MeshLambertMaterial({ color: layerStyle('forest', 'color', 0x2e8b57), opacity: 0.8, transparent: true });
             const mesh = new THREE.Mesh(geom, mat);
             // position slightly above terrain to avoid z-fight
             let sumh = 0, c = 0; for (const p of f.pts) { const hh = getTerrainHeightAt(p.x, p.y); if (!isNaN(hh)) { sumh += hh; c++; } }
@@ -680,15 +1316,17 @@ function addForestsToScene(forestMeshes) {
     }
 }
 
-function addTreesToScene(treePoints) {
+function addTreesToScene(treePoints, append = false) {
     if (!scene.userData.trees) scene.userData.trees = [];
-    for (const r of scene.userData.trees) scene.remove(r);
-    scene.userData.trees = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.trees) scene.remove(r);
+        scene.userData.trees = [];
+    }
+    const selBounds = getSelectionBounds();
     const geom = new THREE.ConeGeometry(0.6, 2.0, 6);
-    const mat = new THREE.MeshLambertMaterial({ color: 0x227722 });
+    const mat = new THREE.MeshLambertMaterial({ color: layerStyle('forest', 'treeColor', 0x227722) });
     for (const t of treePoints) {
-        try { if (selBounds && t.pos && (t.pos.x < selBounds.minX || t.pos.x > selBounds.maxX || t.pos.y < selBounds.minY || t.pos.y > selBounds.maxY)) continue; } catch (e) { }
+        try { if (selBounds && t.pos && !pointInBounds(t.pos, selBounds)) continue; } catch (e) { }
         const h = getTerrainHeightAt(t.pos.x, t.pos.y) || 0;
         const m = new THREE.Mesh(geom, mat);
         m.position.set(t.pos.x, t.pos.y, h + 1);
@@ -696,17 +1334,19 @@ function addTreesToScene(treePoints) {
     }
 }
 
-function addPortsToScene(portMeshes) {
+function addPortsToScene(portMeshes, append = false) {
     if (!scene.userData.ports) scene.userData.ports = [];
-    for (const r of scene.userData.ports) scene.remove(r);
-    scene.userData.ports = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.ports) scene.remove(r);
+        scene.userData.ports = [];
+    }
+    const selBounds = getSelectionBounds();
     for (const p of portMeshes) {
         try { if (selBounds && p.pts && !ptsIntersectBounds(p.pts, selBounds)) continue; } catch (e) { }
         if (!p.pts || !p.pts.length) continue;
-        const shape = new THREE.Shape(p.pts.map(pt => new THREE.Vector2(pt.x, pt.y)));
+        const shape = shapeFromPts(p.pts, p.holes);
         const geom = new THREE.ExtrudeGeometry(shape, { depth: 1, bevelEnabled: false });
-        const mat = new THREE.MeshLambertMaterial({ color: 0x888888, opacity: 0.9, transparent: true });
+        const mat = new THREE.MeshLambertMaterial({ color: layerStyle('port', 'color', 0x888888), opacity: 0.9, transparent: true });
         const mesh = new THREE.Mesh(geom, mat);
         let sumh = 0, c = 0; for (const pt of p.pts) { const hh = getTerrainHeightAt(pt.x, pt.y); if (!isNaN(hh)) { sumh += hh; c++; } }
         mesh.position.z = c ? (sumh / c) : 0;
@@ -714,14 +1354,16 @@ function addPortsToScene(portMeshes) {
     }
 }
 // Fetch elevations for an array of {lat,lon} points. Returns flat array of elevations matching input order.
-async function fetchElevationPoints(points) {
+// Elevations of points [{ lat, lon }] from OpenTopoData (through the proxy on local hosts), in order.
+// Points the service has no data for, or whose batch failed, come back as null.
+async function fetchElevationPoints(points, dataset = selectedDataset) {
     const out = [];
     const batchSize = 100; // keep batches small to avoid long URLs
     for (let i = 0; i < points.length; i += batchSize) {
         const batch = points.slice(i, i + batchSize);
         const locs = batch.map(p => `${p.lat},${p.lon}`).join('|');
-        const isLocal = (typeof window !== 'undefined') && (window.location.hostname === '127.0.0.1' || window.location.hostname === 'localhost');
-        const base = isLocal ? `http://localhost:3000/opentopo` : `https://api.opentopodata.org/v1/${encodeURIComponent(selectedDataset)}`;
+        const isLocal = isLocalHost();
+        const base = isLocal ? `${PROXY_BASE}/opentopo` : `https://api.opentopodata.org/v1/${encodeURIComponent(dataset)}`;
 
         // helper sleep for backoff
         const sleep = (ms) => new Promise(res => setTimeout(res, ms));
@@ -733,7 +1375,7 @@ async function fetchElevationPoints(points) {
             try {
                 // Try GET for short queries
                 const getUrl = isLocal
-                    ? `${base}?locations=${encodeURIComponent(locs)}&interpolation=cubic&format=geojson&dataset=${encodeURIComponent(selectedDataset)}`
+                    ? `${base}?locations=${encodeURIComponent(locs)}&interpolation=cubic&format=geojson&dataset=${encodeURIComponent(dataset)}`
                     : `${base}?locations=${encodeURIComponent(locs)}&interpolation=cubic&format=geojson`;
                 if (getUrl.length < 2000) {
                     const gres = await fetch(getUrl);
@@ -749,7 +1391,7 @@ async function fetchElevationPoints(points) {
                     body.append('locations', locs);
                     body.append('interpolation', 'cubic');
                     body.append('format', 'geojson');
-                    if (isLocal) body.append('dataset', selectedDataset);
+                    if (isLocal) body.append('dataset', dataset);
                     const pres = await fetch(base, { method: 'POST', body: body.toString(), headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
                     if (!pres.ok) {
                         data = null;
@@ -793,7 +1435,7 @@ async function fetchElevationPoints(points) {
                     if (typeof c[1] === 'number' && typeof c[0] === 'number') { lon = c[0]; lat = c[1]; }
                     else if (Array.isArray(c[0]) && typeof c[0][1] === 'number') { lon = c[0][0]; lat = c[0][1]; }
                 }
-                if (lat !== null && lon !== null) feats.push({ lat, lon, elev: (elev === null ? 0 : elev) });
+                if (lat !== null && lon !== null) feats.push({ lat, lon, elev });
             }
 
             // If returned features count matches requested batch, perform a one-to-one nearest-neighbor assignment
@@ -808,7 +1450,7 @@ async function fetchElevationPoints(points) {
                         if (d < bestD) { bestD = d; bestIdx = k; }
                     }
                     if (bestIdx >= 0) { out.push(feats[bestIdx].elev); used[bestIdx] = true; }
-                    else out.push(0);
+                    else out.push(null);
                 }
                 /* assigned one-to-one for batch (removed) */
             } else {
@@ -825,21 +1467,21 @@ async function fetchElevationPoints(points) {
                         const d = dx * dx + dy * dy;
                         if (d < bestD) { bestD = d; bestIdx = k; }
                     }
-                    if (bestIdx >= 0) out.push(feats[bestIdx].elev); else out.push(0);
+                    if (bestIdx >= 0) out.push(feats[bestIdx].elev); else out.push(null);
                 }
                 /* fallback assignment for batch (removed) */
             }
         } else if (data && Array.isArray(data.results)) {
             // results[] may be same length or shorter; map robustly to requested points
             if (data.results.length === batch.length) {
-                for (const r of data.results) out.push(r.elevation === null ? 0 : r.elevation);
+                for (const r of data.results) out.push(typeof r.elevation === 'number' ? r.elevation : null);
                 /* results[] matched batch length (removed) */
             } else {
                 // build feats from results and nearest-match to batch points
                 const feats = [];
                 for (const r of data.results) {
                     if (!r || !r.location) continue;
-                    feats.push({ lat: r.location.latitude || r.location.lat || null, lon: r.location.longitude || r.location.lon || null, elev: (r.elevation === null ? 0 : r.elevation) });
+                    feats.push({ lat: r.location.latitude || r.location.lat || null, lon: r.location.longitude || r.location.lon || null, elev: (typeof r.elevation === 'number' ? r.elevation : null) });
                 }
                 if (feats.length === batch.length) {
                     const used = new Array(feats.length).fill(false);
@@ -852,7 +1494,7 @@ async function fetchElevationPoints(points) {
                             if (d < bestD) { bestD = d; bestIdx = k; }
                         }
                         if (bestIdx >= 0) { out.push(feats[bestIdx].elev); used[bestIdx] = true; }
-                        else out.push(0);
+                        else out.push(null);
                     }
                 } else if (feats.length > 0) {
                     // nearest neighbor mapping without reservation
@@ -863,41 +1505,32 @@ async function fetchElevationPoints(points) {
                             const d = dx * dx + dy * dy;
                             if (d < bestD) { bestD = d; bestIdx = k; }
                         }
-                        out.push(bestIdx >= 0 ? feats[bestIdx].elev : 0);
+                        out.push(bestIdx >= 0 ? feats[bestIdx].elev : null);
                     }
-                } else {
-                    // no usable results, push zeros for this batch
-                    for (let k = 0; k < batch.length; k++) out.push(0);
                 }
             }
-        } else {
-            // fallback: try to salvage numbers
-            if (data && typeof data === 'object') {
-                const vals = JSON.stringify(data).match(/-?\d+\.?\d*/g) || [];
-                for (const v of vals) out.push(parseFloat(v));
-            }
         }
-        // Ensure we've appended exactly batch.length elevation values for this batch
-        const appended = out.length - Math.max(0, out.length - batch.length - (points.length - (i + batch.length)));
-        // simpler: compute how many we appended in this iteration by comparing with expected index
-        // compute expected total after this batch
+        // an unusable response leaves the whole batch missing; spikes are judged on the grid (cleanElevationGrid)
         const expectedTotal = Math.min(points.length, i + batch.length);
-        if (out.length < expectedTotal) {
-            const need = expectedTotal - out.length;
-            for (let k = 0; k < need; k++) out.push(0);
-        }
-
-        // diagnostic: check for abrupt large jumps in this batch
-        if (out.length >= expectedTotal) {
-            let jumps = 0; let last = out[expectedTotal - batch.length];
-            for (let k = expectedTotal - batch.length + 1; k < expectedTotal; k++) {
-                const v = out[k]; if (Math.abs(v - last) > 1000) jumps++; last = v;
-            }
-        }
+        while (out.length < expectedTotal) out.push(null);
     }
     return out;
 }
 
+// Whole nx x ny height grid over bbox from the proxy's /elevation/grid (cached and throttled server side).
+// Returns heights[ny][nx] (south to north, west to east), or null when the proxy can't answer.
+async function fetchElevationGrid(bbox, nx, ny) {
+    if (!isLocalHost()) return null;
+    try {
+        const params = new URLSearchParams({ bbox: bbox.join(','), nx: String(nx), ny: String(ny), dataset: selectedDataset, interpolation: 'cubic' });
+        const res = await fetch(`${PROXY_BASE}/elevation/grid?${params.toString()}`);
+        if (!res.ok) return null;
+        const data = await res.json();
+        if (!Array.isArray(data.heights) || data.heights.length !== ny) return null;
+        return data.heights.map(row => row.map(h => (typeof h === 'number' ? h : null)));
+    } catch (e) { return null; }
+}
+
 async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
     // bbox = [south, west, north, east]
     const [s, w, n, e] = bbox;
@@ -907,18 +1540,20 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
     const lons = new Array(nx);
     for (let j = 0; j < ny; j++) lats[j] = s + (n - s) * (j / (ny - 1));
     for (let i = 0; i < nx; i++) lons[i] = w + (e - w) * (i / (nx - 1));
-    // prepare point list for elevation API
-    const points = [];
-    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) points.push({ lat: lats[j], lon: lons[i] });
-    const heightsFlat = await fetchElevationPoints(points);
-
-    // build heights 2D array
-    const heights = new Array(ny);
-    let idx = 0;
-    for (let j = 0; j < ny; j++) {
-        heights[j] = new Array(nx);
-        for (let i = 0; i < nx; i++) { heights[j][i] = heightsFlat[idx++] || 0; }
+    // one request through the proxy when available, else point batches straight to OpenTopoData
+    let heights = await fetchElevationGrid(bbox, nx, ny);
+    if (!heights) {
+        const points = [];
+        for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) points.push({ lat: lats[j], lon: lons[i] });
+        const heightsFlat = await fetchElevationPoints(points);
+        heights = new Array(ny);
+        let idx = 0;
+        for (let j = 0; j < ny; j++) {
+            heights[j] = new Array(nx);
+            for (let i = 0; i < nx; i++) { heights[j][i] = heightsFlat[idx++]; }
+        }
     }
+    const quality = await cleanElevationGrid(heights, lats, lons);
 
     // define origin (bbox center) early so water integration and spacing can use it
     const origin = { lat: (s + n) / 2, lon: (w + e) / 2 };
@@ -932,20 +1567,106 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
         }
     }
 
-    // prepare water mask if waterMeshes provided (waterMeshes are in local meters coords)
-    const waterMask = new Array(ny);
-    for (let j = 0; j < ny; j++) { waterMask[j] = new Array(nx).fill(false); }
-    // helper: point-in-polygon (ray-casting)
-    function pointInPoly(x, y, poly) {
-        let inside = false;
-        for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-            const xi = poly[i].x, yi = poly[i].y;
-            const xj = poly[j].x, yj = poly[j].y;
-            const intersect = ((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi + 0.0) + xi);
-            if (intersect) inside = !inside;
-        }
-        return inside;
+    // carve lakes and rivers into the heights (waterMeshes are in local meters coords)
+    const { waterMask, classification } = carveWaterIntoGrid(lats, lons, heights, origin, xyGrid, waterMeshes);
+
+    // compute min/max for diagnostics and visualization scaling
+    let minH = Infinity, maxH = -Infinity;
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        const h = heights[j][i];
+        if (h < minH) minH = h;
+        if (h > maxH) maxH = h;
+    }
+    if (minH === Infinity) { minH = 0; maxH = 0; }
+    /* Terrain heights logged (removed) */
+
+    createTerrainMesh({ nx, ny, lats, lons, heights, origin, xyGrid, waterMask, classification, minH, selectionRing: lastPolygon });
+    // very flat terrain is hard to read at true scale: suggest an exaggeration unless the user picked one
+    const relief = maxH - minH;
+    const suggested = relief < 5 ? 5 : (relief < 20 ? 2 : 1);
+    if (!exaggerationChosen && suggested !== verticalExaggeration) {
+        setVerticalExaggeration(suggested);
+        if (suggested > 1) showToast(`Địa hình khá phẳng (chênh ${relief.toFixed(1)} m): phóng đại chiều cao ×${suggested}.`, 'info');
+    }
+    terrainGrid.quality = quality;
+    showElevationQuality(quality);
+}
+
+// Dataset asked for points the selected one has no data for (GEBCO covers oceans; ETOPO1 if GEBCO is selected)
+function fallbackDataset(dataset) {
+    return dataset === 'gebco2020' ? 'etopo1' : 'gebco2020';
+}
+
+// Make a fetched height grid usable, in place: points with no data are asked from the fallback dataset,
+// isolated spikes and pits are rejected, and whatever is still missing is interpolated from neighbours.
+// editable(j, i) limits which points are checked (the others are trusted, e.g. an already cleaned grid).
+// Returns { dataset, fallbackDataset, total, missing, fallback, spikes, filled, flags[j][i] (SAMPLE_FLAG) }.
+async function cleanElevationGrid(heights, lats, lons, editable = () => true) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const q = { dataset: selectedDataset, fallbackDataset: fallbackDataset(selectedDataset), total: 0, missing: 0, fallback: 0, spikes: 0, filled: 0 };
+    q.flags = heights.map(row => row.map(() => SAMPLE_FLAG.ok));
+    const missing = [];
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        if (!editable(j, i)) continue;
+        q.total++;
+        if (!Number.isFinite(heights[j][i])) missing.push([j, i]);
+    }
+    q.missing = missing.length;
+    if (missing.length) {
+        try {
+            // on local hosts this goes through the proxy's /opentopo, so fallback points share its cache and rate limit
+            const got = await fetchElevationPoints(missing.map(([j, i]) => ({ lat: lats[j], lon: lons[i] })), q.fallbackDataset);
+            missing.forEach(([j, i], k) => {
+                if (!Number.isFinite(got[k])) return;
+                heights[j][i] = got[k];
+                q.flags[j][i] = SAMPLE_FLAG.fallback;
+                q.fallback++;
+            });
+        } catch (e) { }
     }
+    const spikes = findSpikes(heights);
+    const invalid = heights.map((row, j) => row.map((h, i) => {
+        if (!editable(j, i)) return false;
+        if (spikes[j][i]) { q.flags[j][i] = SAMPLE_FLAG.spike; q.spikes++; return true; }
+        if (!Number.isFinite(h)) { q.flags[j][i] = SAMPLE_FLAG.filled; return true; }
+        return false;
+    }));
+    q.filled = fillGaps(heights, invalid);
+    return q;
+}
+
+// Quality of an extended grid: flags of the old grid moved to their new place, counts added up
+function mergeElevationQuality(oldGrid, jOffset, iOffset, q) {
+    const old = oldGrid.quality;
+    if (!old || !old.flags) return q;
+    for (let j = 0; j < oldGrid.ny; j++) for (let i = 0; i < oldGrid.nx; i++) q.flags[j + jOffset][i + iOffset] = old.flags[j][i];
+    for (const key of ['total', 'missing', 'fallback', 'spikes', 'filled']) q[key] += old[key] || 0;
+    return q;
+}
+
+// Data-quality line in the panel after a scan; a toast when samples had to be replaced
+function showElevationQuality(q) {
+    const el = document.getElementById('terrainQuality');
+    if (!q) { if (el) el.textContent = ''; return; }
+    const pct = (n) => (q.total ? (100 * n / q.total).toFixed(1) : '0');
+    const gaps = q.missing - q.fallback;
+    const parts = [`${q.total} điểm độ cao (${q.dataset})`];
+    if (q.missing) parts.push(`${q.missing} điểm thiếu dữ liệu (${pct(q.missing)}%)`);
+    if (q.fallback) parts.push(`${q.fallback} lấy từ ${q.fallbackDataset}`);
+    if (gaps > 0) parts.push(`${gaps} nội suy từ điểm lân cận`);
+    if (q.spikes) parts.push(`${q.spikes} điểm nhiễu (gai/hố) đã làm mịn`);
+    const text = parts.join(' · ');
+    if (el) el.textContent = `Chất lượng dữ liệu: ${q.missing || q.spikes ? text : `${text} · đầy đủ`}`;
+    if (q.missing || q.spikes) showToast(`Dữ liệu độ cao: ${parts.slice(1).join(', ')}.`, gaps + q.spikes > q.total * 0.05 ? 'error' : 'info');
+}
+
+// Lower lake and river cells of a height grid to their water level. Returns { waterMask (ny x nx booleans),
+// classification (ny x nx TERRAIN_CLASS codes) }.
+// canEdit(j, i) limits the cells that may change (used when stitching new strips onto an existing grid).
+function carveWaterIntoGrid(lats, lons, heights, origin, xyGrid, waterMeshes, canEdit = () => true) {
+    const ny = lats.length, nx = lons.length;
+    const waterMask = new Array(ny), classification = new Array(ny);
+    for (let j = 0; j < ny; j++) { waterMask[j] = new Array(nx).fill(false); classification[j] = new Array(nx).fill(TERRAIN_CLASS.land); }
     // helper: distance from point to polyline (segments)
     function pointToPolylineDist(x, y, pts) {
         let best = Infinity;
@@ -970,12 +1691,13 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
             // polygonal water (lake/reservoir)
             if (w.pts.length >= 3) {
                 // polygonal water (lake/reservoir)
-                // Step 1: mark grid cells whose centers fall inside the polygon
+                // Step 1: mark grid cells whose centers fall inside the polygon (islands in holes stay dry)
                 for (let j = 0; j < ny; j++) {
                     for (let i = 0; i < nx; i++) {
                         const pxy = latLonToMeters(lats[j], lons[i], origin);
-                        if (pointInPoly(pxy.x, pxy.y, w.pts)) {
+                        if (canEdit(j, i) && pointInPolygonWithHoles(pxy.x, pxy.y, w.pts, w.holes)) {
                             waterMask[j][i] = true;
+                            classification[j][i] = TERRAIN_CLASS.lake;
                         }
                     }
                 }
@@ -1036,9 +1758,11 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
                 const threshold = approxSpacing * 1.5;
                 for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
                     const xy = latLonToMeters(lats[j], lons[i], origin);
+                    if (!canEdit(j, i)) continue;
                     const d = pointToPolylineDist(xy.x, xy.y, w.pts);
                     if (d <= threshold) {
                         waterMask[j][i] = true;
+                        if (classification[j][i] === TERRAIN_CLASS.land) classification[j][i] = TERRAIN_CLASS.river;
                         // assign height to nearest polyline vertex height (use nearest vertex)
                         let bestD = Infinity, bi = 0;
                         for (let k = 0; k < w.pts.length; k++) {
@@ -1060,22 +1784,45 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
             }
         }
     }
+    return { waterMask, classification };
+}
 
-    // compute min/max for diagnostics and visualization scaling
-    let minH = Infinity, maxH = -Infinity;
-    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
-        const h = heights[j][i];
-        if (h < minH) minH = h;
-        if (h > maxH) maxH = h;
-    }
-    if (minH === Infinity) { minH = 0; maxH = 0; }
-    /* Terrain heights logged (removed) */
+// Whether grid point (j, i) of tg (default terrainGrid) is water
+function isWaterCell(j, i, tg = terrainGrid) {
+    return !!(tg && tg.waterMask && tg.waterMask[j] && tg.waterMask[j][i]);
+}
+
+// TERRAIN_CLASS code of grid point (j, i) of tg (default terrainGrid)
+function terrainClassAt(j, i, tg = terrainGrid) {
+    if (tg && tg.classification && tg.classification[j] && typeof tg.classification[j][i] === 'number') return tg.classification[j][i];
+    return isWaterCell(j, i, tg) ? TERRAIN_CLASS.lake : TERRAIN_CLASS.land;
+}
+
+// Predicate (j, i) for grid points touching a selected cell of a polygon scan, or null when the whole
+// grid is selected. Used to keep flood water, drainage and exports inside the selection.
+function selectionPointVisible(tg) {
+    if (!tg.selectionMask) return null;
+    return (j, i) => {
+        for (const jj of [j - 1, j]) for (const ii of [i - 1, i]) {
+            if (jj >= 0 && ii >= 0 && jj < tg.ny - 1 && ii < tg.nx - 1 && tg.selectionMask[jj][ii]) return true;
+        }
+        return false;
+    };
+}
 
-    // choose a visual vertical scale: if terrain is very flat, exaggerate for visibility
-    const delta = maxH - minH;
-    const extraScale = delta < 5 ? 10 : (delta < 20 ? 3 : 1);
-    const visualScale = VERT_SCALE * extraScale;
+// Vertex color of the terrain for elevation h (meters): water is blue, land goes from green to brown with height
+function terrainVertexColor(h, isWater) {
+    if (isWater) return [0.1, 0.45, 0.85];
+    const t = Math.max(0, Math.min(1, (h + 50) / 1000));
+    return [0.2 + 0.6 * t, 0.6 * (1 - t) + 0.3 * t, 0.2];
+}
 
+// Build the terrain mesh from a height grid and make it the current terrain / terrainGrid. Shared by a fresh
+// scan, an area extension and session restore.
+// Heights are drawn as h - minH (meters); water cells are tinted blue. classification defaults to
+// lake wherever waterMask is set. With selectionRing ([[lat, lon], ...]) only the cells touching that polygon are drawn.
+function createTerrainMesh({ nx, ny, lats, lons, heights, origin, xyGrid, waterMask, classification = null, minH, selectionRing = null }) {
+    if (!classification) classification = waterMask.map(row => row.map(w => (w ? TERRAIN_CLASS.lake : TERRAIN_CLASS.land)));
     // create geometry in local meters (using previously computed origin)
     // grid spacing in meters approximated by latLonToMeters delta
     const p00 = latLonToMeters(lats[0], lons[0], origin);
@@ -1086,7 +1833,7 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
 
 
     // build BufferGeometry using real world X,Y positions (local meters relative to origin)
-    // positions: nx * ny vertices, each with x,y,z (z = (h - minH) * visualScale)
+    // positions: nx * ny vertices, each with x,y,z (z = h - minH)
     const positions = new Float32Array(nx * ny * 3);
     const colors = new Float32Array(nx * ny * 3);
     let pi = 0;
@@ -1101,16 +1848,11 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
             const h = heights[j][i];
             positions[pi++] = p.x; // X
             positions[pi++] = p.y; // Y
-            positions[pi++] = (h - minH) * visualScale; // Z
+            positions[pi++] = h - minH; // Z
 
             // color: tint water vertices blue, else terrain gradient
-            if (waterMask[j][i]) {
-                colors[cpi++] = 0.1; colors[cpi++] = 0.45; colors[cpi++] = 0.85;
-            } else {
-                const t = Math.max(0, Math.min(1, (h + 50) / 1000));
-                const r = 0.2 + 0.6 * t; const g = 0.6 * (1 - t) + 0.3 * t; const b = 0.2;
-                colors[cpi++] = r; colors[cpi++] = g; colors[cpi++] = b;
-            }
+            const [r, g, b] = terrainVertexColor(h, waterMask[j][i]);
+            colors[cpi++] = r; colors[cpi++] = g; colors[cpi++] = b;
         }
     }
 
@@ -1118,10 +1860,25 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
     const gridDx = (nx > 1) ? ((maxX - minX) / (nx - 1)) : dx;
     const gridDy = (ny > 1) ? ((maxY - minY) / (ny - 1)) : dy;
 
+    // cells outside a polygon selection are masked out of the mesh (their heights are still sampled)
+    let selectionMask = null;
+    if (selectionRing && selectionRing.length >= 3) {
+        const ring = selectionRing.map(p => latLonToMeters(p[0], p[1], origin));
+        selectionMask = new Array(ny - 1);
+        for (let j = 0; j < ny - 1; j++) {
+            selectionMask[j] = new Array(nx - 1);
+            for (let i = 0; i < nx - 1; i++) {
+                const cell = [xyGrid[j][i], xyGrid[j][i + 1], xyGrid[j + 1][i + 1], xyGrid[j + 1][i], xyGrid[j][i]];
+                selectionMask[j][i] = ringsIntersect(cell, ring);
+            }
+        }
+    }
+
     // build index buffer (two triangles per cell)
     const indices = [];
     for (let j = 0; j < ny - 1; j++) {
         for (let i = 0; i < nx - 1; i++) {
+            if (selectionMask && !selectionMask[j][i]) continue;
             const a = j * nx + i;
             const b = j * nx + (i + 1);
             const c = (j + 1) * nx + i;
@@ -1146,13 +1903,1087 @@ async function buildTerrainForBBox(bbox, gridSize = 64, waterMeshes = null) {
     terrain.add(wireMesh);
     scene.add(terrain);
 
-    terrainGrid = { nx, ny, lats, lons, heights, origin, dx: gridDx, dy: gridDy, minX, minY, minH, visualScale, xyGrid };
+    terrainGrid = { nx, ny, lats, lons, heights, origin, dx: gridDx, dy: gridDy, minX, minY, minH, xyGrid, waterMask, classification, selectionMask };
+    onTerrainChanged();
 }
 
+// Refresh everything derived from terrainGrid after the terrain was built, extended or restored
+function onTerrainChanged() {
+    clearContours();
+    clearVisibility();
+    clearProfile();
+    clearCutFill();
+    clearHydrology();
+    resetFloodControls();
+    resetTerrainLod();
+    recolorTerrain();
+}
+
+// --- Terrain analysis coloring and overlays (see src/terrainAnalysis.js)
+let analysisOverlay = null; // Leaflet image overlay of the selected analysis raster
+
+function getTerrainColorMode() {
+    const el = document.getElementById('terrainColorMode');
+    return el ? el.value : 'height';
+}
+
+// Slope / aspect / hillshade rasters of the current terrainGrid, computed once per grid
+function terrainAnalysisRasters() {
+    const tg = terrainGrid;
+    if (!tg.analysis) {
+        const { slope, aspect } = slopeAspect(tg.heights, tg.dx, tg.dy);
+        tg.analysis = { slope, aspect, hillshade: hillshade(tg.heights, tg.dx, tg.dy) };
+    }
+    return tg.analysis;
+}
+
+// Color of base grid point (j, i) with elevation h (meters) in the selected terrain color mode
+function terrainColorAt(j, i, h) {
+    const tg = terrainGrid;
+    const water = isWaterCell(j, i, tg);
+    const mode = getTerrainColorMode();
+    if (mode === 'height' || (water && mode !== 'hillshade')) return terrainVertexColor(h, water);
+    return analysisColor(mode, terrainAnalysisRasters()[mode][j][i]);
+}
+
+// Re-apply the terrain color mode to the base mesh and LOD chunks, and refresh the 2D overlay and legend
+function recolorTerrain() {
+    if (!terrain || !terrainGrid) return;
+    const tg = terrainGrid;
+    const col = terrain.geometry.attributes.color;
+    if (col) {
+        for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) col.setXYZ(j * tg.nx + i, ...terrainColorAt(j, i, tg.heights[j][i]));
+        col.needsUpdate = true;
+    }
+    if (terrainLod) terrainLod.setMaterial(terrainLod.customMaterial || null, terrainLod.decorate || null);
+    updateAnalysisOverlay();
+}
+
+function updateAnalysisOverlay() {
+    if (analysisOverlay) { map.removeLayer(analysisOverlay); analysisOverlay = null; }
+    const mode = getTerrainColorMode();
+    const legendEl = document.getElementById('analysisLegend');
+    if (legendEl) {
+        legendEl.innerHTML = analysisLegend(mode).map(c => `<div class="flex items-center space-x-1"><span style="display:inline-block;width:10px;height:10px;background:${c.color};border:1px solid #555"></span><span>${c.label}</span></div>`).join('');
+    }
+    const toggle = document.getElementById('analysisOverlayToggle');
+    if (!terrainGrid || mode === 'height' || !toggle || !toggle.checked) return;
+    const tg = terrainGrid;
+    const mask = tg.selectionMask;
+    const canvas = rasterToCanvas(terrainAnalysisRasters()[mode], (v, j, i) => {
+        if (mask && !mask[Math.min(j, tg.ny - 2)][Math.min(i, tg.nx - 2)]) return null;
+        return analysisColor(mode, v);
+    });
+    // one pixel per grid point, so the image reaches half a cell past the outer points
+    const hLat = (tg.lats[1] - tg.lats[0]) / 2, hLon = (tg.lons[1] - tg.lons[0]) / 2;
+    const bounds = [[tg.lats[0] - hLat, tg.lons[0] - hLon], [tg.lats[tg.ny - 1] + hLat, tg.lons[tg.nx - 1] + hLon]];
+    analysisOverlay = L.imageOverlay(canvas.toDataURL(), bounds, { opacity: 0.6, interactive: false }).addTo(map);
+}
+
+// --- Viewshed and line of sight (see src/visibility.js)
+let visibilityLayer = null; // Leaflet layers of the last viewshed / line of sight
+let highlightedBlocker = null; // { mesh, color } of a building tinted as the blocker of a sight line
+
+// Wait for the next plain click on the map (Esc cancels); resolves with the latlng or null
+function pickMapPoint(message) {
+    // another tool's pick is abandoned (a path being drawn is dropped rather than finished)
+    if (pendingMapPick) { if (pathDraft) pathDraft.cancelled = true; cancelMapPick(); }
+    return new Promise((resolve) => {
+        if (message) showToast(message, 'info');
+        map.getContainer().style.cursor = 'crosshair';
+        pendingMapPick = resolve;
+    });
+}
+
+// Click vertices on the map until the tool's button is pressed again (finishPathDraft) or Esc cancels.
+// Resolves with the latlngs, or null when cancelled or too short (2 points for a path, 3 for a polygon).
+async function drawMapPath(owner, message, { color = '#ff851b', closed = false } = {}) {
+    if (pendingMapPick) { if (pathDraft) pathDraft.cancelled = true; cancelMapPick(); }
+    const style = { color, weight: 3, dashArray: '6 4' };
+    const draft = pathDraft = { owner, pts: [], line: (closed ? L.polygon([], style) : L.polyline([], style)).addTo(map), cancelled: false };
+    for (; ;) {
+        const p = await pickMapPoint(draft.pts.length === 0 ? message : null);
+        if (!p) break;
+        draft.pts.push(p);
+        draft.line.setLatLngs(draft.pts);
+    }
+    map.removeLayer(draft.line);
+    if (pathDraft === draft) pathDraft = null;
+    return !draft.cancelled && draft.pts.length >= (closed ? 3 : 2) ? draft.pts : null;
+}
+
+// Finish the path `owner` is drawing; false when it isn't drawing one
+function finishPathDraft(owner) {
+    if (!pathDraft || pathDraft.owner !== owner) return false;
+    cancelMapPick();
+    return true;
+}
+
+function cancelMapPick() {
+    const pick = pendingMapPick;
+    pendingMapPick = null;
+    map.getContainer().style.cursor = '';
+    if (pick) pick(null);
+}
+
+function clearVisibility() {
+    if (visibilityLayer) { map.removeLayer(visibilityLayer); visibilityLayer = null; }
+    for (const obj of scene.userData.visibility || []) {
+        scene.remove(obj);
+        obj.geometry.dispose();
+        obj.material.dispose();
+    }
+    scene.userData.visibility = [];
+    if (highlightedBlocker) { highlightedBlocker.mesh.material.color.setHex(highlightedBlocker.color); highlightedBlocker = null; }
+}
+
+// Ground elevation in meters (finest terrain loaded) at local x, y
+function groundElevationAt(x, y) {
+    return getTerrainHeightAt(x, y) + terrainGrid.minH;
+}
+
+function visibilityOptions() {
+    const obstacles = buildingObstacles(buildings.filter(b => b.userData && b.userData.footprint).map(b => {
+        const pts = b.userData.footprint;
+        const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length, cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+        const ground = groundElevationAt(cx, cy);
+        return { pts, base: ground + (b.userData.minHeight || 0), top: ground + (b.userData.height || 0), ref: b };
+    }));
+    return { terrainHeightAt: groundElevationAt, obstacles, step: Math.max(1, Math.min(terrainGrid.dx, terrainGrid.dy) / 2) };
+}
+
+function describeBlocker(blocker) {
+    if (!blocker) return '';
+    if (blocker.type === 'terrain') return 'địa hình';
+    const tags = (blocker.ref.userData && blocker.ref.userData.tags) || {};
+    const name = tags.name || [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+    return name ? `tòa nhà "${name}"` : `tòa nhà (${tags.building || 'không tên'}, cao ${Math.round(blocker.ref.userData.height || 0)} m)`;
+}
+
+// Visible (green) / hidden (red) cells of the terrain grid seen from an observer `height` meters above the ground,
+// each cell tested at `targetHeight` meters above its ground
+function runViewshed(latlng, height, targetHeight = 0) {
+    clearVisibility();
+    const tg = terrainGrid;
+    const o = latLonToMeters(latlng.lat, latlng.lng, tg.origin);
+    const observer = { x: o.x, y: o.y, z: groundElevationAt(o.x, o.y) + height };
+    const targets = [];
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) {
+        const p = tg.xyGrid[j][i];
+        targets.push({ x: p.x, y: p.y, z: groundElevationAt(p.x, p.y) + targetHeight });
+    }
+    const visible = computeViewshed(observer, targets, visibilityOptions());
+    const inSelection = (j, i) => !tg.selectionMask || tg.selectionMask[Math.min(j, tg.ny - 2)][Math.min(i, tg.nx - 2)];
+    let seen = 0, total = 0;
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) if (inSelection(j, i)) { total++; seen += visible[j * tg.nx + i]; }
+
+    // 2D: raster overlay plus the observer marker
+    visibilityLayer = L.layerGroup().addTo(map);
+    const canvas = rasterToCanvas(tg.heights, (v, j, i) => (inSelection(j, i) ? (visible[j * tg.nx + i] ? [0.2, 0.8, 0.2] : [0.85, 0.15, 0.15]) : null));
+    const hLat = (tg.lats[1] - tg.lats[0]) / 2, hLon = (tg.lons[1] - tg.lons[0]) / 2;
+    L.imageOverlay(canvas.toDataURL(), [[tg.lats[0] - hLat, tg.lons[0] - hLon], [tg.lats[tg.ny - 1] + hLat, tg.lons[tg.nx - 1] + hLon]], { opacity: 0.5, interactive: false }).addTo(visibilityLayer);
+    L.circleMarker(latlng, { radius: 6, color: '#fff', fillColor: '#2196f3', fillOpacity: 1, weight: 2 }).bindTooltip(`Điểm quan sát (+${height} m)`).addTo(visibilityLayer);
+
+    // 3D: translucent colored copy of the terrain grid just above the ground
+    const positions = new Float32Array(tg.nx * tg.ny * 3), colors = new Float32Array(tg.nx * tg.ny * 3), indices = [];
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) {
+        const k = j * tg.nx + i, p = tg.xyGrid[j][i];
+        positions.set([p.x, p.y, getTerrainHeightAt(p.x, p.y) + 0.4], k * 3);
+        colors.set(visible[k] ? [0.2, 0.9, 0.2] : [0.9, 0.1, 0.1], k * 3);
+    }
+    for (let j = 0; j < tg.ny - 1; j++) for (let i = 0; i < tg.nx - 1; i++) {
+        if (!inSelection(j, i)) continue;
+        const a = j * tg.nx + i, b = a + 1, c = a + tg.nx, d = c + 1;
+        indices.push(a, c, b, b, c, d);
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geom.setIndex(indices);
+    const overlay = new THREE.Mesh(geom, new THREE.MeshBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.45, depthWrite: false, side: THREE.DoubleSide }));
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(2, 12, 8), new THREE.MeshBasicMaterial({ color: 0x2196f3 }));
+    marker.position.set(o.x, o.y, getTerrainHeightAt(o.x, o.y) + height);
+    scene.add(overlay, marker);
+    scene.userData.visibility.push(overlay, marker);
+    showToast(`Nhìn thấy ${Math.round(100 * seen / Math.max(1, total))}% vùng quét từ điểm quan sát.`, 'success');
+}
+
+// Sight line between two points; the part after the first obstruction is drawn red and the blocker is named
+function runLineOfSight(a, b, heightA, heightB) {
+    clearVisibility();
+    const tg = terrainGrid;
+    const pa = latLonToMeters(a.lat, a.lng, tg.origin), pb = latLonToMeters(b.lat, b.lng, tg.origin);
+    const from = { x: pa.x, y: pa.y, z: groundElevationAt(pa.x, pa.y) + heightA };
+    const to = { x: pb.x, y: pb.y, z: groundElevationAt(pb.x, pb.y) + heightB };
+    const los = lineOfSight(from, to, visibilityOptions());
+    const blockLL = metersToLatLon(los.point.x, los.point.y, tg.origin);
+
+    visibilityLayer = L.layerGroup().addTo(map);
+    L.polyline([a, [blockLL.lat, blockLL.lon]], { color: '#2ecc40', weight: 3 }).addTo(visibilityLayer);
+    if (!los.visible) {
+        L.polyline([[blockLL.lat, blockLL.lon], b], { color: '#ff4136', weight: 3, dashArray: '6 4' }).addTo(visibilityLayer);
+        L.circleMarker([blockLL.lat, blockLL.lon], { radius: 5, color: '#ff4136', fillOpacity: 1 }).bindPopup(`Bị chặn bởi ${describeBlocker(los.blocker)}`).addTo(visibilityLayer).openPopup();
+    }
+
+    // 3D: sight line at scene heights
+    const sceneZ = (p, t) => getTerrainHeightAt(p.x, p.y) + (t === 0 ? heightA : heightB);
+    const za = sceneZ(pa, 0), zb = sceneZ(pb, 1);
+    const mid = new THREE.Vector3(los.point.x, los.point.y, za + (zb - za) * los.t);
+    const start = new THREE.Vector3(pa.x, pa.y, za), end = new THREE.Vector3(pb.x, pb.y, zb);
+    const seen = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, mid]), new THREE.LineBasicMaterial({ color: 0x2ecc40 }));
+    scene.add(seen);
+    scene.userData.visibility.push(seen);
+    if (!los.visible) {
+        const hidden = new THREE.Line(new THREE.BufferGeometry().setFromPoints([mid, end]), new THREE.LineBasicMaterial({ color: 0xff4136 }));
+        const dot = new THREE.Mesh(new THREE.SphereGeometry(1.5, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff4136 }));
+        dot.position.copy(mid);
+        scene.add(hidden, dot);
+        scene.userData.visibility.push(hidden, dot);
+        if (los.blocker.type === 'building' && los.blocker.ref.material && los.blocker.ref.material.color) {
+            highlightedBlocker = { mesh: los.blocker.ref, color: los.blocker.ref.material.color.getHex() };
+            los.blocker.ref.material.color.setHex(0xff00ff);
+        }
+        showToast(`Không nhìn thấy: bị chặn bởi ${describeBlocker(los.blocker)}, cách điểm đầu ${Math.round(los.t * Math.hypot(pb.x - pa.x, pb.y - pa.y))} m.`, 'error');
+    } else {
+        showToast(`Nhìn thấy trực tiếp (${Math.round(Math.hypot(pb.x - pa.x, pb.y - pa.y))} m).`, 'success');
+    }
+}
+
+// --- Elevation profile (see src/profile.js)
+let profile = null; // { samples, stats, stretches, points, layout, layer, marker3d }
+
+function clearProfile() {
+    if (!profile) return;
+    if (profile.layer) map.removeLayer(profile.layer);
+    if (profile.marker3d) {
+        scene.remove(profile.marker3d);
+        profile.marker3d.geometry.dispose();
+        profile.marker3d.material.dispose();
+    }
+    profile = null;
+    const panel = document.getElementById('profilePanel');
+    if (panel) panel.classList.add('hidden');
+}
+
+// Features of the last scan the profile marks, with the colors used on the chart
+function profileFeatures() {
+    const p = lastParsed || {};
+    const out = [];
+    for (const b of p.buildings || []) out.push({ pts: b.pts, area: true, kind: 'building', color: '#bbbbbb', tags: b.tags || {} });
+    for (const r of p.roads || []) out.push({ pts: r.pts, area: false, kind: 'road', color: '#ff851b', tags: r.tags || {} });
+    for (const w of p.water || []) out.push({ pts: w.pts, area: !(w.tags && w.tags.waterway), kind: 'water', color: '#3399ff', tags: w.tags || {} });
+    return out;
+}
+
+function profileFeatureLabel(f) {
+    const name = f.tags.name ? ` "${f.tags.name}"` : '';
+    if (f.kind === 'building') return `nhà${name}`;
+    if (f.kind === 'road') return `đường${name || ` (${f.tags.highway})`}`;
+    return `nước${name}`;
+}
+
+// Sample the path from the terrain (finest loaded) or, when `detailed`, from the elevation service
+async function buildProfile(latlngs, detailed) {
+    const tg = terrainGrid;
+    const path = latlngs.map(ll => latLonToMeters(ll.lat, ll.lng, tg.origin));
+    let length = 0;
+    for (let k = 1; k < path.length; k++) length += Math.hypot(path[k].x - path[k - 1].x, path[k].y - path[k - 1].y);
+    // half a grid cell (a quarter with the service), at most 500 samples
+    const spacing = Math.max(length / 500, Math.min(tg.dx, tg.dy) / (detailed ? 4 : 2), 0.5);
+    const samples = samplePath(path, spacing);
+    let source = 'lưới địa hình';
+    if (detailed) {
+        try {
+            showOverlay('Đang lấy độ cao dọc tuyến...', `${samples.length} điểm`);
+            const hs = await fetchElevationPoints(samples.map(s => { const ll = metersToLatLon(s.x, s.y, tg.origin); return { lat: ll.lat, lon: ll.lon }; }));
+            // samples without data keep the terrain height below
+            if (hs.length === samples.length && hs.some(Number.isFinite)) {
+                samples.forEach((s, k) => { if (Number.isFinite(hs[k])) s.h = hs[k]; });
+                source = `dịch vụ độ cao (${selectedDataset})`;
+            }
+        } catch (e) { }
+        hideOverlay();
+        if (source === 'lưới địa hình') showToast('Không lấy được độ cao từ dịch vụ; dùng lưới địa hình.', 'error');
+    }
+    for (const s of samples) if (s.h === undefined) s.h = groundElevationAt(s.x, s.y);
+
+    const crossings = pathCrossings(path, profileFeatures());
+    const stretches = crossings.stretches.map(c => ({ ...c, color: c.feature.color }));
+    const points = crossings.points.map(c => ({ ...c, color: c.feature.color }));
+    return { path, samples, stats: profileStats(samples), stretches, points, source };
+}
+
+function showProfile(latlngs, result) {
+    clearProfile();
+    profile = { ...result, layer: L.layerGroup().addTo(map), hoverMarker: null, marker3d: null };
+    L.polyline(latlngs, { color: '#ff851b', weight: 3 }).addTo(profile.layer);
+    for (const c of result.points) {
+        const s = result.samples.reduce((a, b) => (Math.abs(b.d - c.d) < Math.abs(a.d - c.d) ? b : a));
+        const ll = metersToLatLon(s.x, s.y, terrainGrid.origin);
+        L.circleMarker([ll.lat, ll.lon], { radius: 3, color: c.color, fillOpacity: 1 }).bindTooltip(`${profileFeatureLabel(c.feature)} — ${Math.round(c.d)} m`).addTo(profile.layer);
+    }
+    profile.hoverMarker = L.circleMarker(latlngs[0], { radius: 6, color: '#fff', fillColor: '#ff851b', fillOpacity: 1, weight: 2 });
+    profile.marker3d = new THREE.Mesh(new THREE.SphereGeometry(2, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff851b }));
+    profile.marker3d.visible = false;
+    scene.add(profile.marker3d);
+
+    const st = result.stats;
+    const fmtLen = st.length >= 1000 ? `${(st.length / 1000).toFixed(2)} km` : `${Math.round(st.length)} m`;
+    const count = (kind) => result.stretches.filter(c => c.feature.kind === kind).length + result.points.filter(c => c.feature.kind === kind).length;
+    const statsEl = document.getElementById('profileStats');
+    if (statsEl) statsEl.textContent = `Dài ${fmtLen} · lên ${Math.round(st.ascent)} m · xuống ${Math.round(st.descent)} m · thấp nhất ${Math.round(st.min)} m · cao nhất ${Math.round(st.max)} m · cắt qua ${count('building')} nhà, ${count('road')} đường, ${count('water')} chỗ nước · nguồn: ${result.source}`;
+    const panel = document.getElementById('profilePanel');
+    if (panel) panel.classList.remove('hidden');
+    renderProfileChart(null);
+}
+
+function renderProfileChart(hover) {
+    const canvas = document.getElementById('profileCanvas');
+    if (!canvas || !profile) return;
+    profile.layout = drawProfileChart(canvas, profile.samples, { stretches: profile.stretches, points: profile.points, hover });
+}
+
+// Mirror the hovered chart position on the map and on the 3D terrain
+function hoverProfile(index) {
+    if (!profile) return;
+    renderProfileChart(index);
+    if (index === null) {
+        profile.hoverMarker.remove();
+        profile.marker3d.visible = false;
+        return;
+    }
+    const s = profile.samples[index];
+    const ll = metersToLatLon(s.x, s.y, terrainGrid.origin);
+    profile.hoverMarker.setLatLng([ll.lat, ll.lon]).addTo(profile.layer);
+    profile.marker3d.position.set(s.x, s.y, getTerrainHeightAt(s.x, s.y) + 2);
+    profile.marker3d.visible = true;
+}
+
+// --- Flood inundation (see src/flood.js)
+let flood = null; // { level, depth, seeds, layer, mesh, anim: { from, to, start } }
+const FLOOD_RISE_MS = 1500;
+
+// Existing water cells seed the flood; without any, it starts from the lowest point of the grid
+function floodSeeds(tg) {
+    const seeds = [];
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) if (isWaterCell(j, i, tg)) seeds.push([j, i]);
+    if (seeds.length) return { seeds, fromWater: true };
+    const visible = selectionPointVisible(tg);
+    let best = null;
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) {
+        if (visible && !visible(j, i)) continue;
+        if (!best || tg.heights[j][i] < tg.heights[best[0]][best[1]]) best = [j, i];
+    }
+    return { seeds: best ? [best] : [], fromWater: false };
+}
+
+// Water surface of the seeds before any flooding (lowest seed point)
+function floodBaseLevel(tg, seeds) {
+    return seeds.reduce((m, [j, i]) => Math.min(m, tg.heights[j][i]), Infinity);
+}
+
+function clearFlood() {
+    if (!flood) return;
+    if (flood.layer) map.removeLayer(flood.layer);
+    if (flood.mesh) { scene.remove(flood.mesh); flood.mesh.geometry.dispose(); flood.mesh.material.dispose(); }
+    flood = null;
+    const report = document.getElementById('floodReport');
+    if (report) report.innerHTML = '';
+}
+
+// Flood depth (m) at local x, y: water surface minus ground where the nearest grid point is flooded
+function floodDepthAt(x, y) {
+    const { i, j } = nearestGridCell(x, y);
+    if (!flood.depth[j * terrainGrid.nx + i]) return 0;
+    return Math.max(0, flood.level - groundElevationAt(x, y));
+}
+
+// Buildings, roads, hospitals and schools under water, deepest first
+function floodImpacts() {
+    const p = lastParsed || {};
+    const infra = p.infra || {};
+    const centroid = (pts) => ({ x: pts.reduce((s, q) => s + q.x, 0) / pts.length, y: pts.reduce((s, q) => s + q.y, 0) / pts.length });
+    // deepest water over a feature's outline and centre
+    const areaDepth = (item) => {
+        if (item.pos) return floodDepthAt(item.pos.x, item.pos.y);
+        if (!item.pts || !item.pts.length) return 0;
+        const c = centroid(item.pts);
+        return Math.max(floodDepthAt(c.x, c.y), ...item.pts.map(q => floodDepthAt(q.x, q.y)));
+    };
+    const flooded = (list) => (list || []).map(item => ({ item, depth: areaDepth(item) })).filter(r => r.depth > 0).sort((a, b) => b.depth - a.depth);
+    // roads: flooded length and deepest point, sampled every half grid cell
+    const step = Math.max(1, Math.min(terrainGrid.dx, terrainGrid.dy) / 2);
+    const roads = [];
+    for (const r of p.roads || []) {
+        if (!r.pts || r.pts.length < 2) continue;
+        let wet = 0, depth = 0;
+        for (let k = 0; k < r.pts.length - 1; k++) {
+            const a = r.pts[k], b = r.pts[k + 1];
+            const len = Math.hypot(b.x - a.x, b.y - a.y), n = Math.max(1, Math.ceil(len / step));
+            for (let s = 0; s < n; s++) {
+                const d = floodDepthAt(a.x + (b.x - a.x) * (s + 0.5) / n, a.y + (b.y - a.y) * (s + 0.5) / n);
+                if (d > 0) { wet += len / n; depth = Math.max(depth, d); }
+            }
+        }
+        if (wet > 0) roads.push({ item: r, depth, length: wet });
+    }
+    roads.sort((a, b) => b.depth - a.depth);
+    return { buildings: flooded(p.buildings), roads, hospitals: flooded(infra.hospitals), schools: flooded(infra.schools) };
+}
+
+function floodItemName(item, fallback) {
+    const t = item.tags || {};
+    return t.name || [t['addr:housenumber'], t['addr:street']].filter(Boolean).join(' ') || fallback;
+}
+
+function renderFloodReport(impacts, areaKm2) {
+    const report = document.getElementById('floodReport');
+    if (!report) return;
+    const esc = (v) => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const list = (rows, label, extra = () => '') => rows.length
+        ? `<details><summary>${label}: ${rows.length}</summary><ul class="ml-3">${rows.slice(0, 50).map(r => `<li>${esc(floodItemName(r.item, label))} — sâu ${r.depth.toFixed(2)} m${extra(r)}</li>`).join('')}${rows.length > 50 ? `<li>… và ${rows.length - 50} nữa</li>` : ''}</ul></details>`
+        : `<div>${label}: 0</div>`;
+    const roadKm = impacts.roads.reduce((s, r) => s + r.length, 0) / 1000;
+    report.innerHTML = `<div>Mực nước ${flood.level.toFixed(2)} m · ngập ${areaKm2.toFixed(3)} km² · ${roadKm.toFixed(2)} km đường</div>`
+        + list(impacts.hospitals, 'Bệnh viện') + list(impacts.schools, 'Trường học')
+        + list(impacts.buildings, 'Tòa nhà') + list(impacts.roads, 'Đường', r => `, ${Math.round(r.length)} m`);
+}
+
+// Translucent water mesh over the flooded cells; surface height is set by setFloodSurface
+function buildFloodMesh() {
+    const tg = terrainGrid, nx = tg.nx, ny = tg.ny;
+    const positions = new Float32Array(nx * ny * 3), indices = [];
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        const p = tg.xyGrid[j][i];
+        positions[(j * nx + i) * 3] = p.x;
+        positions[(j * nx + i) * 3 + 1] = p.y;
+    }
+    for (let j = 0; j < ny - 1; j++) for (let i = 0; i < nx - 1; i++) {
+        const a = j * nx + i, b = a + 1, c = a + nx, d = c + 1;
+        if (!(flood.depth[a] || flood.depth[b] || flood.depth[c] || flood.depth[d])) continue;
+        indices.push(a, c, b, b, c, d);
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setIndex(indices);
+    const mesh = new THREE.Mesh(geom, new THREE.MeshPhongMaterial({ color: 0x2a7fff, transparent: true, opacity: 0.6, shininess: 80, side: THREE.DoubleSide, depthWrite: false }));
+    mesh.userData.type = 'flood';
+    return mesh;
+}
+
+// Put the water surface at `level` (m), never above the final level; dry points sit on the ground
+function setFloodSurface(level) {
+    const tg = terrainGrid, pos = flood.mesh.geometry.attributes.position;
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) {
+        const k = j * tg.nx + i, h = tg.heights[j][i];
+        const wet = flood.depth[k] > 0 && h < level;
+        pos.setZ(k, (wet ? Math.min(level, flood.level) : h) - tg.minH + 0.05);
+    }
+    pos.needsUpdate = true;
+    flood.mesh.geometry.computeVertexNormals();
+}
+
+// Rise animation and a slow shimmer, called every frame
+function updateFlood(now) {
+    if (!flood || !flood.mesh) return;
+    if (flood.anim) {
+        const t = Math.min(1, (now - flood.anim.start) / FLOOD_RISE_MS);
+        setFloodSurface(flood.anim.from + (flood.anim.to - flood.anim.from) * t);
+        if (t >= 1) flood.anim = null;
+    }
+    flood.mesh.material.opacity = 0.55 + 0.08 * Math.sin(now / 600);
+}
+
+// Flood to a water surface elevation (m): depth map in 2D, rising water in 3D and the list of what is inundated
+function runFlood(level) {
+    const tg = terrainGrid;
+    const { seeds, fromWater } = floodSeeds(tg);
+    if (!seeds.length) { showToast('Không có điểm nào để bắt đầu ngập.', 'error'); return; }
+    const previous = flood ? flood.level : floodBaseLevel(tg, seeds);
+    clearFlood();
+    const depth = floodDepths(tg.heights, seeds, level, { pointVisible: selectionPointVisible(tg) });
+    flood = { level, depth, layer: null, mesh: null, anim: { from: previous, to: level, start: performance.now() } };
+
+    let maxDepth = 0, wetPoints = 0;
+    for (const d of depth) if (d > 0) { wetPoints++; maxDepth = Math.max(maxDepth, d); }
+    flood.layer = L.layerGroup().addTo(map);
+    if (wetPoints) {
+        // light to dark blue with depth
+        const canvas = rasterToCanvas(tg.heights, (h, j, i) => {
+            const d = depth[j * tg.nx + i];
+            if (!d) return null;
+            const t = Math.min(1, d / Math.max(0.5, maxDepth));
+            return [0.6 - 0.55 * t, 0.8 - 0.5 * t, 1];
+        });
+        const hLat = (tg.lats[1] - tg.lats[0]) / 2, hLon = (tg.lons[1] - tg.lons[0]) / 2;
+        L.imageOverlay(canvas.toDataURL(), [[tg.lats[0] - hLat, tg.lons[0] - hLon], [tg.lats[tg.ny - 1] + hLat, tg.lons[tg.nx - 1] + hLon]], { opacity: 0.6, interactive: false }).addTo(flood.layer);
+    }
+    flood.mesh = buildFloodMesh();
+    scene.add(flood.mesh);
+    setFloodSurface(previous);
+
+    const impacts = floodImpacts();
+    for (const [rows, color, label] of [[impacts.hospitals, '#ff4136', 'Bệnh viện'], [impacts.schools, '#0074d9', 'Trường học']]) {
+        for (const r of rows) {
+            const c = r.item.pos || { x: r.item.pts.reduce((s, q) => s + q.x, 0) / r.item.pts.length, y: r.item.pts.reduce((s, q) => s + q.y, 0) / r.item.pts.length };
+            const ll = metersToLatLon(c.x, c.y, tg.origin);
+            L.circleMarker([ll.lat, ll.lon], { radius: 6, color: '#fff', fillColor: color, fillOpacity: 1, weight: 2 })
+                .bindTooltip(`${label}: ${floodItemName(r.item, label)} — ngập ${r.depth.toFixed(2)} m`).addTo(flood.layer);
+        }
+    }
+    renderFloodReport(impacts, wetPoints * tg.dx * tg.dy / 1e6);
+    if (!fromWater) showToast('Vùng quét không có mặt nước; nước dâng từ điểm thấp nhất.', 'info');
+}
+
+// Set up the water level slider for the current terrain: from the existing water surface to the highest point
+function resetFloodControls() {
+    clearFlood();
+    const slider = document.getElementById('floodLevel');
+    const label = document.getElementById('floodLevelValue');
+    if (!slider || !terrainGrid) return;
+    const tg = terrainGrid;
+    const { seeds } = floodSeeds(tg);
+    let max = -Infinity;
+    for (const row of tg.heights) for (const h of row) max = Math.max(max, h);
+    const base = seeds.length ? floodBaseLevel(tg, seeds) : tg.minH;
+    slider.min = String(Math.floor(base * 10) / 10);
+    slider.max = String(Math.ceil(max));
+    slider.step = '0.1';
+    slider.value = slider.min;
+    if (label) label.textContent = `${Number(slider.value).toFixed(1)} m`;
+}
+
+// --- Cut and fill (see src/cutFill.js)
+let cutFillSite = null; // { latlngs, ring, result, design, layer, mesh (preview group) }
+
+function clearCutFill() {
+    if (!cutFillSite) return;
+    if (cutFillSite.layer) map.removeLayer(cutFillSite.layer);
+    if (cutFillSite.mesh) {
+        scene.remove(cutFillSite.mesh);
+        for (const obj of cutFillSite.mesh.children) { obj.geometry.dispose(); obj.material.dispose(); }
+    }
+    cutFillSite = null;
+    applyCutFillPreview();
+    const report = document.getElementById('cutFillReport');
+    if (report) report.textContent = '';
+}
+
+// Show the earthwork preview in place of the terrain (and its LOD chunks) while the 3D box is checked,
+// otherwise the terrain as it is
+function applyCutFillPreview() {
+    const el = document.getElementById('cutFillPreview');
+    const shown = !!(cutFillSite && cutFillSite.mesh) && (!el || el.checked);
+    if (cutFillSite && cutFillSite.mesh) cutFillSite.mesh.visible = shown;
+    if (terrain) terrain.visible = !shown && !terrainLod;
+    if (terrainLod) terrainLod.group.visible = !shown;
+}
+
+// Terrain after the earthworks: a copy of the base terrain with the cells under the site's bounding box
+// left out, and those cells rebuilt about `spacing` fine, at the design elevation inside the polygon (colored
+// like the map) and following the terrain outside it. Returns a group of the two meshes.
+function buildCutFillPreview(ring, design, spacing, maxAbs) {
+    const tg = terrainGrid;
+    const { nx } = tg;
+    const src = terrain.geometry;
+    const pos = src.attributes.position, col = src.attributes.color;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of ring) { minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+    const i0 = Math.max(0, Math.floor((minX - tg.minX) / tg.dx)), i1 = Math.min(tg.nx - 2, Math.floor((maxX - tg.minX) / tg.dx));
+    const j0 = Math.max(0, Math.floor((minY - tg.minY) / tg.dy)), j1 = Math.min(tg.ny - 2, Math.floor((maxY - tg.minY) / tg.dy));
+    const inPatch = (j, i) => j >= j0 && j <= j1 && i >= i0 && i <= i1;
+
+    // base terrain without the patch cells (a triangle belongs to the cell of its lowest row and column)
+    const base = src.clone();
+    const keep = [], idx = src.index.array;
+    for (let t = 0; t < idx.length; t += 3) {
+        const tri = [idx[t], idx[t + 1], idx[t + 2]];
+        const j = Math.min(...tri.map(v => Math.floor(v / nx))), i = Math.min(...tri.map(v => v % nx));
+        if (!inPatch(j, i)) keep.push(...tri);
+    }
+    base.setIndex(keep);
+    const group = new THREE.Group();
+    // a copy of the terrain material (sharing its textures), so the preview keeps the look it was built with
+    // when the imagery changes later; "Tính lại" rebuilds it with the current one
+    group.add(new THREE.Mesh(base, terrain.material.clone()));
+
+    // patch cells split k x k; corners are interpolated bilinearly, so the cell edges meet the base mesh
+    const cells = [];
+    for (let j = j0; j <= j1; j++) for (let i = i0; i <= i1; i++) if (!tg.selectionMask || tg.selectionMask[j][i]) cells.push([j, i]);
+    let k = Math.max(1, Math.min(16, Math.ceil(Math.max(tg.dx, tg.dy) / spacing)));
+    while (k > 1 && cells.length * (k + 1) * (k + 1) > 200000) k--;
+    const per = (k + 1) * (k + 1);
+    const positions = new Float32Array(cells.length * per * 3), colors = new Float32Array(cells.length * per * 3), indices = [];
+    const corner = (attr, v, c) => attr ? attr.array[v * 3 + c] : 0.6;
+    cells.forEach(([j, i], n) => {
+        const vs = [j * nx + i, j * nx + i + 1, (j + 1) * nx + i, (j + 1) * nx + i + 1];
+        const lerp = (attr, c, u, w) => (corner(attr, vs[0], c) * (1 - u) + corner(attr, vs[1], c) * u) * (1 - w) + (corner(attr, vs[2], c) * (1 - u) + corner(attr, vs[3], c) * u) * w;
+        for (let b = 0; b <= k; b++) for (let a = 0; a <= k; a++) {
+            const u = a / k, w = b / k, v = n * per + b * (k + 1) + a;
+            const x = lerp(pos, 0, u, w), y = lerp(pos, 1, u, w);
+            if (pointInRing(x, y, ring)) {
+                const z = design(x, y);
+                positions.set([x, y, z - tg.minH], v * 3);
+                colors.set(cutFillColor(z - groundElevationAt(x, y), maxAbs), v * 3);
+            } else {
+                positions.set([x, y, lerp(pos, 2, u, w)], v * 3);
+                colors.set([lerp(col, 0, u, w), lerp(col, 1, u, w), lerp(col, 2, u, w)], v * 3);
+            }
+        }
+        for (let b = 0; b < k; b++) for (let a = 0; a < k; a++) {
+            const p = n * per + b * (k + 1) + a, q = p + 1, r = p + k + 1, t = r + 1;
+            indices.push(p, r, q, q, r, t);
+        }
+    });
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geom.setIndex(indices);
+    geom.computeVertexNormals();
+    group.add(new THREE.Mesh(geom, new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide })));
+    group.userData.type = 'cutFill';
+    return group;
+}
+
+// Red for cut, blue for fill, stronger with depth
+function cutFillColor(d, maxAbs) {
+    const t = Math.min(1, Math.abs(d) / Math.max(0.1, maxAbs));
+    return d < 0 ? [0.95, 0.85 - 0.75 * t, 0.75 - 0.7 * t] : [0.8 - 0.75 * t, 0.85 - 0.5 * t, 1];
+}
+
+// Design platform over the site polygon: difference map in 2D, design surface in 3D and the volumes
+function runCutFill(latlngs) {
+    const tg = terrainGrid;
+    const ring = latlngs.map(ll => latLonToMeters(ll.lat, ll.lng, tg.origin));
+    const num = (id) => { const el = document.getElementById(id); const v = parseFloat(el && el.value); return Number.isFinite(v) ? v : null; };
+    const slope = num('cutFillSlope') || 0, azimuth = num('cutFillAzimuth') || 0;
+    // about a quarter grid cell, at most ~40000 samples
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) area += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+    const spacing = Math.max(0.5, Math.min(tg.dx, tg.dy) / 4, Math.sqrt(Math.abs(area) / 2 / 40000));
+    const center = ringCentroid(ring);
+    let level = num('cutFillLevel');
+    const balanced = level === null;
+    // a sloped platform through the centroid balances at the same mean elevation as a flat one
+    if (balanced) level = balancedLevel(ring, groundElevationAt, spacing);
+    if (level === null) { showToast('Vùng vẽ quá nhỏ so với lưới tính.', 'error'); return; }
+    const design = designSurface({ level, slope, azimuth, center });
+    const result = cutFill(ring, groundElevationAt, design, spacing);
+    clearCutFill();
+    cutFillSite = { latlngs, ring, result, design, layer: L.layerGroup().addTo(map), mesh: null };
+
+    let maxAbs = 0;
+    for (const row of result.diff) for (const d of row) if (d !== null) maxAbs = Math.max(maxAbs, Math.abs(d));
+    const canvas = rasterToCanvas(result.diff, (d) => (d === null ? null : cutFillColor(d, maxAbs)));
+    const sw = metersToLatLon(result.minX, result.minY, tg.origin);
+    const ne = metersToLatLon(result.minX + result.nx * spacing, result.minY + result.ny * spacing, tg.origin);
+    L.imageOverlay(canvas.toDataURL(), [[sw.lat, sw.lon], [ne.lat, ne.lon]], { opacity: 0.75, interactive: false }).addTo(cutFillSite.layer);
+    L.polygon(latlngs, { color: '#ffdc00', weight: 2, fill: false }).addTo(cutFillSite.layer);
+
+    // 3D: the terrain as it would be after the earthworks, shown instead of the current one
+    cutFillSite.mesh = buildCutFillPreview(ring, design, spacing, maxAbs);
+    scene.add(cutFillSite.mesh);
+    applyCutFillPreview();
+
+    const report = document.getElementById('cutFillReport');
+    const fmt = (v) => Math.round(v).toLocaleString('vi-VN');
+    if (report) report.textContent = `Cao độ thiết kế ${level.toFixed(2)} m${balanced ? ' (cân bằng đào đắp)' : ''}${slope ? `, dốc ${slope}% hướng ${azimuth}°` : ''} · diện tích ${fmt(result.area)} m² · đào ${fmt(result.cut)} m³ · đắp ${fmt(result.fill)} m³ · chênh ${fmt(result.fill - result.cut)} m³ (lưới ${spacing.toFixed(1)} m)`;
+}
+
+// --- Hydrology (see src/hydrology.js)
+let hydro = null; // { streams: { layer, lines }, watershed: { layer, mesh } }
+
+// Filled heights, D8 directions and accumulation of the current terrainGrid, computed once per grid
+function terrainFlow() {
+    const tg = terrainGrid;
+    if (!tg.flow) {
+        const pointVisible = selectionPointVisible(tg);
+        const filled = fillSinks(tg.heights, { pointVisible });
+        const dir = flowDirections(filled, tg.dx, tg.dy, { pointVisible });
+        tg.flow = { filled, dir, acc: flowAccumulation(dir, filled) };
+    }
+    return tg.flow;
+}
+
+function clearHydrologyPart(part) {
+    if (!hydro || !hydro[part]) return;
+    const h = hydro[part];
+    if (h.layer) map.removeLayer(h.layer);
+    for (const obj of h.objects || []) { scene.remove(obj); obj.geometry.dispose(); obj.material.dispose(); }
+    hydro[part] = null;
+}
+
+function clearHydrology() {
+    clearHydrologyPart('streams');
+    clearHydrologyPart('watershed');
+    hydro = null;
+    const report = document.getElementById('hydroReport');
+    if (report) report.textContent = '';
+}
+
+function setHydroReport() {
+    const report = document.getElementById('hydroReport');
+    if (report) report.textContent = [hydro.streams && hydro.streams.text, hydro.watershed && hydro.watershed.text].filter(Boolean).join(' · ');
+}
+
+// Streams draining at least `threshold` grid points: blue lines on the map and over the 3D terrain, wider
+// downstream, compared with the OSM waterways (dashed) within about one and a half grid cells
+function runStreams(threshold) {
+    const tg = terrainGrid;
+    const { dir, acc } = terrainFlow();
+    const lines = extractStreams(dir, acc, tg.nx, tg.ny, threshold);
+    clearHydrologyPart('streams');
+    if (!hydro) hydro = {};
+    const part = hydro.streams = { layer: L.layerGroup().addTo(map), objects: [], text: '' };
+
+    const osm = ((lastParsed && lastParsed.water) || []).filter(w => w.tags && w.tags.waterway && w.pts && w.pts.length > 1).map(w => w.pts);
+    for (const pts of osm) {
+        L.polyline(pts.map(p => { const ll = metersToLatLon(p.x, p.y, tg.origin); return [ll.lat, ll.lon]; }), { color: '#7fdbff', weight: 2, dashArray: '4 4', interactive: false }).addTo(part.layer);
+    }
+    const maxAcc = lines.reduce((m, l) => Math.max(m, l.acc), threshold);
+    const material = new THREE.LineBasicMaterial({ color: 0x0099ff });
+    for (const line of lines) {
+        const w = 1.5 + 3 * Math.log(line.acc / threshold) / Math.max(1e-9, Math.log(maxAcc / threshold));
+        L.polyline(line.map(p => gridPointToLatLon(p, tg.lats, tg.lons)), { color: '#0074d9', weight: w, opacity: 0.9 })
+            .bindTooltip(`Dòng chảy: lưu vực ${(line.acc * tg.dx * tg.dy / 1e6).toFixed(2)} km²`).addTo(part.layer);
+        const pts3 = line.map(({ i, j }) => { const p = tg.xyGrid[j][i]; return new THREE.Vector3(p.x, p.y, getTerrainHeightAt(p.x, p.y) + 0.5); });
+        const obj = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts3), material.clone());
+        scene.add(obj);
+        part.objects.push(obj);
+    }
+    material.dispose();
+
+    const derived = lines.map(line => line.map(({ i, j }) => tg.xyGrid[j][i]));
+    const tolerance = 1.5 * Math.max(tg.dx, tg.dy);
+    const fromDerived = lineAgreement(derived, osm, tolerance);
+    const km = (m) => (m / 1000).toFixed(2);
+    part.text = `${lines.length} dòng chảy, dài ${km(fromDerived.length)} km (ngưỡng ${threshold} ô ≈ ${(threshold * tg.dx * tg.dy / 1e4).toFixed(1)} ha)`;
+    if (osm.length) {
+        const fromOsm = lineAgreement(osm, derived, tolerance);
+        part.text += `; ${Math.round(100 * fromDerived.ratio)}% nằm trong ±${Math.round(tolerance)} m của sông suối OSM, ${Math.round(100 * fromOsm.ratio)}% sông suối OSM (${km(fromOsm.length)} km) trùng dòng chảy tính được`;
+    } else {
+        part.text += '; không có sông suối OSM để so sánh';
+    }
+    setHydroReport();
+}
+
+// Everything draining to the grid point near `latlng` (snapped onto the strongest flow close by)
+function runWatershed(latlng) {
+    const tg = terrainGrid;
+    const { dir, acc } = terrainFlow();
+    const o = latLonToMeters(latlng.lat, latlng.lng, tg.origin);
+    const near = nearestGridCell(o.x, o.y);
+    const pour = snapPourPoint(acc, tg.nx, tg.ny, near.j, near.i);
+    const mask = watershed(dir, tg.nx, tg.ny, pour.j, pour.i);
+    clearHydrologyPart('watershed');
+    if (!hydro) hydro = {};
+    const part = hydro.watershed = { layer: L.layerGroup().addTo(map), objects: [], text: '' };
+
+    let count = 0, top = -Infinity;
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) if (mask[j * tg.nx + i]) { count++; top = Math.max(top, tg.heights[j][i]); }
+    const canvas = rasterToCanvas(tg.heights, (h, j, i) => (mask[j * tg.nx + i] ? [0.7, 0.3, 0.9] : null));
+    const hLat = (tg.lats[1] - tg.lats[0]) / 2, hLon = (tg.lons[1] - tg.lons[0]) / 2;
+    L.imageOverlay(canvas.toDataURL(), [[tg.lats[0] - hLat, tg.lons[0] - hLon], [tg.lats[tg.ny - 1] + hLat, tg.lons[tg.nx - 1] + hLon]], { opacity: 0.4, interactive: false }).addTo(part.layer);
+    const pourLL = [tg.lats[pour.j], tg.lons[pour.i]];
+    L.circleMarker(pourLL, { radius: 6, color: '#fff', fillColor: '#b10dc9', fillOpacity: 1, weight: 2 }).bindTooltip('Cửa xả lưu vực').addTo(part.layer);
+
+    // 3D: translucent copy of the terrain over the watershed cells
+    const positions = new Float32Array(tg.nx * tg.ny * 3), indices = [];
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) {
+        const p = tg.xyGrid[j][i];
+        positions.set([p.x, p.y, getTerrainHeightAt(p.x, p.y) + 0.4], (j * tg.nx + i) * 3);
+    }
+    for (let j = 0; j < tg.ny - 1; j++) for (let i = 0; i < tg.nx - 1; i++) {
+        const a = j * tg.nx + i, b = a + 1, c = a + tg.nx, d = c + 1;
+        if (mask[a] && mask[b] && mask[c] && mask[d]) indices.push(a, c, b, b, c, d);
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setIndex(indices);
+    const mesh = new THREE.Mesh(geom, new THREE.MeshBasicMaterial({ color: 0xb10dc9, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide }));
+    const p = tg.xyGrid[pour.j][pour.i];
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(2, 12, 8), new THREE.MeshBasicMaterial({ color: 0xb10dc9 }));
+    marker.position.set(p.x, p.y, getTerrainHeightAt(p.x, p.y) + 1);
+    scene.add(mesh, marker);
+    part.objects.push(mesh, marker);
+
+    part.text = `Lưu vực ${(count * tg.dx * tg.dy / 1e6).toFixed(2)} km², cửa xả ${tg.heights[pour.j][pour.i].toFixed(1)} m, đỉnh ${top.toFixed(1)} m`;
+    setHydroReport();
+}
+
+// --- Vertical exaggeration
+// Stretch the whole scene vertically by `value` (terrain, buildings, roads, water, explosions, overlays).
+// Nothing is rebuilt or refetched, and every height read from the scene stays in meters.
+// chosen marks a value picked by the user, which later scans keep.
+function setVerticalExaggeration(value, { chosen = false } = {}) {
+    const e = Math.max(0.25, Math.min(20, Number(value) || 1));
+    const ratio = e / scene.scale.z;
+    scene.scale.z = e;
+    scene.updateMatrixWorld();
+    verticalExaggeration = e;
+    if (chosen) exaggerationChosen = true;
+    // keep looking at the same ground point
+    camera.position.z *= ratio;
+    controls.target.z *= ratio;
+    controls.update();
+    const input = document.getElementById('verticalExaggeration');
+    const label = document.getElementById('verticalExaggerationValue');
+    if (input) input.value = String(e);
+    if (label) label.textContent = `×${e}`;
+}
+
+// --- Terrain level of detail (see src/terrainLod.js)
+
+// Base grid cell (j, i) nearest to local x, y, clamped to the grid
+function nearestGridCell(x, y) {
+    const { nx, ny, minX, minY, dx, dy } = terrainGrid;
+    const i = Math.max(0, Math.min(nx - 1, Math.round((x - minX) / dx)));
+    const j = Math.max(0, Math.min(ny - 1, Math.round((y - minY) / dy)));
+    return { i, j };
+}
+
+// Replace the chunk quadtree for the current terrainGrid. Finer chunks are fetched through the proxy's
+// /elevation/grid, so streaming is only on for local hosts; otherwise the single base mesh is drawn.
+function resetTerrainLod() {
+    if (terrainLod) { terrainLod.dispose(); terrainLod = null; }
+    const toggle = document.getElementById('terrainLodToggle');
+    const enabled = (!toggle || toggle.checked) && isLocalHost() && terrainGrid && terrain;
+    if (terrain) terrain.visible = !enabled;
+    if (!enabled) { applyTerrainImagery(); return; }
+    const tg = terrainGrid;
+    const chunkRes = 16;
+    const sizeMeters = Math.max((tg.nx - 1) * tg.dx, (tg.ny - 1) * tg.dy);
+    const maxDepth = lodDepthFor(sizeMeters, chunkRes);
+    // levels whose cells are no smaller than the base grid's are resampled from it instead of fetched
+    const baseDepth = Math.max(0, Math.ceil(Math.log2(Math.max(tg.nx, tg.ny) / chunkRes)));
+    const toScene = (h) => h - tg.minH;
+    const isWater = (x, y) => { const { i, j } = nearestGridCell(x, y); return isWaterCell(j, i, tg); };
+    terrainLod = new TerrainLod({
+        scene, origin: tg.origin, chunkRes, maxDepth: Math.max(maxDepth, baseDepth), baseDepth,
+        bbox: [tg.lats[0], tg.lons[0], tg.lats[tg.ny - 1], tg.lons[tg.nx - 1]],
+        baseHeights: (lats, lons) => lats.map(lat => lons.map(lon => { const p = latLonToMeters(lat, lon, tg.origin); return gridHeightAt(p.x, p.y); })),
+        fetchHeights: async (lats, lons) => {
+            const n = lats.length;
+            const raw = await fetchElevationGrid([lats[0], lons[0], lats[n - 1], lons[n - 1]], n, n);
+            if (!raw) return null;
+            // lakes and rivers keep the carved base heights so water surfaces stay level
+            return lats.map((lat, j) => lons.map((lon, i) => {
+                const p = latLonToMeters(lat, lon, tg.origin);
+                // points without data fall back to the base grid, which was gap-filled
+                return isWater(p.x, p.y) || !Number.isFinite(raw[j][i]) ? gridHeightAt(p.x, p.y) : toScene(raw[j][i]);
+            }));
+        },
+        vertexColor: (x, y, z) => { const { i, j } = nearestGridCell(x, y); return terrainColorAt(j, i, z + tg.minH); },
+        cellVisible: tg.selectionMask ? (x, y) => {
+            const i = Math.floor((x - tg.minX) / tg.dx), j = Math.floor((y - tg.minY) / tg.dy);
+            return !!(tg.selectionMask[j] && tg.selectionMask[j][i]);
+        } : null,
+        onLoad: (bounds, previous) => reseatObjectsOnTerrain(bounds, (x, y) => { const h = previous(x, y); return h === null ? gridHeightAt(x, y) : h; }),
+    });
+    applyTerrainImagery();
+}
+
+// --- Terrain imagery (see src/terrainImagery.js)
+let terrainImagery = null; // { key, imagery, material } of the basemap mosaic or user image draped on the terrain
+let userImageryFiles = null; // { image: File, world: string|null } picked in the imagery file input
+
+function terrainBBox() {
+    const tg = terrainGrid;
+    return [tg.lats[0], tg.lons[0], tg.lats[tg.ny - 1], tg.lons[tg.nx - 1]];
+}
+
+// Basemap tile URL: through the proxy's tile cache on local hosts, straight from the tile server otherwise
+function basemapTileUrl(z, x, y) {
+    if (isLocalHost()) return `${PROXY_BASE}/tiles/${z}/${x}/${y}.png`;
+    return BASEMAP_TILE_URL.replace('{s}', 'abc'[(x + y) % 3]).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+// Drape the imagery chosen in #imagerySelect ('none' | 'basemap' | 'image') on the base terrain mesh and LOD chunks.
+// The mosaic is rebuilt only when the terrain bbox or the picked image changes.
+async function applyTerrainImagery() {
+    if (!terrain || !terrainGrid) return;
+    const sel = document.getElementById('imagerySelect');
+    const mode = sel ? sel.value : 'none';
+    const tg = terrainGrid;
+    if (mode === 'none' || (mode === 'image' && !userImageryFiles)) {
+        if (terrain.material.map) terrain.material = new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide });
+        if (terrainLod) terrainLod.setMaterial(null);
+        return;
+    }
+    const bbox = terrainBBox();
+    // a re-picked image can keep its name, and the world file alone moves it, so both go into the key
+    const img = mode === 'image' ? userImageryFiles.image : null;
+    const key = `${mode}:${bbox.join(',')}:${img ? `${img.name}:${img.size}:${img.lastModified}:${userImageryFiles.world || ''}` : ''}`;
+    if (!terrainImagery || terrainImagery.key !== key) {
+        try {
+            let imagery;
+            if (mode === 'basemap') {
+                showOverlay('Đang tải ảnh nền cho địa hình...', '');
+                imagery = await buildTileMosaic(bbox, basemapTileUrl, { onProgress: (p) => showOverlay('Đang tải ảnh nền cho địa hình...', `Ô ${p.done}/${p.total}${p.failed ? ` — ${p.failed} ô lỗi` : ''}`) });
+                if (imagery.failed) showToast(`${imagery.failed} ô ảnh nền không tải được.`, 'error');
+            } else {
+                imagery = await loadGeoreferencedImage(userImageryFiles.image, userImageryFiles.world, bbox);
+                if (!userImageryFiles.world) showToast('Không có world file: ảnh được kéo giãn theo vùng quét.', 'info');
+            }
+            if (terrainImagery) { terrainImagery.material.map.dispose(); terrainImagery.material.dispose(); }
+            terrainImagery = { key, imagery, material: imageryMaterial(imagery) };
+        } catch (err) {
+            showToast('Không tạo được ảnh phủ địa hình: ' + (err && err.message ? err.message : err), 'error');
+            return;
+        } finally { hideOverlay(); }
+        // the terrain may have been rebuilt while tiles were loading
+        if (terrainGrid !== tg) return;
+    }
+    const { imagery, material } = terrainImagery;
+    applyImageryUVs(terrain.geometry, imagery, tg.origin);
+    terrain.material = material;
+    if (terrainLod) terrainLod.setMaterial(material, (geom) => applyImageryUVs(geom, imagery, tg.origin));
+}
+
+// --- Contour lines (see src/contours.js)
+let contourLayer = null; // Leaflet overlay of the contours
+let lastContours = null; // { interval, indexEvery, contours } computed from the current terrainGrid
+
+function clearContours() {
+    if (contourLayer) { map.removeLayer(contourLayer); contourLayer = null; }
+    for (const obj of scene.userData.contours || []) {
+        scene.remove(obj);
+        // sprites share one geometry inside three.js; only their material and label texture are their own
+        if (!obj.isSprite) obj.geometry.dispose();
+        if (obj.material.map) obj.material.map.dispose();
+        obj.material.dispose();
+    }
+    scene.userData.contours = [];
+    lastContours = null;
+}
+
+// Canvas sprite with a short text, sized in meters
+function makeTextSprite(text, color = '#ffffff', heightMeters = 6) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 32px sans-serif';
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 16; canvas.height = 44;
+    ctx.font = 'bold 32px sans-serif';
+    ctx.lineWidth = 6; ctx.strokeStyle = 'rgba(0,0,0,0.7)'; ctx.fillStyle = color;
+    ctx.strokeText(text, 8, 34); ctx.fillText(text, 8, 34);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(heightMeters * canvas.width / canvas.height, heightMeters, 1);
+    return sprite;
+}
+
+// Compute contours every `interval` meters from terrainGrid.heights and draw them on the map and on the terrain.
+// Every indexEvery-th contour is an index contour: thicker and labelled with its elevation.
+function drawContours(interval, indexEvery) {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    clearContours();
+    const tg = terrainGrid;
+    const contours = computeContours(tg.heights, interval, { cellVisible: tg.selectionMask ? (j, i) => tg.selectionMask[j][i] : null });
+    lastContours = { interval, indexEvery, contours };
+    contourLayer = L.layerGroup().addTo(map);
+    let count = 0;
+    for (const c of contours) {
+        const index = isIndexContour(c.level, interval, indexEvery);
+        for (const line of c.lines) {
+            const lls = line.map(p => gridPointToLatLon(p, tg.lats, tg.lons));
+            L.polyline(lls.map(ll => [ll.lat, ll.lon]), { color: '#8d5524', weight: index ? 2 : 1, opacity: index ? 0.9 : 0.6, interactive: false }).addTo(contourLayer);
+            const pts = lls.map(ll => latLonToMeters(ll.lat, ll.lon, tg.origin));
+            const geom = new THREE.BufferGeometry().setFromPoints(pts.map(p => new THREE.Vector3(p.x, p.y, getTerrainHeightAt(p.x, p.y) + 0.3)));
+            const obj = new THREE.Line(geom, new THREE.LineBasicMaterial({ color: index ? 0x5d3a1a : 0x9c6b3c }));
+            scene.add(obj);
+            scene.userData.contours.push(obj);
+            count++;
+            // label index contours midway along lines long enough to carry one
+            if (index && line.length >= 8) {
+                const mid = Math.floor(lls.length / 2);
+                const label = `${c.level} m`;
+                L.marker([lls[mid].lat, lls[mid].lon], { icon: L.divIcon({ className: 'contour-label', html: `<span style="color:#5d3a1a;font-size:10px;font-weight:bold;text-shadow:0 0 2px #fff">${label}</span>`, iconSize: [40, 12] }), interactive: false }).addTo(contourLayer);
+                const sprite = makeTextSprite(label, '#ffe0b2');
+                sprite.position.set(pts[mid].x, pts[mid].y, getTerrainHeightAt(pts[mid].x, pts[mid].y) + 4);
+                scene.add(sprite);
+                scene.userData.contours.push(sprite);
+            }
+        }
+    }
+    showToast(`Đã vẽ ${count} đường đồng mức (${contours.length} mức).`, 'success');
+}
+
+// Save text or binary data (string / ArrayBuffer) as a file download
+function downloadBlob(filename, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Save an object as a JSON file download
+function downloadJson(filename, obj, type = 'application/json') {
+    downloadBlob(filename, JSON.stringify(obj), type);
+}
+
+// Download terrainGrid heights in meters (water carving included) as 'tif', 'asc' or 'xyz' in WGS84.
+// Points outside a polygon selection are NODATA. ASCII and XYZ get a .prj alongside for their CRS.
+function exportTerrain(format) {
+    const tg = terrainGrid;
+    const opts = { pointVisible: selectionPointVisible(tg) };
+    const base = `terrain_${tg.nx}x${tg.ny}`;
+    if (format === 'tif') {
+        downloadBlob(`${base}.tif`, toGeoTiff(tg.heights, tg.lats, tg.lons, opts), 'image/tiff');
+    } else {
+        const text = format === 'asc' ? toAsciiGrid(tg.heights, tg.lats, tg.lons, opts) : toXyz(tg.heights, tg.lats, tg.lons, opts);
+        downloadBlob(`${base}.${format}`, text, 'text/plain');
+        downloadBlob(`${base}.prj`, WGS84_PRJ, 'text/plain');
+    }
+    showToast(`Đã xuất lưới địa hình ${tg.nx}×${tg.ny} điểm (.${format}).`, 'success');
+}
+
+// Move rendered features within bounds by the change of terrain height since `previousHeightAt`,
+// so they stay on the ground when a finer terrain chunk arrives. Objects placed with a position are shifted
+// as a whole; geometry built in local scene coordinates (buildings, roads, areas) is adjusted per vertex.
+function reseatObjectsOnTerrain(bounds, previousHeightAt) {
+    const inside = (x, y) => x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+    const delta = (x, y) => getTerrainHeightAt(x, y) - previousHeightAt(x, y);
+    const reseat = (obj) => {
+        const p = obj.position;
+        if (p.x || p.y || p.z) {
+            if (inside(p.x, p.y)) p.z += delta(p.x, p.y);
+            return;
+        }
+        const geom = obj.geometry;
+        const pos = geom && geom.attributes && geom.attributes.position;
+        if (pos) {
+            if (!geom.boundingBox) geom.computeBoundingBox();
+            const bb = geom.boundingBox;
+            if (bb.max.x >= bounds.minX && bb.min.x <= bounds.maxX && bb.max.y >= bounds.minY && bb.min.y <= bounds.maxY) {
+                for (let k = 0; k < pos.count; k++) {
+                    const x = pos.getX(k), y = pos.getY(k);
+                    if (inside(x, y)) pos.setZ(k, pos.getZ(k) + delta(x, y));
+                }
+                pos.needsUpdate = true;
+                geom.computeBoundingBox();
+                geom.computeBoundingSphere();
+            }
+        }
+        for (const c of obj.children) reseat(c);
+    };
+    const groups = [buildings, ...Object.values(scene.userData).filter(Array.isArray)];
+    for (const g of groups) for (const obj of g) if (obj && obj.isObject3D) reseat(obj);
+}
+
+
+// Terrain height (scene units) at local x, y: the finest loaded LOD chunk, else the base grid
 function getTerrainHeightAt(x, y) {
+    if (terrainLod) {
+        const h = terrainLod.heightAt(x, y);
+        if (h !== null) return h;
+    }
+    return gridHeightAt(x, y);
+}
+
+function gridHeightAt(x, y) {
     // x,y are in local meters relative to origin used when building terrain
     if (!terrainGrid) return 0;
-    const { nx, ny, heights, origin, minH = 0, visualScale = VERT_SCALE, minX, minY, dx: gridDx, dy: gridDy } = terrainGrid;
+    const { nx, ny, heights, origin, minH = 0, minX, minY, dx: gridDx, dy: gridDy } = terrainGrid;
     // prefer world-grid mapping (minX/minY present)
     let ix = 0, jy = 0;
     if (typeof minX === 'number' && typeof minY === 'number' && gridDx && gridDy) {
@@ -1181,8 +3012,8 @@ function getTerrainHeightAt(x, y) {
     const h0 = h00 * (1 - sx) + h10 * sx;
     const h1 = h01 * (1 - sx) + h11 * sx;
     const h = h0 * (1 - sy) + h1 * sy;
-    // convert to same vertical space as terrain mesh: (h - minH) * visualScale
-    return (h - minH) * visualScale;
+    // same vertical space as the terrain mesh
+    return h - minH;
 }
 
 // Restore a terrain mesh directly from a saved terrainGrid object (no API calls)
@@ -1190,74 +3021,46 @@ function restoreTerrainFromGrid(tg) {
     try {
         if (!tg || !Array.isArray(tg.heights) || !tg.nx || !tg.ny) return false;
         const nx = tg.nx, ny = tg.ny;
-        const lats = tg.lats, lons = tg.lons, heights = tg.heights;
+        const lats = tg.lats, lons = tg.lons;
         const origin = tg.origin || { lat: (lats[0] + lats[ny - 1]) / 2, lon: (lons[0] + lons[nx - 1]) / 2 };
-        const minH = (typeof tg.minH === 'number') ? tg.minH : (function () { let m = Infinity; for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) if (typeof heights[j][i] === 'number' && heights[j][i] < m) m = heights[j][i]; return (m === Infinity ? 0 : m); })();
-        const visualScale = tg.visualScale || VERT_SCALE;
+        let minH = tg.minH;
+        if (typeof minH !== 'number') {
+            minH = Infinity;
+            for (const row of tg.heights) for (const h of row) if (typeof h === 'number' && h < minH) minH = h;
+            if (minH === Infinity) minH = 0;
+        }
+        const heights = tg.heights.map(row => row.map(h => (typeof h === 'number' ? h : minH)));
 
-        // compute xy grid
         const xyGrid = new Array(ny);
         for (let j = 0; j < ny; j++) { xyGrid[j] = new Array(nx); for (let i = 0; i < nx; i++) { const pxy = latLonToMeters(lats[j], lons[i], origin); xyGrid[j][i] = { x: pxy.x, y: pxy.y }; } }
 
-        // compute min/max and grid spacing
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) { const p = xyGrid[j][i]; if (p.x < minX) minX = p.x; if (p.y < minY) minY = p.y; if (p.x > maxX) maxX = p.x; if (p.y > maxY) maxY = p.y; }
-        const p00 = xyGrid[0][0]; const p10 = xyGrid[0][Math.min(1, nx - 1)]; const p01 = xyGrid[Math.min(1, ny - 1)][0];
-        const gridDx = Math.abs(p10.x - p00.x) || (tg.dx || 1);
-        const gridDy = Math.abs(p01.y - p00.y) || (tg.dy || 1);
-
-        // build positions/colors
-        const positions = new Float32Array(nx * ny * 3);
-        const colors = new Float32Array(nx * ny * 3);
-        let pi = 0, cpi = 0;
-        for (let j = 0; j < ny; j++) {
-            for (let i = 0; i < nx; i++) {
-                const p = xyGrid[j][i];
-                const h = (heights[j] && typeof heights[j][i] === 'number') ? heights[j][i] : minH;
-                positions[pi++] = p.x; positions[pi++] = p.y; positions[pi++] = (h - minH) * visualScale;
-                // simple color mapping
-                const t = Math.max(0, Math.min(1, (h + 50) / 1000));
-                const r = 0.2 + 0.6 * t; const g = 0.6 * (1 - t) + 0.3 * t; const b = 0.2;
-                colors[cpi++] = r; colors[cpi++] = g; colors[cpi++] = b;
-            }
-        }
+        // sessions saved before the mask was stored come back without water
+        const waterMask = decodeGridRows(tg.waterMask, nx, ny, c => c === '1') || heights.map(row => row.map(() => false));
+        const classification = decodeGridRows(tg.classification, nx, ny, c => Number(c) || TERRAIN_CLASS.land);
 
-        // index buffer
-        const indices = [];
-        for (let j = 0; j < ny - 1; j++) for (let i = 0; i < nx - 1; i++) {
-            const a = j * nx + i; const b = j * nx + (i + 1); const c = (j + 1) * nx + i; const d = (j + 1) * nx + (i + 1);
-            indices.push(a, c, b); indices.push(b, c, d);
+        createTerrainMesh({ nx, ny, lats, lons, heights, origin, xyGrid, waterMask, classification, minH, selectionRing: lastPolygon });
+        if (tg.quality) {
+            const flags = decodeGridRows(tg.quality.flags, nx, ny, c => Number(c) || SAMPLE_FLAG.ok);
+            terrainGrid.quality = { ...tg.quality, flags: flags || heights.map(row => row.map(() => SAMPLE_FLAG.ok)) };
         }
-
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geom.setIndex(indices);
-        geom.computeVertexNormals();
-        const mat = new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide });
-        const wire = new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: true, opacity: 0.08, transparent: true, depthWrite: false });
-        if (terrain) scene.remove(terrain);
-        terrain = new THREE.Mesh(geom, mat);
-        const wireMesh = new THREE.Mesh(geom.clone(), wire);
-        terrain.add(wireMesh);
-        scene.add(terrain);
-
-        terrainGrid = { nx, ny, lats, lons, heights, origin, dx: gridDx, dy: gridDy, minX, minY, minH, visualScale, xyGrid };
+        showElevationQuality(terrainGrid.quality || null);
         return true;
-    } catch (e) { }
+    } catch (e) { return false; }
 }
 
 // Robust sampler: raycast down onto the terrain mesh to get exact surface Z (world units)
 const _terrainRaycaster = new THREE.Raycaster();
 function sampleTerrainHeightFromMesh(x, y) {
-    if (!terrain || !terrain.geometry) return getTerrainHeightAt(x, y);
+    // with LOD chunks the base mesh is hidden and coarser than what is drawn
+    if (terrainLod || !terrain || !terrain.geometry) return getTerrainHeightAt(x, y);
     // choose a high origin above expected max terrain height
     const top = 10000;
     const origin = new THREE.Vector3(x, y, top);
     const dir = new THREE.Vector3(0, 0, -1);
     _terrainRaycaster.set(origin, dir);
     const intersects = _terrainRaycaster.intersectObject(terrain, true);
-    if (intersects && intersects.length) return intersects[0].point.z;
+    // hits are in world space, which the exaggeration stretches
+    if (intersects && intersects.length) return intersects[0].point.z / scene.scale.z;
     return getTerrainHeightAt(x, y);
 }
 
@@ -1300,33 +3103,33 @@ function initThree() {
     animate();
 }
 
-function addBuildingsToScene(meshes) {
-    // clear previous
-    for (const b of buildings) scene.remove(b);
-    buildings = [];
+function addBuildingsToScene(meshes, append = false) {
+    // clear previous (append keeps them, for incremental area extension)
+    if (!append) {
+        for (const b of buildings) scene.remove(b);
+        buildings = [];
+    }
 
     // compute bounds for selection area (if available)
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    const selBounds = getSelectionBounds();
 
     // palette of pleasant building colors
-    const palette = [0xd9e2ec, 0xc9d6e3, 0xf2d7d5, 0xe6e2c8, 0xdbe7d6, 0xe6d6f0, 0xf0e0c8];
+    const palette = layerStyle('building', 'palette', [0xd9e2ec]);
     let bidx = 0;
     for (const m of meshes) {
         // if selection bounds exist, skip meshes completely outside selection
         try { if (selBounds && m.pts && !ptsIntersectBounds(m.pts, selBounds)) continue; } catch (e) { }
-        const shape = new THREE.Shape();
-        m.pts.forEach((p, i) => {
-            if (i === 0) shape.moveTo(p.x, p.y);
-            else shape.lineTo(p.x, p.y);
-        });
-        const extrude = new THREE.ExtrudeGeometry(shape, { depth: m.height, bevelEnabled: false, steps: 1 });
+        const shape = shapeFromPts(m.pts, m.holes);
+        // parts (podium towers, elevated walkways) extrude from min height up to their top
+        const minHeight = m.minHeight || 0;
+        const extrude = new THREE.ExtrudeGeometry(shape, { depth: Math.max(0.1, m.height - minHeight), bevelEnabled: false, steps: 1 });
         // modify geometry so base follows terrain: for each vertex, add terrain height at its X,Y to its Z
         try {
             const posAttr = extrude.attributes.position;
             for (let vi = 0; vi < posAttr.count; vi++) {
                 const vx = posAttr.getX(vi), vy = posAttr.getY(vi), vz = posAttr.getZ(vi);
                 const h = (typeof sampleTerrainHeightFromMesh === 'function') ? sampleTerrainHeightFromMesh(vx, vy) : getTerrainHeightAt(vx, vy);
-                if (!isNaN(h)) posAttr.setZ(vi, vz + h);
+                if (!isNaN(h)) posAttr.setZ(vi, vz + h + minHeight);
             }
             extrude.attributes.position.needsUpdate = true;
             extrude.computeVertexNormals();
@@ -1334,13 +3137,7 @@ function addBuildingsToScene(meshes) {
         // compute footprint approximate area to pick a deterministic color
         let approxArea = 0;
         try {
-            const ptsForArea = m.pts || [];
-            let a = 0;
-            for (let i = 0, l = ptsForArea.length; i < l; i++) {
-                const A = ptsForArea[i], B = ptsForArea[(i + 1) % l];
-                a += (A.x * B.y) - (B.x * A.y);
-            }
-            approxArea = Math.abs(a) * 0.5;
+            approxArea = polygonArea(m.pts || [], m.holes);
         } catch (e) { approxArea = bidx; }
         const colorIdx = Math.abs(Math.round(approxArea || bidx)) % palette.length;
         const colorHex = palette[colorIdx];
@@ -1351,22 +3148,21 @@ function addBuildingsToScene(meshes) {
             const centroidX = m.pts.reduce((s, p) => s + p.x, 0) / Math.max(1, m.pts.length);
             const centroidY = m.pts.reduce((s, p) => s + p.y, 0) / Math.max(1, m.pts.length);
             const baseHeight = (typeof getTerrainHeightAt === 'function') ? getTerrainHeightAt(centroidX, centroidY) : 0;
-            mesh.position.z = baseHeight;
+            mesh.position.z = baseHeight + minHeight;
         }
         scene.add(mesh);
         // attach footprint points and tags for population allocation
         try {
             mesh.userData.footprint = m.pts.map(p => ({ x: p.x, y: p.y }));
-            // compute polygon area (shoelace) in local meters
-            let area = 0;
-            const pts = mesh.userData.footprint;
-            for (let i = 0, l = pts.length; i < l; i++) {
-                const a = pts[i], b = pts[(i + 1) % l];
-                area += (a.x * b.y) - (b.x * a.y);
-            }
-            area = Math.abs(area) * 0.5;
-            mesh.userData.footprintArea = area; // m^2
+            mesh.userData.footprintHoles = (m.holes || []).map(h => h.map(p => ({ x: p.x, y: p.y })));
+            // polygon area (shoelace) in local meters, courtyards excluded
+            mesh.userData.footprintArea = polygonArea(mesh.userData.footprint, mesh.userData.footprintHoles); // m^2
             mesh.userData.tags = m.tags || {};
+            // vertical extent and where it came from ('tagged' | 'levels' | 'default'), for auditing
+            mesh.userData.height = m.height;
+            mesh.userData.minHeight = minHeight;
+            mesh.userData.heightSource = m.heightSource || 'unknown';
+            mesh.userData.isPart = !!m.part;
         } catch (e) { mesh.userData.footprintArea = 0; mesh.userData.tags = m.tags || {}; }
     buildings.push(mesh);
     bidx++;
@@ -1381,12 +3177,14 @@ function addBuildingsToScene(meshes) {
 // Labels removed by user request: makeLabel and _recordLabel functions deleted.
 
 // New renderers for other types
-function addRoadsToScene(roadMeshes) {
+function addRoadsToScene(roadMeshes, append = false) {
     // remove previous roads
     if (!scene.userData.roads) scene.userData.roads = [];
-    for (const r of scene.userData.roads) scene.remove(r);
-    scene.userData.roads = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.roads) scene.remove(r);
+        scene.userData.roads = [];
+    }
+    const selBounds = getSelectionBounds();
     // helper: compute normals per segment
     function segNormals(pts) {
         const normals = [];
@@ -1434,7 +3232,7 @@ function addRoadsToScene(roadMeshes) {
         const surface = (tags.surface || '').toLowerCase();
         const isConcrete = /concrete|paving/.test(surface);
         const isAsphalt = /asphalt|bitumen|tarmac/.test(surface) || surface === '';
-        const roadColor = isConcrete ? 0xcccccc : 0x2f2f2f; // light gray for concrete, dark for asphalt
+        const roadColor = isConcrete ? layerStyle('road', 'concreteColor', 0xcccccc) : layerStyle('road', 'color', 0x2f2f2f); // light gray for concrete, dark for asphalt
         const roadMat = new THREE.MeshLambertMaterial({ color: roadColor });
 
         // build left and right offset polylines (per segment)
@@ -1520,14 +3318,14 @@ function addWaterToScene(waterMeshes) {
     if (!scene.userData.water) scene.userData.water = [];
     for (const r of scene.userData.water) scene.remove(r);
     scene.userData.water = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    const selBounds = getSelectionBounds();
     for (const w of waterMeshes) {
         try { if (selBounds && w.pts && !ptsIntersectBounds(w.pts, selBounds)) continue; } catch (e) { }
         // If polygon (lake/reservoir) - create a thin mesh that conforms to terrain by sampling height per vertex
         if (w.pts.length >= 3) {
             // Build a geometry from the polygon vertices with Z sampled from terrain
             const vertices = [];
-            for (const p of w.pts) {
+            for (const p of w.pts.concat(...(w.holes || []))) {
                 const h = getTerrainHeightAt(p.x, p.y);
                 const z = isNaN(h) ? 0 : (h);
                 vertices.push(new THREE.Vector3(p.x, p.y, z));
@@ -1535,8 +3333,7 @@ function addWaterToScene(waterMeshes) {
             // Triangulate the polygon in 2D (x,y) then apply Z from vertices
             try {
                 // use Earcut via Shape for triangulation: create a flat shape and extract its triangulation
-                const shape = new THREE.Shape();
-                w.pts.forEach((p, i) => { if (i === 0) shape.moveTo(p.x, p.y); else shape.lineTo(p.x, p.y); });
+                const shape = shapeFromPts(w.pts, w.holes);
                 const geom2 = new THREE.ShapeGeometry(shape);
                 // replace the positions with our elevation-aware vertices
                 const posAttr = geom2.attributes.position;
@@ -1554,7 +3351,7 @@ function addWaterToScene(waterMeshes) {
                 geom2.attributes.position.needsUpdate = true;
                 // ensure correct normals
                 geom2.computeVertexNormals();
-                const mat = new THREE.MeshLambertMaterial({ color: 0x3b99d6, transparent: true, opacity: 0.85, side: THREE.DoubleSide });
+                const mat = new THREE.MeshLambertMaterial({ color: layerStyle('lake', 'color', 0x3b99d6), transparent: true, opacity: 0.85, side: THREE.DoubleSide });
                 const mesh = new THREE.Mesh(geom2, mat);
                 mesh.renderOrder = 1;
                 scene.add(mesh);
@@ -1564,10 +3361,9 @@ function addWaterToScene(waterMeshes) {
                 let sum = 0, cnt = 0;
                 for (const p of w.pts) { const h = getTerrainHeightAt(p.x, p.y); if (!isNaN(h)) { sum += h; cnt++; } }
                 const avg = cnt ? (sum / cnt) : 0;
-                const shape = new THREE.Shape();
-                w.pts.forEach((p, i) => { if (i === 0) shape.moveTo(p.x, p.y); else shape.lineTo(p.x, p.y); });
+                const shape = shapeFromPts(w.pts, w.holes);
                 const geom = new THREE.ExtrudeGeometry(shape, { depth: 0.01, bevelEnabled: false });
-                const mat = new THREE.MeshLambertMaterial({ color: 0x3b99d6, transparent: true, opacity: 0.85 });
+                const mat = new THREE.MeshLambertMaterial({ color: layerStyle('lake', 'color', 0x3b99d6), transparent: true, opacity: 0.85 });
                 const mesh = new THREE.Mesh(geom, mat);
                 mesh.position.z = avg - 0.02;
                 scene.add(mesh);
@@ -1611,7 +3407,7 @@ function addWaterToScene(waterMeshes) {
             }
             riverGeom.setIndex(idx);
             riverGeom.computeVertexNormals();
-            const mat = new THREE.MeshLambertMaterial({ color: 0x3b99d6, transparent: true, opacity: 0.95, side: THREE.DoubleSide });
+            const mat = new THREE.MeshLambertMaterial({ color: layerStyle('lake', 'color', 0x3b99d6), transparent: true, opacity: 0.95, side: THREE.DoubleSide });
             const mesh = new THREE.Mesh(riverGeom, mat);
             mesh.renderOrder = 1;
             scene.add(mesh);
@@ -1620,11 +3416,13 @@ function addWaterToScene(waterMeshes) {
     }
 }
 
-function addHillsToScene(hillMeshes) {
+function addHillsToScene(hillMeshes, append = false) {
     if (!scene.userData.hills) scene.userData.hills = [];
-    for (const r of scene.userData.hills) scene.remove(r);
-    scene.userData.hills = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.hills) scene.remove(r);
+        scene.userData.hills = [];
+    }
+    const selBounds = getSelectionBounds();
     for (const h of hillMeshes) {
         try { if (selBounds && h.pts && !ptsIntersectBounds(h.pts, selBounds)) continue; } catch (e) { }
         // approximate hill by placing a cone at centroid
@@ -1632,7 +3430,7 @@ function addHillsToScene(hillMeshes) {
         const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
         const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
         const geom = new THREE.ConeGeometry(20, 40, 12);
-        const mat = new THREE.MeshLambertMaterial({ color: 0x886644, transparent: true, opacity: 0.9 });
+        const mat = new THREE.MeshLambertMaterial({ color: layerStyle('mountain', 'hillColor', 0x886644), transparent: true, opacity: 0.9 });
         const mesh = new THREE.Mesh(geom, mat);
         mesh.position.set(cx, cy, 10);
         scene.add(mesh);
@@ -1640,18 +3438,19 @@ function addHillsToScene(hillMeshes) {
     }
 }
 
-function addParksToScene(parkMeshes) {
+function addParksToScene(parkMeshes, append = false) {
     if (!scene.userData.parks) scene.userData.parks = [];
-    for (const r of scene.userData.parks) scene.remove(r);
-    scene.userData.parks = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.parks) scene.remove(r);
+        scene.userData.parks = [];
+    }
+    const selBounds = getSelectionBounds();
     for (const p of parkMeshes) {
         try { if (selBounds && p.pts && !ptsIntersectBounds(p.pts, selBounds)) continue; } catch (e) { }
         if (p.pts.length < 3) continue;
-        const shape = new THREE.Shape();
-        p.pts.forEach((pt, i) => { if (i === 0) shape.moveTo(pt.x, pt.y); else shape.lineTo(pt.x, pt.y); });
+        const shape = shapeFromPts(p.pts, p.holes);
         const geom = new THREE.ExtrudeGeometry(shape, { depth: 1, bevelEnabled: false });
-        const mat = new THREE.MeshLambertMaterial({ color: 0x66bb66, transparent: true, opacity: 0.9 });
+        const mat = new THREE.MeshLambertMaterial({ color: layerStyle('park', 'color', 0x66bb66), transparent: true, opacity: 0.9 });
         const mesh = new THREE.Mesh(geom, mat);
         mesh.position.z = 0;
         scene.add(mesh);
@@ -1660,15 +3459,17 @@ function addParksToScene(parkMeshes) {
     }
 }
 
-function addPeaksToScene(points) {
+function addPeaksToScene(points, append = false) {
     if (!scene.userData.peaks) scene.userData.peaks = [];
-    for (const r of scene.userData.peaks) scene.remove(r);
-    scene.userData.peaks = [];
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    if (!append) {
+        for (const r of scene.userData.peaks) scene.remove(r);
+        scene.userData.peaks = [];
+    }
+    const selBounds = getSelectionBounds();
     for (const p of points) {
-        try { if (selBounds && p.pos && (p.pos.x < selBounds.minX || p.pos.x > selBounds.maxX || p.pos.y < selBounds.minY || p.pos.y > selBounds.maxY)) continue; } catch (e) { }
+        try { if (selBounds && p.pos && !pointInBounds(p.pos, selBounds)) continue; } catch (e) { }
         const geom = new THREE.ConeGeometry(5, 20, 8);
-        const mat = new THREE.MeshLambertMaterial({ color: 0x885544 });
+        const mat = new THREE.MeshLambertMaterial({ color: layerStyle('mountain', 'peakColor', 0x885544) });
         const mesh = new THREE.Mesh(geom, mat);
         mesh.position.set(p.pos.x, p.pos.y, 10);
         scene.add(mesh);
@@ -1677,10 +3478,10 @@ function addPeaksToScene(points) {
     }
 }
 
-function addInfraToScene(infra) {
+function addInfraToScene(infra, append = false) {
     // manage infra group on scene.userData so we can remove them easily
     if (!scene.userData.infra) scene.userData.infra = [];
-    else {
+    else if (!append) {
         for (const o of scene.userData.infra) scene.remove(o);
         scene.userData.infra = [];
     }
@@ -1690,13 +3491,13 @@ function addInfraToScene(infra) {
 
     // simple sphere markers for hospitals and schools (points)
     const sphereGeom = new THREE.SphereGeometry(1.2, 8, 6);
-    const hospitalMat = new THREE.MeshStandardMaterial({ color: 0xff4444, metalness: 0.1, roughness: 0.8 });
-    const schoolMat = new THREE.MeshStandardMaterial({ color: 0x4444ff, metalness: 0.1, roughness: 0.8 });
+    const hospitalMat = new THREE.MeshStandardMaterial({ color: layerStyle('hospital', 'color', 0xff4444), metalness: 0.1, roughness: 0.8 });
+    const schoolMat = new THREE.MeshStandardMaterial({ color: layerStyle('school', 'color', 0x4444ff), metalness: 0.1, roughness: 0.8 });
 
-    const selBounds = (lastBBox && lastOrigin) ? getLocalBoundsForBBox(lastBBox, lastOrigin) : null;
+    const selBounds = getSelectionBounds();
     if (infra.hospitals) {
         for (const h of infra.hospitals) {
-            try { if (selBounds && h.pos && (h.pos.x < selBounds.minX || h.pos.x > selBounds.maxX || h.pos.y < selBounds.minY || h.pos.y > selBounds.maxY)) continue; } catch (e) { }
+            try { if (selBounds && h.pos && !pointInBounds(h.pos, selBounds)) continue; } catch (e) { }
             if (h.pos) {
                 const m = new THREE.Mesh(sphereGeom, hospitalMat);
                 const hh = getTerrainHeightAt(h.pos.x, h.pos.y) || 0;
@@ -1707,9 +3508,9 @@ function addInfraToScene(infra) {
             } else if (h.pts && h.pts.length) {
                 try { if (selBounds && !ptsIntersectBounds(h.pts, selBounds)) continue; } catch (e) { }
                 // extrude area
-                const shape = new THREE.Shape(h.pts.map(p => new THREE.Vector2(p.x, p.y)));
+                const shape = shapeFromPts(h.pts, h.holes);
                 const geom = new THREE.ExtrudeGeometry(shape, { depth: 4, bevelEnabled: false });
-                const mat = new THREE.MeshStandardMaterial({ color: 0xff6666, opacity: 0.9, transparent: true });
+                const mat = new THREE.MeshStandardMaterial({ color: layerStyle('hospital', 'areaColor', 0xff6666), opacity: 0.9, transparent: true });
                 const mesh = new THREE.Mesh(geom, mat);
                 // position polys to terrain average
                 let sumh = 0, c = 0; for (const p of h.pts) { const hh = getTerrainHeightAt(p.x, p.y); if (!isNaN(hh)) { sumh += hh; c++; } }
@@ -1733,9 +3534,9 @@ function addInfraToScene(infra) {
                 addRecorded(m);
                 // labels removed by user request
             } else if (s.pts && s.pts.length) {
-                const shape = new THREE.Shape(s.pts.map(p => new THREE.Vector2(p.x, p.y)));
+                const shape = shapeFromPts(s.pts, s.holes);
                 const geom = new THREE.ExtrudeGeometry(shape, { depth: 3, bevelEnabled: false });
-                const mat = new THREE.MeshStandardMaterial({ color: 0x6666ff, opacity: 0.85, transparent: true });
+                const mat = new THREE.MeshStandardMaterial({ color: layerStyle('school', 'areaColor', 0x6666ff), opacity: 0.85, transparent: true });
                 const mesh = new THREE.Mesh(geom, mat);
                 let sumh2 = 0, c2 = 0; for (const p of s.pts) { const hh = getTerrainHeightAt(p.x, p.y); if (!isNaN(hh)) { sumh2 += hh; c2++; } }
                 const base2 = c2 ? (sumh2 / c2) : 0;
@@ -1750,7 +3551,7 @@ function addInfraToScene(infra) {
 
     // bus stops as small spheres
     if (infra.busStops) {
-        const busMat = new THREE.MeshStandardMaterial({ color: 0xffff44 });
+        const busMat = new THREE.MeshStandardMaterial({ color: layerStyle('bus', 'color', 0xffff44) });
         const busGeom = new THREE.SphereGeometry(0.8, 6, 6);
         for (const b of infra.busStops) {
             if (!b.pos) continue;
@@ -1764,12 +3565,12 @@ function addInfraToScene(infra) {
     }
 
     // parking, industrial, airports -> extruded areas
-    const areaMat = new THREE.MeshStandardMaterial({ color: 0x999999, opacity: 0.7, transparent: true });
-    const parkingMat = new THREE.MeshStandardMaterial({ color: 0x555555, opacity: 0.7, transparent: true });
+    const areaMat = new THREE.MeshStandardMaterial({ color: layerStyle('industrial', 'color', 0x999999), opacity: 0.7, transparent: true });
+    const parkingMat = new THREE.MeshStandardMaterial({ color: layerStyle('parking', 'color', 0x555555), opacity: 0.7, transparent: true });
     if (infra.parking) {
         for (const p of infra.parking) {
             if (!p.pts || !p.pts.length) continue;
-            const shape = new THREE.Shape(p.pts.map(pt => new THREE.Vector2(pt.x, pt.y)));
+            const shape = shapeFromPts(p.pts, p.holes);
             const geom = new THREE.ExtrudeGeometry(shape, { depth: 1, bevelEnabled: false });
             const mesh = new THREE.Mesh(geom, parkingMat);
             mesh.position.z = 0.05;
@@ -1782,7 +3583,7 @@ function addInfraToScene(infra) {
     if (infra.industrial) {
         for (const p of infra.industrial) {
             if (!p.pts || !p.pts.length) continue;
-            const shape = new THREE.Shape(p.pts.map(pt => new THREE.Vector2(pt.x, pt.y)));
+            const shape = shapeFromPts(p.pts, p.holes);
             const geom = new THREE.ExtrudeGeometry(shape, { depth: 6, bevelEnabled: false });
             const mesh = new THREE.Mesh(geom, areaMat);
             mesh.position.z = 0.1;
@@ -1795,9 +3596,9 @@ function addInfraToScene(infra) {
     if (infra.airports) {
         for (const p of infra.airports) {
             if (!p.pts || !p.pts.length) continue;
-            const shape = new THREE.Shape(p.pts.map(pt => new THREE.Vector2(pt.x, pt.y)));
+            const shape = shapeFromPts(p.pts, p.holes);
             const geom = new THREE.ExtrudeGeometry(shape, { depth: 0.5, bevelEnabled: false });
-            const mesh = new THREE.Mesh(geom, new THREE.MeshStandardMaterial({ color: 0x222222, opacity: 0.6, transparent: true }));
+            const mesh = new THREE.Mesh(geom, new THREE.MeshStandardMaterial({ color: layerStyle('airport', 'color', 0x222222), opacity: 0.6, transparent: true }));
             mesh.position.z = 0.05;
             addRecorded(mesh);
             const xs = p.pts.map(pt => pt.x), ys = p.pts.map(pt => pt.y);
@@ -1807,7 +3608,7 @@ function addInfraToScene(infra) {
     }
 
     // bridges, rails, power -> lines
-    const lineMat = new THREE.LineBasicMaterial({ color: 0x663300 });
+    const lineMat = new THREE.LineBasicMaterial({ color: layerStyle('bridge', 'color', 0x663300) });
     if (infra.bridges) {
         for (const b of infra.bridges) {
             if (!b.pts || b.pts.length < 2) continue;
@@ -1818,7 +3619,7 @@ function addInfraToScene(infra) {
         }
     }
     if (infra.rails) {
-        const railMat = new THREE.LineBasicMaterial({ color: 0x111111, linewidth: 2 });
+        const railMat = new THREE.LineBasicMaterial({ color: layerStyle('rail', 'color', 0x111111), linewidth: 2 });
         for (const r of infra.rails) {
             if (!r.pts || r.pts.length < 2) continue;
             const pts = r.pts.map(p => new THREE.Vector3(p.x, p.y, 0.5));
@@ -1828,7 +3629,7 @@ function addInfraToScene(infra) {
         }
     }
     if (infra.power) {
-        const powerMat = new THREE.LineBasicMaterial({ color: 0xffaa00 });
+        const powerMat = new THREE.LineBasicMaterial({ color: layerStyle('power', 'color', 0xffaa00) });
         for (const p of infra.power) {
             if (!p.pts || p.pts.length < 2) continue;
             const pts = p.pts.map(pt => new THREE.Vector3(pt.x, pt.y, 1.0));
@@ -1840,6 +3641,7 @@ function addInfraToScene(infra) {
 }
 
 let lastTime = 0;
+const _cameraLocal = new THREE.Vector3(); // camera position in scene (meter) coordinates, for the LOD
 
 function animate(currentTime) {
     requestAnimationFrame(animate);
@@ -1853,76 +3655,382 @@ function animate(currentTime) {
     }
 
     controls.update();
+    if (terrainLod) terrainLod.update(scene.worldToLocal(_cameraLocal.copy(camera.position)), currentTime);
+    updateFlood(currentTime);
     renderer.render(scene, camera);
 }
 
 // building textures removed - use per-building colors only
 
 // Wire UI
+buildLayerControls();
 initMap();
 let weaponSim = new WeaponSimulation(map);
 initThree();
 // populate dataset selector once DOM/UI is ready
 loadOpenTopoDatasets();
+const imagerySelect = document.getElementById('imagerySelect');
+const imageryFileInput = document.getElementById('imageryFileInput');
+if (imagerySelect) imagerySelect.addEventListener('change', () => {
+    if (imagerySelect.value === 'image' && !userImageryFiles && imageryFileInput) imageryFileInput.click();
+    applyTerrainImagery();
+});
+// an image plus, optionally, its world file (.pgw/.jgw/.wld/.tfw) picked together
+if (imageryFileInput) imageryFileInput.addEventListener('change', async () => {
+    const files = Array.from(imageryFileInput.files || []);
+    imageryFileInput.value = '';
+    const image = files.find(f => /^image\//.test(f.type) || /\.(png|jpe?g|webp|gif)$/i.test(f.name));
+    if (!image) { showToast('Hãy chọn một file ảnh (png/jpg), kèm world file nếu có.', 'error'); return; }
+    const worldFile = files.find(f => /\.(pgw|jgw|wld|tfw|pngw|jpgw)$/i.test(f.name));
+    userImageryFiles = { image, world: worldFile ? await worldFile.text() : null };
+    if (imagerySelect) imagerySelect.value = 'image';
+    applyTerrainImagery();
+});
+const contourIntervalInput = document.getElementById('contourInterval');
+const contourIndexInput = document.getElementById('contourIndexEvery');
+const contourSettings = () => ({
+    interval: Math.max(0.5, parseFloat(contourIntervalInput && contourIntervalInput.value) || 10),
+    indexEvery: Math.max(1, parseInt(contourIndexInput && contourIndexInput.value, 10) || 5),
+});
+const contourBtn = document.getElementById('contourBtn');
+if (contourBtn) contourBtn.addEventListener('click', () => { const c = contourSettings(); drawContours(c.interval, c.indexEvery); });
+const contourClearBtn = document.getElementById('contourClearBtn');
+if (contourClearBtn) contourClearBtn.addEventListener('click', () => clearContours());
+const contourExportBtn = document.getElementById('contourExportBtn');
+if (contourExportBtn) contourExportBtn.addEventListener('click', () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const c = contourSettings();
+    // export what the settings ask for, even if a different interval is drawn
+    const tg = terrainGrid;
+    const contours = (lastContours && lastContours.interval === c.interval) ? lastContours.contours
+        : computeContours(tg.heights, c.interval, { cellVisible: tg.selectionMask ? (j, i) => tg.selectionMask[j][i] : null });
+    const geojson = contoursToGeoJSON(contours, tg.lats, tg.lons, c.interval, c.indexEvery);
+    downloadJson(`contours_${c.interval}m.geojson`, geojson, 'application/geo+json');
+    showToast(`Đã xuất ${geojson.features.length} đường đồng mức.`, 'success');
+});
+const terrainExportBtn = document.getElementById('terrainExportBtn');
+if (terrainExportBtn) terrainExportBtn.addEventListener('click', () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const el = document.getElementById('terrainExportFormat');
+    try { exportTerrain(el ? el.value : 'tif'); } catch (e) { console.error(e); showToast('Không xuất được lưới địa hình.', 'error'); }
+});
+const terrainColorModeSel = document.getElementById('terrainColorMode');
+if (terrainColorModeSel) terrainColorModeSel.addEventListener('change', () => {
+    // analysis colors are vertex colors, which a draped image would hide
+    if (terrainColorModeSel.value !== 'height' && imagerySelect && imagerySelect.value !== 'none') { imagerySelect.value = 'none'; applyTerrainImagery(); }
+    recolorTerrain();
+    if (!terrainGrid) updateAnalysisOverlay();
+});
+const analysisOverlayToggle = document.getElementById('analysisOverlayToggle');
+if (analysisOverlayToggle) analysisOverlayToggle.addEventListener('change', () => updateAnalysisOverlay());
+const observerHeightInput = document.getElementById('observerHeight');
+const targetHeightInput = document.getElementById('targetHeight');
+const readHeight = (el, fallback) => { const v = parseFloat(el && el.value); return Number.isFinite(v) && v >= 0 ? v : fallback; };
+const viewshedBtn = document.getElementById('viewshedBtn');
+if (viewshedBtn) viewshedBtn.addEventListener('click', async () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const p = await pickMapPoint('Nhấp lên bản đồ để đặt điểm quan sát.');
+    if (!p || !terrainGrid) return;
+    showOverlay('Đang tính vùng nhìn thấy...', `${terrainGrid.nx * terrainGrid.ny} điểm lưới`);
+    // let the overlay paint before the synchronous sweep
+    await new Promise(r => setTimeout(r, 30));
+    try { runViewshed(p, readHeight(observerHeightInput, 1.7), readHeight(targetHeightInput, 1.7)); } catch (e) { console.error(e); showToast('Không tính được vùng nhìn thấy.', 'error'); }
+    hideOverlay();
+});
+const losBtn = document.getElementById('losBtn');
+if (losBtn) losBtn.addEventListener('click', async () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const a = await pickMapPoint('Nhấp điểm quan sát trên bản đồ.');
+    if (!a) return;
+    const b = await pickMapPoint('Nhấp điểm mục tiêu trên bản đồ.');
+    if (b && terrainGrid) runLineOfSight(a, b, readHeight(observerHeightInput, 1.7), readHeight(targetHeightInput, 1.7));
+});
+const profileBtn = document.getElementById('profileBtn');
+if (profileBtn) profileBtn.addEventListener('click', async () => {
+    // second press while drawing finishes the path
+    if (finishPathDraft('profile')) return;
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const latlngs = await drawMapPath('profile', 'Nhấp các điểm của tuyến trên bản đồ; bấm lại nút tuyến để kết thúc, Esc để hủy.');
+    if (!latlngs || !terrainGrid) return;
+    const detailEl = document.getElementById('profileDetailed');
+    const result = await buildProfile(latlngs, !!(detailEl && detailEl.checked));
+    showProfile(latlngs, result);
+});
+const profileCanvas = document.getElementById('profileCanvas');
+if (profileCanvas) {
+    profileCanvas.addEventListener('mousemove', (ev) => {
+        if (!profile) return;
+        const r = profileCanvas.getBoundingClientRect();
+        const x = (ev.clientX - r.left) * profileCanvas.width / r.width;
+        hoverProfile(sampleAtChartX(profile.samples, profile.layout, profileCanvas.width, x));
+    });
+    profileCanvas.addEventListener('mouseleave', () => hoverProfile(null));
+}
+const profileCloseBtn = document.getElementById('profileCloseBtn');
+if (profileCloseBtn) profileCloseBtn.addEventListener('click', () => clearProfile());
+const verticalExaggerationInput = document.getElementById('verticalExaggeration');
+if (verticalExaggerationInput) verticalExaggerationInput.addEventListener('input', () => {
+    setVerticalExaggeration(parseFloat(verticalExaggerationInput.value), { chosen: true });
+});
+const floodLevelSlider = document.getElementById('floodLevel');
+if (floodLevelSlider) {
+    floodLevelSlider.addEventListener('input', () => {
+        const label = document.getElementById('floodLevelValue');
+        if (label) label.textContent = `${Number(floodLevelSlider.value).toFixed(1)} m`;
+    });
+    // flooding on release keeps dragging smooth
+    floodLevelSlider.addEventListener('change', () => {
+        if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+        runFlood(parseFloat(floodLevelSlider.value));
+    });
+}
+const floodRainBtn = document.getElementById('floodRainBtn');
+if (floodRainBtn) floodRainBtn.addEventListener('click', () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const rainEl = document.getElementById('floodRain');
+    const rain = parseFloat(rainEl && rainEl.value);
+    if (!(rain > 0)) { showToast('Nhập lượng mưa (mm) lớn hơn 0.', 'error'); return; }
+    const tg = terrainGrid;
+    const { seeds } = floodSeeds(tg);
+    if (!seeds.length) return;
+    // all rain over the scanned area runs off into the low ground connected to the water
+    const visible = selectionPointVisible(tg);
+    let points = 0;
+    for (let j = 0; j < tg.ny; j++) for (let i = 0; i < tg.nx; i++) if (!visible || visible(j, i)) points++;
+    const cellArea = tg.dx * tg.dy;
+    const level = levelForVolume(tg.heights, seeds, floodBaseLevel(tg, seeds), rain / 1000 * points * cellArea, cellArea, { pointVisible: visible });
+    if (floodLevelSlider) {
+        floodLevelSlider.value = String(level);
+        const label = document.getElementById('floodLevelValue');
+        if (label) label.textContent = `${level.toFixed(1)} m`;
+    }
+    runFlood(level);
+});
+const cutFillDrawBtn = document.getElementById('cutFillDrawBtn');
+if (cutFillDrawBtn) cutFillDrawBtn.addEventListener('click', async () => {
+    // second press while drawing closes the polygon
+    if (finishPathDraft('cutFill')) return;
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const latlngs = await drawMapPath('cutFill', 'Nhấp các đỉnh của mặt bằng; bấm lại nút để đóng vùng, Esc để hủy.', { color: '#ffdc00', closed: true });
+    if (latlngs && terrainGrid) runCutFill(latlngs);
+});
+const cutFillRunBtn = document.getElementById('cutFillRunBtn');
+if (cutFillRunBtn) cutFillRunBtn.addEventListener('click', () => {
+    if (!cutFillSite || !terrainGrid) { showToast('Hãy vẽ mặt bằng trước.', 'error'); return; }
+    runCutFill(cutFillSite.latlngs);
+});
+const cutFillPreview = document.getElementById('cutFillPreview');
+if (cutFillPreview) cutFillPreview.addEventListener('change', () => {
+    applyCutFillPreview();
+});
+const cutFillClearBtn = document.getElementById('cutFillClearBtn');
+if (cutFillClearBtn) cutFillClearBtn.addEventListener('click', () => clearCutFill());
+const streamsBtn = document.getElementById('streamsBtn');
+if (streamsBtn) streamsBtn.addEventListener('click', async () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const el = document.getElementById('streamThreshold');
+    const threshold = Math.max(2, Math.round(parseFloat(el && el.value)) || 50);
+    showOverlay('Đang tính dòng chảy...', `${terrainGrid.nx * terrainGrid.ny} điểm lưới`);
+    await new Promise(r => setTimeout(r, 30));
+    try { runStreams(threshold); } catch (e) { console.error(e); showToast('Không tính được dòng chảy.', 'error'); }
+    hideOverlay();
+});
+const watershedBtn = document.getElementById('watershedBtn');
+if (watershedBtn) watershedBtn.addEventListener('click', async () => {
+    if (!terrainGrid) { showToast('Chưa có địa hình; hãy quét khu vực trước.', 'error'); return; }
+    const p = await pickMapPoint('Nhấp lên bản đồ để đặt cửa xả lưu vực.');
+    if (!p || !terrainGrid) return;
+    try { runWatershed(p); } catch (e) { console.error(e); showToast('Không khoanh được lưu vực.', 'error'); }
+});
+const hydroClearBtn = document.getElementById('hydroClearBtn');
+if (hydroClearBtn) hydroClearBtn.addEventListener('click', () => clearHydrology());
+const floodClearBtn = document.getElementById('floodClearBtn');
+if (floodClearBtn) floodClearBtn.addEventListener('click', () => clearFlood());
+const visibilityClearBtn = document.getElementById('visibilityClearBtn');
+if (visibilityClearBtn) visibilityClearBtn.addEventListener('click', () => clearVisibility());
+// switching LOD on/off rebuilds the terrain surface, so re-render features to sit on it again
+const terrainLodToggle = document.getElementById('terrainLodToggle');
+if (terrainLodToggle) terrainLodToggle.addEventListener('change', () => {
+    if (!terrainGrid) return;
+    resetTerrainLod();
+    applyCutFillPreview();
+    if (lastParsed) { renderLayers(lastParsed); weaponSim.buildings = buildings; }
+});
+
+// Parse OSM data for bbox, build terrain and render the selected layers.
+// Shared by the Overpass scan and the offline file import. With a polygon, terrain and features are limited to it.
+async function loadOsmIntoScene(osm, bbox, polygon = null) {
+    const center = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+    const parsed = parseOSM(osm, center);
+    // persist parsed data for session restore
+    lastParsed = parsed;
+    lastOrigin = { lat: center[0], lon: center[1] };
+    lastPolygon = (polygon && polygon.length >= 3) ? polygon.map(p => [p[0], p[1]]) : null;
+    // build terrain after parsing so we can merge water into terrain
+    try {
+        await buildTerrainForBBox(bbox, 48, parsed.water);
+    } catch (terrErr) {
+    }
+    // render based on selections
+    renderLayers(parsed);
+    // Update weapon simulation with current buildings, scene and origin
+    weaponSim.buildings = buildings;
+    weaponSim.scene = scene;
+    weaponSim.origin = { lat: center[0], lon: center[1] };
+
+    // if texture just loaded after buildings were created, ensure materials updated
+    if (typeof buildingTexture !== 'undefined' && buildingTexture) {
+        // clone texture per building so repeat changes don't affect others
+        for (const b of buildings) {
+            const t = buildingTexture.clone();
+            b.material.map = t;
+            b.material.needsUpdate = true;
+        }
+    }
+}
+
+// --- Incremental area extension
+// Largest terrain grid (vertices per axis) an extension may grow to
+const TERRAIN_EXTEND_MAX_CELLS = 160;
+
+// Parts of bbox `outer` not covered by `inner` ([s,w,n,e], inner inside outer) as up to four strips
+function bboxStrips(outer, inner) {
+    const [S, W, N, E] = outer, [s, w, n, e] = inner;
+    const strips = [];
+    if (S < s) strips.push([S, W, s, E]);
+    if (N > n) strips.push([n, W, N, E]);
+    if (W < w) strips.push([s, W, n, w]);
+    if (E > e) strips.push([s, e, n, E]);
+    return strips;
+}
+
+// Extend a uniformly spaced ascending axis with the same step until it covers [lo, hi].
+// `offset` is the index of the first old value in the extended axis.
+function extendAxis(vals, lo, hi) {
+    const last = vals[vals.length - 1];
+    const step = (last - vals[0]) / (vals.length - 1);
+    const before = Math.max(0, Math.ceil((vals[0] - lo) / step - 1e-9));
+    const after = Math.max(0, Math.ceil((hi - last) / step - 1e-9));
+    const out = [];
+    for (let k = before; k > 0; k--) out.push(vals[0] - k * step);
+    out.push(...vals);
+    for (let k = 1; k <= after; k++) out.push(last + k * step);
+    return { vals: out, offset: before };
+}
+
+// Grow the terrain grid to cover bbox. Only the new cells are sampled; old heights and water cells are kept
+// and minH stays fixed so objects already standing on the terrain don't move.
+async function extendTerrainGrid(bbox, waterMeshes) {
+    const tg = terrainGrid;
+    const lat = extendAxis(tg.lats, bbox[0], bbox[2]);
+    const lon = extendAxis(tg.lons, bbox[1], bbox[3]);
+    const lats = lat.vals, lons = lon.vals;
+    const ny = lats.length, nx = lons.length;
+    const isOld = (j, i) => j >= lat.offset && j < lat.offset + tg.ny && i >= lon.offset && i < lon.offset + tg.nx;
+
+    const points = [];
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) if (!isOld(j, i)) points.push({ lat: lats[j], lon: lons[i] });
+    const fetched = points.length ? await fetchElevationPoints(points) : [];
+
+    const heights = new Array(ny), waterMask = new Array(ny), classification = new Array(ny), xyGrid = new Array(ny);
+    let k = 0;
+    for (let j = 0; j < ny; j++) {
+        heights[j] = new Array(nx); waterMask[j] = new Array(nx).fill(false); classification[j] = new Array(nx).fill(TERRAIN_CLASS.land); xyGrid[j] = new Array(nx);
+        for (let i = 0; i < nx; i++) {
+            if (isOld(j, i)) {
+                const oj = j - lat.offset, oi = i - lon.offset;
+                heights[j][i] = tg.heights[oj][oi];
+                waterMask[j][i] = isWaterCell(oj, oi, tg);
+                classification[j][i] = terrainClassAt(oj, oi, tg);
+            } else {
+                heights[j][i] = fetched[k++];
+            }
+            const pxy = latLonToMeters(lats[j], lons[i], tg.origin);
+            xyGrid[j][i] = { x: pxy.x, y: pxy.y };
+        }
+    }
+    const quality = await cleanElevationGrid(heights, lats, lons, (j, i) => !isOld(j, i));
+    // water features only reshape the new strips
+    const carved = carveWaterIntoGrid(lats, lons, heights, tg.origin, xyGrid, waterMeshes, (j, i) => !isOld(j, i));
+    for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+        if (!carved.waterMask[j][i]) continue;
+        waterMask[j][i] = true;
+        if (classification[j][i] === TERRAIN_CLASS.land) classification[j][i] = carved.classification[j][i];
+    }
+
+    createTerrainMesh({ nx, ny, lats, lons, heights, origin: tg.origin, xyGrid, waterMask, classification, minH: tg.minH });
+    terrainGrid.quality = mergeElevationQuality(tg, lat.offset, lon.offset, quality);
+    showElevationQuality(terrainGrid.quality);
+    return points.length;
+}
+
+// Append the items of `parsed` missing from `target` (matched by osmId) to target.
+// Returns the appended items in the same shape as a parseOSM result.
+function mergeParsedInto(target, parsed) {
+    const added = {};
+    for (const key of Object.keys(parsed)) {
+        const src = parsed[key];
+        if (Array.isArray(src)) {
+            if (!Array.isArray(target[key])) target[key] = [];
+            const seen = new Set(target[key].map(it => it.osmId).filter(Boolean));
+            added[key] = src.filter(it => !it.osmId || !seen.has(it.osmId));
+            target[key].push(...added[key]);
+        } else if (src && typeof src === 'object') {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            added[key] = mergeParsedInto(target[key], src);
+        }
+    }
+    return added;
+}
+
+// Grow the current scan area to also cover bbox: fetch OSM and elevations for the new strips only,
+// stitch the terrain and draw the new features next to the existing ones, all in the lastOrigin frame.
+async function extendScanArea(bbox, onProgress = null) {
+    if (!lastParsed || !lastBBox || !lastOrigin || !terrainGrid) throw new Error('Chưa có vùng quét để mở rộng');
+    const union = [Math.min(lastBBox[0], bbox[0]), Math.min(lastBBox[1], bbox[1]), Math.max(lastBBox[2], bbox[2]), Math.max(lastBBox[3], bbox[3])];
+    const strips = bboxStrips(union, lastBBox);
+    if (!strips.length) return null;
+    // refuse before fetching anything so a too-large request leaves the scene untouched
+    if (extendAxis(terrainGrid.lats, union[0], union[2]).vals.length > TERRAIN_EXTEND_MAX_CELLS || extendAxis(terrainGrid.lons, union[1], union[3]).vals.length > TERRAIN_EXTEND_MAX_CELLS) {
+        throw new Error('Vùng mở rộng quá lớn');
+    }
+
+    const responses = [];
+    let failedTiles = 0;
+    for (let k = 0; k < strips.length; k++) {
+        const osm = await fetchOSM(strips[k], (p) => { if (onProgress) onProgress({ stage: 'osm', strip: k + 1, strips: strips.length, ...p }); });
+        failedTiles += osm.failedTiles || 0;
+        responses.push(osm);
+    }
+    const parsed = parseOSM(mergeOsmResponses(responses), [lastOrigin.lat, lastOrigin.lon]);
+
+    if (onProgress) onProgress({ stage: 'terrain' });
+    // old and new water features both shape the new strips (a lake may continue across the old edge)
+    const oldWater = lastParsed.water || [];
+    const seenWater = new Set(oldWater.map(w => w.osmId).filter(Boolean));
+    const water = oldWater.concat((parsed.water || []).filter(w => !w.osmId || !seenWater.has(w.osmId)));
+    const newPoints = await extendTerrainGrid(union, water);
+    lastBBox = union;
+    const added = mergeParsedInto(lastParsed, parsed);
+
+    renderLayers(added, true);
+    weaponSim.buildings = buildings;
+    return { bbox: union, strips: strips.length, elevationPoints: newPoints, failedTiles, buildings: (added.buildings || []).length };
+}
 
 document.getElementById('scanBtn').addEventListener('click', async () => {
     if (!rect) { showToast('Vui lòng chọn vùng trên bản đồ bằng cách nhấp-drag.', 'error'); return; }
     showOverlay('Đang tải dữ liệu OSM...', 'Gọi Overpass API để lấy tòa nhà và hạ tầng');
     const b = rect.getBounds();
     const bbox = [b.getSouth(), b.getWest(), b.getNorth(), b.getEast()];
-    const center = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
     try {
-        const osm = await fetchOSM(bbox);
-        const parsed = parseOSM(osm, center);
-        // persist parsed data for session restore
-        lastParsed = parsed;
-        lastOrigin = { lat: center[0], lon: center[1] };
-        // build terrain after parsing so we can merge water into terrain
-        try {
-            await buildTerrainForBBox(bbox, 48, parsed.water);
-        } catch (terrErr) {
-        }
-        // render based on selections
-        if (parsed.buildings && document.getElementById('cb_building').checked) addBuildingsToScene(parsed.buildings);
-        // Update weapon simulation with current buildings, scene and origin
-        weaponSim.buildings = buildings;
-        weaponSim.scene = scene;
-        weaponSim.origin = { lat: center[0], lon: center[1] };
-        if (parsed.roads && document.getElementById('cb_road').checked) addRoadsToScene(parsed.roads);
-        // water is now merged into the terrain; do not create a separate water layer
-        if (parsed.parks && document.getElementById('cb_park').checked) addParksToScene(parsed.parks);
-        if (parsed.peaks && document.getElementById('cb_mountain').checked) addPeaksToScene(parsed.peaks);
-        if (parsed.hills && document.getElementById('cb_mountain').checked) addHillsToScene(parsed.hills);
-
-        // forest, trees, ports (if parsed)
-        if (parsed.forests && document.getElementById('cb_forest') && document.getElementById('cb_forest').checked) addForestsToScene(parsed.forests);
-        if (parsed.trees && document.getElementById('cb_forest') && document.getElementById('cb_forest').checked) addTreesToScene(parsed.trees);
-        if (parsed.ports && document.getElementById('cb_port') && document.getElementById('cb_port').checked) addPortsToScene(parsed.ports);
-
-        // infra toggles
-        if (parsed.infra) {
-            const infraToAdd = { hospitals: [], schools: [], busStops: [], power: [], parking: [], industrial: [], airports: [], bridges: [], rails: [] };
-            if (document.getElementById('cb_hospital') && document.getElementById('cb_hospital').checked) infraToAdd.hospitals = parsed.infra.hospitals || [];
-            if (document.getElementById('cb_school') && document.getElementById('cb_school').checked) infraToAdd.schools = parsed.infra.schools || [];
-            if (document.getElementById('cb_bus') && document.getElementById('cb_bus').checked) infraToAdd.busStops = parsed.infra.busStops || [];
-            if (document.getElementById('cb_rail') && document.getElementById('cb_rail').checked) infraToAdd.rails = parsed.infra.rails || [];
-            if (document.getElementById('cb_power') && document.getElementById('cb_power').checked) infraToAdd.power = parsed.infra.power || [];
-            if (document.getElementById('cb_parking') && document.getElementById('cb_parking').checked) infraToAdd.parking = parsed.infra.parking || [];
-            if (document.getElementById('cb_industrial') && document.getElementById('cb_industrial').checked) infraToAdd.industrial = parsed.infra.industrial || [];
-            if (document.getElementById('cb_airport') && document.getElementById('cb_airport').checked) infraToAdd.airports = parsed.infra.airports || [];
-            if (document.getElementById('cb_bridge') && document.getElementById('cb_bridge').checked) infraToAdd.bridges = parsed.infra.bridges || [];
-            addInfraToScene(infraToAdd);
-        }
-
-        // if texture just loaded after buildings were created, ensure materials updated
-        if (buildingTexture) {
-            // clone texture per building so repeat changes don't affect others
-            for (const b of buildings) {
-                const t = buildingTexture.clone();
-                b.material.map = t;
-                b.material.needsUpdate = true;
-            }
-        }
+        const osm = await fetchOSM(bbox, (p) => {
+            let detail = `Ô ${p.done}/${p.total} đã xong`;
+            if (p.failed) detail += ` — ${p.failed} ô lỗi${p.retrying ? ', đang thử lại' : ''}`;
+            showOverlay('Đang tải dữ liệu OSM theo ô...', detail);
+        }, selectionPolygon);
+        await loadOsmIntoScene(osm, bbox, selectionPolygon);
+        if (osm.failedTiles) showToast(`${osm.failedTiles} ô không tải được từ Overpass; dữ liệu có thể bị thiếu.`, 'error');
     } catch (err) {
         showToast('Lỗi khi lấy dữ liệu OSM', 'error');
     } finally {
@@ -1930,6 +4038,101 @@ document.getElementById('scanBtn').addEventListener('click', async () => {
     }
 });
 
+document.getElementById('extendBtn').addEventListener('click', async () => {
+    if (!rect) { showToast('Vui lòng chọn vùng trên bản đồ bằng cách nhấp-drag.', 'error'); return; }
+    if (!lastParsed || !terrainGrid) { showToast('Chưa có vùng quét; hãy quét khu vực trước.', 'error'); return; }
+    if (selectionPolygon || lastPolygon) { showToast('Chỉ mở rộng được vùng quét hình chữ nhật.', 'error'); return; }
+    const b = rect.getBounds();
+    const bbox = [b.getSouth(), b.getWest(), b.getNorth(), b.getEast()];
+    showOverlay('Đang mở rộng vùng quét...', 'Chỉ tải phần diện tích mới');
+    try {
+        const res = await extendScanArea(bbox, (p) => {
+            if (p.stage === 'osm') showOverlay('Đang mở rộng vùng quét...', `Dải ${p.strip}/${p.strips}: ô ${p.done}/${p.total}`);
+            else showOverlay('Đang mở rộng vùng quét...', 'Lấy độ cao và ghép địa hình');
+        });
+        if (!res) { showToast('Vùng chọn nằm trong vùng đã quét.', 'info'); return; }
+        // show the grown area on the map
+        const [s, w, n, e] = res.bbox;
+        try { rect.setBounds(L.latLngBounds([s, w], [n, e])); } catch (e) { }
+        showToast(`Đã mở rộng vùng quét (${res.buildings} tòa nhà mới).`, 'success');
+        if (res.failedTiles) showToast(`${res.failedTiles} ô không tải được từ Overpass; dữ liệu có thể bị thiếu.`, 'error');
+    } catch (err) {
+        showToast(err && err.message ? err.message : 'Lỗi khi mở rộng vùng quét', 'error');
+    } finally {
+        hideOverlay();
+    }
+});
+
+// --- Offline import of .osm / .osm.pbf extracts
+// Files above this size are parsed by the local proxy (/osm-import) instead of the browser when available
+const OSM_IMPORT_PROXY_BYTES = 64 * 1024 * 1024;
+
+async function importOsmFile(file) {
+    // clip to the drawn selection; without one, fall back to the bounds declared in the file
+    let bbox = null;
+    if (rect && rect.getBounds) {
+        const b = rect.getBounds();
+        bbox = [b.getSouth(), b.getWest(), b.getNorth(), b.getEast()];
+    }
+    let data = null;
+    if (file.size > OSM_IMPORT_PROXY_BYTES && isLocalHost()) {
+        showOverlay('Đang nhập file OSM...', `Gửi ${file.name} tới proxy để xử lý`);
+        const form = new FormData();
+        form.append('file', file, file.name);
+        if (bbox) form.append('bbox', bbox.join(','));
+        const res = await fetch(`${PROXY_BASE}/osm-import`, { method: 'POST', body: form });
+        if (!res.ok) {
+            const err = await res.json().catch(() => null);
+            throw new Error(err && err.error ? err.error : 'OSM import failed');
+        }
+        data = await res.json();
+    } else {
+        showOverlay('Đang nhập file OSM...', `Đọc ${file.name}`);
+        const buf = await file.arrayBuffer();
+        data = await readOsmFile(file.name, buf, {
+            bbox,
+            onProgress: (done, total) => showOverlay('Đang nhập file OSM...', `Giải mã khối ${done}/${total}`)
+        });
+    }
+    if (!bbox) {
+        if (!data.bounds || data.bounds.some(v => typeof v !== 'number' || isNaN(v))) {
+            throw new Error('Chọn vùng trên bản đồ trước khi nhập file không có bounds');
+        }
+        bbox = data.bounds;
+        // clip what was read (the whole file) to its declared bounds and show the area
+        data = clipOsmToBBox(data, bbox);
+        const bounds = L.latLngBounds([bbox[0], bbox[1]], [bbox[2], bbox[3]]);
+        rect = L.rectangle(bounds, { color: '#f06', weight: 1 }).addTo(selectionLayer);
+        try { map.fitBounds(bounds); } catch (e) { }
+    }
+    if (!data.elements || !data.elements.length) throw new Error('Không có đối tượng OSM nào trong vùng đã chọn');
+    showOverlay('Đang dựng cảnh từ file OSM...', `${data.elements.length} đối tượng`);
+    await loadOsmIntoScene({ elements: data.elements }, bbox, selectionPolygon);
+    return data.elements.length;
+}
+
+try {
+    const importBtn = document.getElementById('importOsmBtn');
+    const importInput = document.getElementById('importOsmInput');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const f = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!f) return;
+            try {
+                const count = await importOsmFile(f);
+                showToast(`Đã nhập ${count} đối tượng từ ${f.name}`, 'success');
+            } catch (err) {
+                console.error('OSM import failed', err);
+                showToast('Lỗi khi nhập file OSM: ' + (err && err.message ? err.message : String(err)), 'error');
+            } finally {
+                hideOverlay();
+            }
+        });
+    }
+} catch (e) { console.warn('OSM import wiring failed', e); }
+
 // Heatmap / Choropleth support
 let heatLayer = null;
 let choroplethLayer = null;
@@ -2052,7 +4255,7 @@ function applyVisualizationIfRequested(scenario, bbox) {
             const popTotal = parseFloat(document.getElementById('popTotal') && document.getElementById('popTotal').value) || null;
             const popDensity = parseFloat(document.getElementById('popDensity') && document.getElementById('popDensity').value) || null;
             const mortalityRate = parseFloat(document.getElementById('mortalityRate') && document.getElementById('mortalityRate').value) || 0.01;
-            const params = { bbox: bbox || mapBoundsToBBox(), popTotal: popTotal, popDensity: popDensity, mortalityRate: mortalityRate };
+            const params = { bbox: bbox || mapBoundsToBBox(), polygon: bbox ? selectionPolygon : null, popTotal: popTotal, popDensity: popDensity, mortalityRate: mortalityRate };
             let cas = null;
             try { cas = weaponSim.estimateCasualtiesForScenario(scenario, params); } catch (e) { cas = null; }
             let casualtiesGrid = null;
@@ -2093,6 +4296,21 @@ function setAllControls(yes) {
 if (checkAllBtn) checkAllBtn.addEventListener('click', () => setAllControls(true));
 if (uncheckAllBtn) uncheckAllBtn.addEventListener('click', () => setAllControls(false));
 
+// Custom tag layer form
+const customLayerAddBtn = document.getElementById('customLayerAddBtn');
+if (customLayerAddBtn) customLayerAddBtn.addEventListener('click', () => {
+    const filterEl = document.getElementById('customLayerFilter');
+    const geomEl = document.getElementById('customLayerGeom');
+    const colorEl = document.getElementById('customLayerColor');
+    try {
+        const layer = addCustomLayer({ filter: filterEl ? filterEl.value : '', geometry: geomEl ? geomEl.value : 'point', color: colorEl ? colorEl.value : '#e91e63' });
+        if (filterEl) filterEl.value = '';
+        showToast(`Đã thêm lớp ${layer.label}. Quét lại khu vực để tải dữ liệu.`, 'success');
+    } catch (e) {
+        showToast(e.message || 'Bộ lọc không hợp lệ', 'error');
+    }
+});
+
 // Panel toggle helpers
 function togglePanel(buttonId, bodyId) {
     const btn = document.getElementById(buttonId);
@@ -2414,6 +4632,14 @@ if (clearSessionBtn) clearSessionBtn.addEventListener('click', () => {
     try { for (const b of buildings) scene.remove(b); buildings = []; } catch (e) { }
     // remove terrain from scene and clear terrainGrid
     try { if (terrain) { scene.remove(terrain); terrain = null; } terrainGrid = null; lastBBox = null; lastGridSize = null; } catch (e) { }
+    try { if (terrainLod) { terrainLod.dispose(); terrainLod = null; } } catch (e) { }
+    try { clearContours(); } catch (e) { }
+    try { clearVisibility(); } catch (e) { }
+    try { clearProfile(); } catch (e) { }
+    try { clearFlood(); } catch (e) { }
+    try { clearCutFill(); } catch (e) { }
+    try { clearHydrology(); } catch (e) { }
+    try { showElevationQuality(null); } catch (e) { }
     showToast('Phiên đã bị xóa.', 'success');
 });
 
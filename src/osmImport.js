@@ -0,0 +1,434 @@
+// OSM file import module
+// Reads .osm XML and .osm.pbf extracts without network access and returns the same
+// { elements: [...] } shape the Overpass JSON API produces, so parseOSM can consume it.
+// No DOM APIs are used so the proxy (Node 18+) can import this module as well.
+
+// --- Geometry helpers
+
+function inBBox(lat, lon, bbox) {
+    const [s, w, n, e] = bbox;
+    return lat >= s && lat <= n && lon >= w && lon <= e;
+}
+
+// Keep what is needed to render a bbox: nodes inside it, ways touching one of those nodes
+// (with all of their nodes so geometry stays complete), relations with a member inside,
+// and the complete member ways of multipolygon relations so rings can still be assembled.
+export function clipOsmToBBox(osm, bbox) {
+    if (!bbox || bbox.length !== 4) return { elements: (osm && osm.elements) || [] };
+    const nodes = new Map(), ways = new Map(), relations = [];
+    for (const el of osm.elements || []) {
+        if (el.type === 'node') nodes.set(el.id, el);
+        else if (el.type === 'way') ways.set(el.id, el);
+        else if (el.type === 'relation') relations.push(el);
+    }
+    const insideNodes = new Set();
+    for (const [id, nd] of nodes) if (inBBox(nd.lat, nd.lon, bbox)) insideNodes.add(id);
+    const keptWays = new Set();
+    for (const [id, w] of ways) {
+        if ((w.nodes || []).some(ref => insideNodes.has(ref))) keptWays.add(id);
+    }
+    const keptRelations = [];
+    for (const rel of relations) {
+        const members = rel.members || [];
+        const touches = members.some(m => (m.type === 'node' && insideNodes.has(m.ref)) || (m.type === 'way' && keptWays.has(m.ref)));
+        if (!touches) continue;
+        keptRelations.push(rel);
+        if (rel.tags && rel.tags.type === 'multipolygon') {
+            for (const m of members) if (m.type === 'way' && ways.has(m.ref)) keptWays.add(m.ref);
+        }
+    }
+    const keptNodes = new Set(insideNodes);
+    for (const id of keptWays) for (const ref of ways.get(id).nodes || []) keptNodes.add(ref);
+
+    const elements = [];
+    for (const id of keptNodes) { const nd = nodes.get(id); if (nd) elements.push(nd); }
+    for (const id of keptWays) elements.push(ways.get(id));
+    for (const rel of keptRelations) elements.push(rel);
+    return { elements };
+}
+
+// --- OSM XML
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+function decodeXmlEntities(str) {
+    if (str.indexOf('&') < 0) return str;
+    return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, ent) => {
+        if (ent[0] === '#') return String.fromCodePoint(ent[1] === 'x' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10));
+        return XML_ENTITIES[ent] !== undefined ? XML_ENTITIES[ent] : m;
+    });
+}
+
+function parseXmlAttrs(str) {
+    const attrs = {};
+    const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(str))) attrs[m[1]] = decodeXmlEntities(m[3] !== undefined ? m[3] : m[4]);
+    return attrs;
+}
+
+// Parse OSM XML text. Returns { elements, bounds } where bounds is [s,w,n,e] from <bounds> (or null).
+export function parseOsmXml(text) {
+    const elements = [];
+    let bounds = null;
+    let current = null;
+    const re = /<(\/?)(node|way|relation|nd|member|tag|bounds)\b([^>]*?)(\/?)>/g;
+    let m;
+    while ((m = re.exec(text))) {
+        const closing = m[1] === '/', name = m[2], selfClosing = m[4] === '/';
+        if (closing) {
+            if (current && current.type === name) current = null;
+            continue;
+        }
+        const a = parseXmlAttrs(m[3]);
+        if (name === 'bounds') {
+            bounds = [parseFloat(a.minlat), parseFloat(a.minlon), parseFloat(a.maxlat), parseFloat(a.maxlon)];
+        } else if (name === 'node') {
+            const el = { type: 'node', id: Number(a.id), lat: parseFloat(a.lat), lon: parseFloat(a.lon) };
+            // deleted objects in osmChange-style files carry no coordinates
+            if (a.action === 'delete' || isNaN(el.lat) || isNaN(el.lon)) { current = selfClosing ? null : { type: name, skip: true }; continue; }
+            elements.push(el);
+            current = selfClosing ? null : el;
+        } else if (name === 'way' || name === 'relation') {
+            const el = name === 'way' ? { type: 'way', id: Number(a.id), nodes: [] } : { type: 'relation', id: Number(a.id), members: [] };
+            if (a.action === 'delete') { current = selfClosing ? null : { type: name, skip: true }; continue; }
+            elements.push(el);
+            current = selfClosing ? null : el;
+        } else if (!current || current.skip) {
+            continue;
+        } else if (name === 'tag') {
+            if (!current.tags) current.tags = {};
+            current.tags[a.k] = a.v;
+        } else if (name === 'nd' && current.type === 'way') {
+            current.nodes.push(Number(a.ref));
+        } else if (name === 'member' && current.type === 'relation') {
+            current.members.push({ type: a.type, ref: Number(a.ref), role: a.role || '' });
+        }
+    }
+    return { elements, bounds };
+}
+
+// --- OSM PBF
+// Minimal protobuf reader for the OSM PBF format (https://wiki.openstreetmap.org/wiki/PBF_Format).
+// 64-bit values are read into JS numbers, exact for every id and coordinate OSM uses (< 2^53).
+
+class PbfReader {
+    constructor(bytes, start = 0, end = bytes.length) {
+        this.buf = bytes;
+        this.pos = start;
+        this.end = end;
+    }
+    eof() { return this.pos >= this.end; }
+    varint() {
+        let result = 0, mul = 1, b;
+        do {
+            b = this.buf[this.pos++];
+            result += (b & 0x7f) * mul;
+            mul *= 128;
+        } while (b & 0x80);
+        return result;
+    }
+    svarint() {
+        const n = this.varint();
+        return (n % 2 === 1) ? -(n + 1) / 2 : n / 2;
+    }
+    bytes() {
+        const len = this.varint();
+        const start = this.pos;
+        this.pos += len;
+        return this.buf.subarray(start, start + len);
+    }
+    // sub-reader over a length-delimited field without copying
+    message() {
+        const len = this.varint();
+        const r = new PbfReader(this.buf, this.pos, this.pos + len);
+        this.pos += len;
+        return r;
+    }
+    packed(signed) {
+        const r = this.message();
+        const out = [];
+        while (!r.eof()) out.push(signed ? r.svarint() : r.varint());
+        return out;
+    }
+    skip(wireType) {
+        if (wireType === 0) this.varint();
+        else if (wireType === 1) this.pos += 8;
+        else if (wireType === 2) { const len = this.varint(); this.pos += len; }
+        else if (wireType === 5) this.pos += 4;
+        else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    // iterate fields: cb(fieldNumber, wireType) must consume the value (or return false to skip it)
+    fields(cb) {
+        while (!this.eof()) {
+            const key = this.varint();
+            const field = Math.floor(key / 8), wireType = key & 7;
+            const startPos = this.pos;
+            if (cb(field, wireType) === false && this.pos === startPos) this.skip(wireType);
+        }
+    }
+}
+
+const textDecoder = new TextDecoder();
+
+async function inflateZlib(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('DecompressionStream not available: cannot read compressed .pbf blocks');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Split a .pbf file into its blobs: [{ type, data: Uint8Array (undecoded Blob message) }]
+function readPbfBlobs(bytes) {
+    const blobs = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 0;
+    while (pos + 4 <= bytes.length) {
+        const headerLen = view.getInt32(pos, false);
+        pos += 4;
+        const hr = new PbfReader(bytes, pos, pos + headerLen);
+        let type = '', dataSize = 0;
+        hr.fields((f, wt) => {
+            if (f === 1) type = textDecoder.decode(hr.bytes());
+            else if (f === 3) dataSize = hr.varint();
+            else return false;
+        });
+        pos += headerLen;
+        blobs.push({ type, data: bytes.subarray(pos, pos + dataSize) });
+        pos += dataSize;
+    }
+    return blobs;
+}
+
+async function decodeBlob(data) {
+    const r = new PbfReader(data);
+    let raw = null, zlib = null;
+    r.fields((f, wt) => {
+        if (f === 1) raw = r.bytes();
+        else if (f === 3) zlib = r.bytes();
+        else if (f === 4 || f === 6 || f === 7) throw new Error('Unsupported .pbf compression (only raw and zlib blocks are supported)');
+        else return false;
+    });
+    if (raw) return raw;
+    if (zlib) return inflateZlib(zlib);
+    return new Uint8Array(0);
+}
+
+function readHeaderBBox(block) {
+    const r = new PbfReader(block);
+    let bounds = null;
+    r.fields((f, wt) => {
+        if (f !== 1) return false;
+        const br = r.message();
+        let left = 0, right = 0, top = 0, bottom = 0;
+        br.fields((bf) => {
+            if (bf === 1) left = br.svarint();
+            else if (bf === 2) right = br.svarint();
+            else if (bf === 3) top = br.svarint();
+            else if (bf === 4) bottom = br.svarint();
+            else return false;
+        });
+        bounds = [bottom / 1e9, left / 1e9, top / 1e9, right / 1e9];
+    });
+    return bounds;
+}
+
+function readTags(keys, vals, strings) {
+    if (!keys.length) return undefined;
+    const tags = {};
+    for (let i = 0; i < keys.length; i++) tags[strings[keys[i]]] = strings[vals[i]];
+    return tags;
+}
+
+// Decode one PrimitiveBlock, calling visit.node/way/relation(element) for each entity
+function readPrimitiveBlock(block, visit) {
+    const r = new PbfReader(block);
+    const strings = [];
+    const groups = [];
+    let granularity = 100, latOffset = 0, lonOffset = 0;
+    r.fields((f, wt) => {
+        if (f === 1) {
+            const sr = r.message();
+            sr.fields((sf) => { if (sf === 1) strings.push(textDecoder.decode(sr.bytes())); else return false; });
+        } else if (f === 2) groups.push(r.message());
+        else if (f === 17) granularity = r.varint();
+        else if (f === 19) latOffset = r.varint();
+        else if (f === 20) lonOffset = r.varint();
+        else return false;
+    });
+    const toDeg = (v, offset) => (offset + granularity * v) / 1e9;
+
+    for (const g of groups) {
+        g.fields((f, wt) => {
+            if (f === 1 && visit.node) {
+                const nr = g.message();
+                let id = 0, lat = 0, lon = 0, keys = [], vals = [];
+                nr.fields((nf) => {
+                    if (nf === 1) id = nr.svarint();
+                    else if (nf === 2) keys = nr.packed(false);
+                    else if (nf === 3) vals = nr.packed(false);
+                    else if (nf === 8) lat = nr.svarint();
+                    else if (nf === 9) lon = nr.svarint();
+                    else return false;
+                });
+                const el = { type: 'node', id, lat: toDeg(lat, latOffset), lon: toDeg(lon, lonOffset) };
+                const tags = readTags(keys, vals, strings);
+                if (tags) el.tags = tags;
+                visit.node(el);
+            } else if (f === 2 && visit.node) {
+                const dr = g.message();
+                let ids = [], lats = [], lons = [], kv = [];
+                dr.fields((df) => {
+                    if (df === 1) ids = dr.packed(true);
+                    else if (df === 8) lats = dr.packed(true);
+                    else if (df === 9) lons = dr.packed(true);
+                    else if (df === 10) kv = dr.packed(false);
+                    else return false;
+                });
+                let id = 0, lat = 0, lon = 0, kvi = 0;
+                for (let i = 0; i < ids.length; i++) {
+                    id += ids[i]; lat += lats[i]; lon += lons[i];
+                    let tags;
+                    // keys_vals: (key, val)* terminated by 0 per node
+                    while (kvi < kv.length && kv[kvi] !== 0) {
+                        if (!tags) tags = {};
+                        tags[strings[kv[kvi]]] = strings[kv[kvi + 1]];
+                        kvi += 2;
+                    }
+                    kvi++;
+                    const el = { type: 'node', id, lat: toDeg(lat, latOffset), lon: toDeg(lon, lonOffset) };
+                    if (tags) el.tags = tags;
+                    visit.node(el);
+                }
+            } else if (f === 3 && visit.way) {
+                const wr = g.message();
+                let id = 0, keys = [], vals = [], refs = [];
+                wr.fields((wf) => {
+                    if (wf === 1) id = wr.varint();
+                    else if (wf === 2) keys = wr.packed(false);
+                    else if (wf === 3) vals = wr.packed(false);
+                    else if (wf === 8) refs = wr.packed(true);
+                    else return false;
+                });
+                const nodes = new Array(refs.length);
+                let ref = 0;
+                for (let i = 0; i < refs.length; i++) { ref += refs[i]; nodes[i] = ref; }
+                const el = { type: 'way', id, nodes };
+                const tags = readTags(keys, vals, strings);
+                if (tags) el.tags = tags;
+                visit.way(el);
+            } else if (f === 4 && visit.relation) {
+                const rr = g.message();
+                let id = 0, keys = [], vals = [], roles = [], memids = [], types = [];
+                rr.fields((rf) => {
+                    if (rf === 1) id = rr.varint();
+                    else if (rf === 2) keys = rr.packed(false);
+                    else if (rf === 3) vals = rr.packed(false);
+                    else if (rf === 8) roles = rr.packed(false);
+                    else if (rf === 9) memids = rr.packed(true);
+                    else if (rf === 10) types = rr.packed(false);
+                    else return false;
+                });
+                const typeNames = ['node', 'way', 'relation'];
+                const members = new Array(memids.length);
+                let ref = 0;
+                for (let i = 0; i < memids.length; i++) {
+                    ref += memids[i];
+                    members[i] = { type: typeNames[types[i]] || 'node', ref, role: strings[roles[i]] || '' };
+                }
+                const el = { type: 'relation', id, members };
+                const tags = readTags(keys, vals, strings);
+                if (tags) el.tags = tags;
+                visit.relation(el);
+            } else return false;
+        });
+    }
+}
+
+// Parse an .osm.pbf file. With opts.bbox the data is clipped while decoding (same rules as
+// clipOsmToBBox) so country-sized extracts don't have to be held in memory as a whole.
+// opts.onProgress(done, total) is called after each data block.
+// Returns { elements, bounds } where bounds comes from the file header (or null).
+export async function parseOsmPbf(buffer, opts = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const bbox = opts.bbox && opts.bbox.length === 4 ? opts.bbox : null;
+    const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+    const blobs = readPbfBlobs(bytes);
+    let bounds = null;
+    const dataBlobs = [];
+    for (const b of blobs) {
+        if (b.type === 'OSMHeader') bounds = readHeaderBBox(await decodeBlob(b.data));
+        else if (b.type === 'OSMData') dataBlobs.push(b);
+    }
+    const total = dataBlobs.length;
+    const eachBlock = async (visit, label) => {
+        for (let i = 0; i < dataBlobs.length; i++) {
+            readPrimitiveBlock(await decodeBlob(dataBlobs[i].data), visit);
+            if (onProgress) onProgress(i + 1, total, label);
+        }
+    };
+
+    if (!bbox) {
+        const elements = [];
+        const push = (el) => { elements.push(el); };
+        await eachBlock({ node: push, way: push, relation: push }, 'decode');
+        return { elements, bounds };
+    }
+
+    // pass 1: nodes inside the bbox, ways touching them, relations touching either
+    const nodes = new Map();
+    const ways = new Map();
+    const relations = [];
+    await eachBlock({
+        node: (el) => { if (inBBox(el.lat, el.lon, bbox)) nodes.set(el.id, el); },
+        way: (el) => { if (el.nodes.some(ref => nodes.has(ref))) ways.set(el.id, el); },
+        relation: (el) => {
+            if (el.members.some(m => (m.type === 'node' && nodes.has(m.ref)) || (m.type === 'way' && ways.has(m.ref)))) relations.push(el);
+        }
+    }, 'clip');
+
+    // pass 2: complete member ways of multipolygons that only partly overlap the bbox
+    const missingWays = new Set();
+    for (const rel of relations) {
+        if (!rel.tags || rel.tags.type !== 'multipolygon') continue;
+        for (const m of rel.members) if (m.type === 'way' && !ways.has(m.ref)) missingWays.add(m.ref);
+    }
+    if (missingWays.size) {
+        await eachBlock({ way: (el) => { if (missingWays.has(el.id)) ways.set(el.id, el); } }, 'members');
+    }
+
+    // pass 3: coordinates of nodes outside the bbox that kept ways still reference
+    const missingNodes = new Set();
+    for (const w of ways.values()) for (const ref of w.nodes) if (!nodes.has(ref)) missingNodes.add(ref);
+    if (missingNodes.size) {
+        await eachBlock({ node: (el) => { if (missingNodes.has(el.id)) nodes.set(el.id, el); } }, 'nodes');
+    }
+
+    const elements = [];
+    for (const nd of nodes.values()) elements.push(nd);
+    for (const w of ways.values()) elements.push(w);
+    for (const rel of relations) elements.push(rel);
+    return { elements, bounds };
+}
+
+// --- Entry point
+
+// XML is decoded to one string, and V8 strings hold at most 2^29 - 24 characters (~512MB)
+export const OSM_XML_MAX_BYTES = 2 ** 29 - 24;
+
+function looksLikePbf(bytes) {
+    // a .pbf file starts with a BlobHeader length followed by the "OSMHeader" type string
+    if (bytes.length < 16) return false;
+    const head = textDecoder.decode(bytes.subarray(4, 20));
+    return head.indexOf('OSMHeader') >= 0;
+}
+
+// Read an .osm / .osm.pbf file (ArrayBuffer or Uint8Array) and clip it to bbox ([s,w,n,e], optional).
+// Returns { elements, bounds } ready for parseOSM.
+export async function readOsmFile(name, buffer, opts = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const lower = (name || '').toLowerCase();
+    if (lower.endsWith('.pbf') || looksLikePbf(bytes)) return parseOsmPbf(bytes, opts);
+    if (bytes.length > OSM_XML_MAX_BYTES) throw new Error('.osm XML files larger than 512MB cannot be read; convert it to .osm.pbf first (e.g. osmium cat file.osm -o file.osm.pbf)');
+    const parsed = parseOsmXml(textDecoder.decode(bytes));
+    if (!opts.bbox) return parsed;
+    return { elements: clipOsmToBBox(parsed, opts.bbox).elements, bounds: parsed.bounds };
+}
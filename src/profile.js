@@ -0,0 +1,162 @@
+// Elevation profile along a path
+// Samples a polyline in local meters at even spacing, finds where it crosses map features (roads and
+// waterways as points, building and water areas as stretches) and draws the profile chart on a canvas.
+
+import { pointInRing } from './geometry.js';
+
+// Points every `spacing` meters along the path (vertices included), each with its distance d from the start
+export function samplePath(pts, spacing) {
+    const out = [];
+    let d = 0;
+    for (let k = 0; k < pts.length - 1; k++) {
+        const a = pts[k], b = pts[k + 1];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        const n = Math.max(1, Math.ceil(len / spacing));
+        for (let s = 0; s < n; s++) {
+            const t = s / n;
+            out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, d: d + len * t });
+        }
+        d += len;
+    }
+    if (pts.length) out.push({ x: pts[pts.length - 1].x, y: pts[pts.length - 1].y, d });
+    return out;
+}
+
+// Length, lowest / highest point and total ascent / descent of samples [{ d, h }]
+export function profileStats(samples) {
+    let ascent = 0, descent = 0, min = Infinity, max = -Infinity;
+    samples.forEach((s, k) => {
+        if (s.h < min) min = s.h;
+        if (s.h > max) max = s.h;
+        if (k === 0) return;
+        const dh = s.h - samples[k - 1].h;
+        if (dh > 0) ascent += dh; else descent -= dh;
+    });
+    return { length: samples.length ? samples[samples.length - 1].d : 0, ascent, descent, min, max };
+}
+
+// Distances along the path where it crosses segment p -> q
+function segmentCrossings(pts, cum, p, q) {
+    const out = [];
+    for (let k = 0; k < pts.length - 1; k++) {
+        const a = pts[k], b = pts[k + 1];
+        const rx = b.x - a.x, ry = b.y - a.y, sx = q.x - p.x, sy = q.y - p.y;
+        const den = rx * sy - ry * sx;
+        if (Math.abs(den) < 1e-12) continue;
+        const t = ((p.x - a.x) * sy - (p.y - a.y) * sx) / den;
+        const u = ((p.x - a.x) * ry - (p.y - a.y) * rx) / den;
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) out.push(cum[k] + (cum[k + 1] - cum[k]) * t);
+    }
+    return out;
+}
+
+// Where the path crosses features: { pts: [{x, y}], area, ...rest }.
+// Lines give { d, feature } marks; areas give { from, to, feature } stretches inside the outline.
+export function pathCrossings(pts, features) {
+    const cum = [0];
+    for (let k = 1; k < pts.length; k++) cum.push(cum[k - 1] + Math.hypot(pts[k].x - pts[k - 1].x, pts[k].y - pts[k - 1].y));
+    const total = cum[cum.length - 1];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of pts) { minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+    const points = [], stretches = [];
+    for (const f of features) {
+        const ring = f.pts;
+        if (!ring || ring.length < 2) continue;
+        if (ring.every(p => p.x < minX) || ring.every(p => p.x > maxX) || ring.every(p => p.y < minY) || ring.every(p => p.y > maxY)) continue;
+        const ds = [];
+        const n = f.area ? ring.length : ring.length - 1;
+        for (let k = 0; k < n; k++) ds.push(...segmentCrossings(pts, cum, ring[k], ring[(k + 1) % ring.length]));
+        if (!f.area) { for (const d of ds) points.push({ d, feature: f }); continue; }
+        // an area is entered and left at alternate crossings; the path may also start or end inside it
+        ds.sort((a, b) => a - b);
+        if (pointInRing(pts[0].x, pts[0].y, ring)) ds.unshift(0);
+        if (ds.length % 2) ds.push(total);
+        for (let k = 0; k < ds.length; k += 2) if (ds[k + 1] > ds[k]) stretches.push({ from: ds[k], to: ds[k + 1], feature: f });
+    }
+    points.sort((a, b) => a.d - b.d);
+    stretches.sort((a, b) => a.from - b.from);
+    return { points, stretches };
+}
+
+// Draw the profile of samples [{ d, h }] with stretches (shaded bands) and points (ticks), each carrying
+// a `color`. hover is a sample index to mark, or null. Returns the layout so callers can map x back to d.
+export function drawProfileChart(canvas, samples, { stretches = [], points = [], hover = null } = {}) {
+    const ctx = canvas.getContext('2d');
+    const W = canvas.width, H = canvas.height;
+    const pad = { l: 44, r: 8, t: 8, b: 20 };
+    ctx.clearRect(0, 0, W, H);
+    if (samples.length < 2) return null;
+    const { length, min, max } = profileStats(samples);
+    const span = Math.max(1, max - min);
+    const lo = min - span * 0.1, hi = max + span * 0.1;
+    const X = (d) => pad.l + (W - pad.l - pad.r) * d / Math.max(1e-9, length);
+    const Y = (h) => H - pad.b - (H - pad.t - pad.b) * (h - lo) / (hi - lo);
+
+    for (const s of stretches) {
+        ctx.fillStyle = s.color;
+        ctx.globalAlpha = 0.3;
+        ctx.fillRect(X(s.from), pad.t, Math.max(1, X(s.to) - X(s.from)), H - pad.t - pad.b);
+    }
+    ctx.globalAlpha = 1;
+
+    ctx.beginPath();
+    ctx.moveTo(X(0), Y(lo));
+    for (const s of samples) ctx.lineTo(X(s.d), Y(s.h));
+    ctx.lineTo(X(length), Y(lo));
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(120, 170, 90, 0.5)';
+    ctx.fill();
+    ctx.beginPath();
+    samples.forEach((s, k) => (k ? ctx.lineTo(X(s.d), Y(s.h)) : ctx.moveTo(X(s.d), Y(s.h))));
+    ctx.strokeStyle = '#c8e6a0';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    for (const p of points) {
+        ctx.strokeStyle = p.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(X(p.d), H - pad.b);
+        ctx.lineTo(X(p.d), H - pad.b - 8);
+        ctx.stroke();
+    }
+
+    // axes: elevation at the top and bottom, distance at the ends
+    ctx.fillStyle = '#ddd';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(max)} m`, pad.l - 4, Y(max) + 3);
+    ctx.fillText(`${Math.round(min)} m`, pad.l - 4, Y(min) + 3);
+    ctx.textAlign = 'left';
+    ctx.fillText('0', pad.l, H - 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(length >= 1000 ? `${(length / 1000).toFixed(2)} km` : `${Math.round(length)} m`, W - pad.r, H - 6);
+
+    if (hover !== null && samples[hover]) {
+        const s = samples[hover];
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(X(s.d), pad.t);
+        ctx.lineTo(X(s.d), H - pad.b);
+        ctx.stroke();
+        ctx.fillStyle = '#ff851b';
+        ctx.beginPath();
+        ctx.arc(X(s.d), Y(s.h), 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = X(s.d) > W / 2 ? 'right' : 'left';
+        ctx.fillText(`${Math.round(s.d)} m · ${s.h.toFixed(1)} m`, X(s.d) + (X(s.d) > W / 2 ? -6 : 6), pad.t + 10);
+    }
+    return { pad, length };
+}
+
+// Sample index nearest to canvas x (pixels) for the layout returned by drawProfileChart
+export function sampleAtChartX(samples, layout, canvasWidth, x) {
+    if (!layout || !samples.length) return null;
+    const d = (x - layout.pad.l) / (canvasWidth - layout.pad.l - layout.pad.r) * layout.length;
+    if (d < 0 || d > layout.length) return null;
+    let best = 0;
+    for (let k = 1; k < samples.length; k++) if (Math.abs(samples[k].d - d) < Math.abs(samples[best].d - d)) best = k;
+    return best;
+}
@@ -0,0 +1,121 @@
+// Geodetic projection shared by the app, the weapon simulation and the proxy.
+// Local coordinates are a transverse Mercator on the WGS84 ellipsoid, centred on an origin
+// {lat, lon}: the origin maps to (0, 0), x points east and y north, in metres, with unit scale
+// on the central meridian. Forward and inverse use the 6th-order Krüger series (Karney 2011),
+// accurate to well below a millimetre within a few thousand kilometres of the origin.
+
+export const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+
+const DEG = Math.PI / 180;
+const e2 = WGS84.f * (2 - WGS84.f);
+const e = Math.sqrt(e2);
+const n = WGS84.f / (2 - WGS84.f);
+const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+// rectifying radius: meridian arc length per radian of rectifying latitude
+const A = WGS84.a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+const ALPHA = [
+    n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+    13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+    61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+    49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+    34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+    212378941 * n6 / 319334400,
+];
+const BETA = [
+    n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+    n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+    17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+    4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+    4583 * n5 / 161280 - 108847 * n6 / 3991680,
+    20648693 * n6 / 638668800,
+];
+
+// conformal latitude: tan(phi) -> tan(chi)
+function tauPrime(tau) {
+    const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+    return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+}
+
+// inverse of tauPrime by Newton iteration (converges in 2-3 steps)
+function tauFromTauPrime(tp) {
+    let tau = tp;
+    for (let k = 0; k < 8; k++) {
+        const tpi = tauPrime(tau);
+        const d = (tp - tpi) / Math.sqrt(1 + tpi * tpi) * (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+        tau += d;
+        if (Math.abs(d) < 1e-14) break;
+    }
+    return tau;
+}
+
+// Transverse Mercator about central meridian lon0 (unit scale, no false easting/northing)
+function tmForward(lat, dLon) {
+    const tp = tauPrime(Math.tan(lat * DEG));
+    const lam = dLon * DEG;
+    const xiP = Math.atan2(tp, Math.cos(lam));
+    const etaP = Math.asinh(Math.sin(lam) / Math.sqrt(tp * tp + Math.cos(lam) * Math.cos(lam)));
+    let xi = xiP, eta = etaP;
+    for (let j = 1; j <= 6; j++) {
+        xi += ALPHA[j - 1] * Math.sin(2 * j * xiP) * Math.cosh(2 * j * etaP);
+        eta += ALPHA[j - 1] * Math.cos(2 * j * xiP) * Math.sinh(2 * j * etaP);
+    }
+    return { x: A * eta, y: A * xi };
+}
+
+function tmInverse(x, y) {
+    const xi = y / A, eta = x / A;
+    let xiP = xi, etaP = eta;
+    for (let j = 1; j <= 6; j++) {
+        xiP -= BETA[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+        etaP -= BETA[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+    const sinhEta = Math.sinh(etaP), cosXi = Math.cos(xiP);
+    const tp = Math.sin(xiP) / Math.sqrt(sinhEta * sinhEta + cosXi * cosXi);
+    const lat = Math.atan(tauFromTauPrime(tp)) / DEG;
+    const dLon = Math.atan2(sinhEta, cosXi) / DEG;
+    return { lat, dLon };
+}
+
+// northing of the origin latitude is reused for every point of a scene
+let cachedOriginLat = NaN, cachedOriginY = 0;
+function originNorthing(lat) {
+    if (lat !== cachedOriginLat) { cachedOriginLat = lat; cachedOriginY = tmForward(lat, 0).y; }
+    return cachedOriginY;
+}
+
+// lat/lon (degrees) -> local metres {x, y} relative to origin {lat, lon}
+export function latLonToMeters(lat, lon, origin) {
+    const p = tmForward(lat, lon - origin.lon);
+    return { x: p.x, y: p.y - originNorthing(origin.lat) };
+}
+
+// local metres {x, y} relative to origin -> {lat, lon} in degrees (exact inverse of latLonToMeters)
+export function metersToLatLon(x, y, origin) {
+    const p = tmInverse(x, y + originNorthing(origin.lat));
+    return { lat: p.lat, lon: origin.lon + p.dLon };
+}
+
+// Geodesic area of a lat/lon rectangle [south, west, north, east] on the ellipsoid, in km^2
+export function bboxAreaKm2(bbox) {
+    const [s, w, nn, ee] = bbox;
+    const q = (lat) => {
+        const sp = Math.sin(lat * DEG);
+        return sp / (1 - e2 * sp * sp) + Math.log((1 + e * sp) / (1 - e * sp)) / (2 * e);
+    };
+    const b2 = WGS84.a * WGS84.a * (1 - e2);
+    const area = b2 / 2 * Math.abs((ee - w) * DEG) * Math.abs(q(nn) - q(s));
+    return area / 1e6;
+}
+
+// Area of a lat/lon polygon [[lat, lon], ...] in km^2: shoelace on the transverse Mercator about its
+// centroid, whose scale error is negligible at the city scales used here
+export function polygonAreaKm2(ring) {
+    if (!ring || ring.length < 3) return 0;
+    let lat0 = 0, lon0 = 0;
+    for (const p of ring) { lat0 += p[0]; lon0 += p[1]; }
+    const origin = { lat: lat0 / ring.length, lon: lon0 / ring.length };
+    const pts = ring.map(p => latLonToMeters(p[0], p[1], origin));
+    let sum = 0;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) sum += pts[j].x * pts[i].y - pts[i].x * pts[j].y;
+    return Math.abs(sum) / 2 / 1e6;
+}
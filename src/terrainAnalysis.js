@@ -0,0 +1,115 @@
+// Terrain analysis rasters
+// Slope, aspect and hillshade from a regular height grid (heights[j][i], j south to north, i west to east,
+// spacing dx / dy meters), with the classification legends used for map overlays and terrain coloring.
+
+// 3x3 neighbourhood gradient (Horn 1981); edges reuse the nearest cell. Returns dz/dx (east) and dz/dy (north).
+function gradient(heights, j, i, dx, dy) {
+    const ny = heights.length, nx = heights[0].length;
+    const h = (jj, ii) => heights[Math.max(0, Math.min(ny - 1, jj))][Math.max(0, Math.min(nx - 1, ii))];
+    const gx = ((h(j - 1, i + 1) + 2 * h(j, i + 1) + h(j + 1, i + 1)) - (h(j - 1, i - 1) + 2 * h(j, i - 1) + h(j + 1, i - 1))) / (8 * dx);
+    const gy = ((h(j + 1, i - 1) + 2 * h(j + 1, i) + h(j + 1, i + 1)) - (h(j - 1, i - 1) + 2 * h(j - 1, i) + h(j - 1, i + 1))) / (8 * dy);
+    return { gx, gy };
+}
+
+// Slope in degrees and aspect in degrees clockwise from north (direction the slope faces; -1 where flat)
+export function slopeAspect(heights, dx, dy) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const slope = [], aspect = [];
+    for (let j = 0; j < ny; j++) {
+        slope.push(new Array(nx)); aspect.push(new Array(nx));
+        for (let i = 0; i < nx; i++) {
+            const { gx, gy } = gradient(heights, j, i, dx, dy);
+            const g = Math.hypot(gx, gy);
+            slope[j][i] = Math.atan(g) * 180 / Math.PI;
+            // downslope direction is -gradient
+            aspect[j][i] = g < 1e-6 ? -1 : (Math.atan2(-gx, -gy) * 180 / Math.PI + 360) % 360;
+        }
+    }
+    return { slope, aspect };
+}
+
+// Hillshade 0..255 for a sun at azimuth (degrees from north) and altitude (degrees above the horizon)
+export function hillshade(heights, dx, dy, { azimuth = 315, altitude = 45, zFactor = 1 } = {}) {
+    const ny = heights.length, nx = ny ? heights[0].length : 0;
+    const zen = (90 - altitude) * Math.PI / 180, az = azimuth * Math.PI / 180;
+    const out = [];
+    for (let j = 0; j < ny; j++) {
+        out.push(new Array(nx));
+        for (let i = 0; i < nx; i++) {
+            const { gx, gy } = gradient(heights, j, i, dx, dy);
+            const slope = Math.atan(zFactor * Math.hypot(gx, gy));
+            const aspect = Math.atan2(-gx, -gy);
+            const v = Math.cos(zen) * Math.cos(slope) + Math.sin(zen) * Math.sin(slope) * Math.cos(az - aspect);
+            out[j][i] = Math.round(255 * Math.max(0, v));
+        }
+    }
+    return out;
+}
+
+// Slope classes for building and driving suitability
+export const SLOPE_CLASSES = [
+    { max: 5, color: '#1a9850', label: '0–5°: bằng phẳng, xây dựng và đi lại dễ' },
+    { max: 10, color: '#91cf60', label: '5–10°: thoải, xe thường đi được' },
+    { max: 15, color: '#fee08b', label: '10–15°: dốc vừa, xây dựng hạn chế' },
+    { max: 30, color: '#fc8d59', label: '15–30°: dốc, chỉ xe địa hình' },
+    { max: 90, color: '#d73027', label: '> 30°: rất dốc, không xây, không đi xe' },
+];
+
+export const ASPECT_CLASSES = [
+    { label: 'Bằng phẳng', color: '#bdbdbd' },
+    { label: 'Bắc', color: '#e41a1c' }, { label: 'Đông Bắc', color: '#ff7f00' },
+    { label: 'Đông', color: '#ffff33' }, { label: 'Đông Nam', color: '#4daf4a' },
+    { label: 'Nam', color: '#00bcd4' }, { label: 'Tây Nam', color: '#377eb8' },
+    { label: 'Tây', color: '#984ea3' }, { label: 'Tây Bắc', color: '#f781bf' },
+];
+
+export function slopeClass(deg) {
+    return SLOPE_CLASSES.find(c => deg <= c.max) || SLOPE_CLASSES[SLOPE_CLASSES.length - 1];
+}
+
+export function aspectClass(deg) {
+    if (deg < 0) return ASPECT_CLASSES[0];
+    return ASPECT_CLASSES[1 + Math.round(deg / 45) % 8];
+}
+
+function hexToRgb(hex) {
+    const v = parseInt(hex.slice(1), 16);
+    return [(v >> 16) / 255, ((v >> 8) & 255) / 255, (v & 255) / 255];
+}
+
+// Color [r, g, b] in 0..1 of one analysis value: kind 'slope' | 'aspect' | 'hillshade'
+export function analysisColor(kind, value) {
+    if (kind === 'slope') return hexToRgb(slopeClass(value).color);
+    if (kind === 'aspect') return hexToRgb(aspectClass(value).color);
+    const g = value / 255;
+    return [g, g, g];
+}
+
+// Legend entries [{ color, label }] for a kind
+export function analysisLegend(kind) {
+    if (kind === 'slope') return SLOPE_CLASSES.map(c => ({ color: c.color, label: c.label }));
+    if (kind === 'aspect') return ASPECT_CLASSES.map(c => ({ color: c.color, label: c.label }));
+    if (kind === 'hillshade') return [{ color: '#000000', label: 'Khuất bóng' }, { color: '#ffffff', label: 'Được chiếu sáng (nắng từ tây bắc, 45°)' }];
+    return [];
+}
+
+// Draw a raster (values[j][i], j south to north) into a canvas with north up, one pixel per grid point.
+// colorAt(value, j, i) returns [r, g, b] in 0..1, or null for a transparent pixel.
+export function rasterToCanvas(values, colorAt) {
+    const ny = values.length, nx = ny ? values[0].length : 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = nx; canvas.height = ny;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(nx, ny);
+    for (let j = 0; j < ny; j++) {
+        const row = ny - 1 - j;
+        for (let i = 0; i < nx; i++) {
+            const c = colorAt(values[j][i], j, i);
+            const o = (row * nx + i) * 4;
+            if (!c) continue;
+            img.data[o] = Math.round(c[0] * 255); img.data[o + 1] = Math.round(c[1] * 255); img.data[o + 2] = Math.round(c[2] * 255); img.data[o + 3] = 255;
+        }
+    }
+    ctx.putImageData(img, 0, 0);
+    return canvas;
+}
@@ -0,0 +1,98 @@
+// Terrain grid export: GeoTIFF, Esri ASCII grid and XYZ text
+// heights[j][i] are meters at lats[j] (ascending, south to north) and lons[i] (ascending), both uniformly
+// spaced, in WGS84. Each grid point is written as the center of one pixel, so the raster covers half a
+// spacing past the outer points. pointVisible(j, i), if given, writes NODATA for hidden points.
+
+export const NODATA = -9999;
+
+// WGS84 definition for the .prj next to an ASCII or XYZ grid (formats with no CRS of their own)
+export const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Pixel size and outer edges of the raster in degrees
+export function gridGeoreference(lats, lons) {
+    const dLat = (lats[lats.length - 1] - lats[0]) / Math.max(1, lats.length - 1);
+    const dLon = (lons[lons.length - 1] - lons[0]) / Math.max(1, lons.length - 1);
+    return { dLat, dLon, west: lons[0] - dLon / 2, south: lats[0] - dLat / 2, north: lats[lats.length - 1] + dLat / 2 };
+}
+
+// Rows north to south (raster order), hidden points as NODATA
+function rasterRows(heights, pointVisible) {
+    const out = [];
+    for (let j = heights.length - 1; j >= 0; j--) {
+        out.push(heights[j].map((h, i) => (Number.isFinite(h) && (!pointVisible || pointVisible(j, i)) ? h : NODATA)));
+    }
+    return out;
+}
+
+const fmt = (v) => (v === NODATA ? String(NODATA) : v.toFixed(2));
+
+// Single band float32 GeoTIFF (EPSG:4326, pixel is area) with the GDAL nodata tag. Returns an ArrayBuffer.
+export function toGeoTiff(heights, lats, lons, { pointVisible = null } = {}) {
+    const ny = lats.length, nx = lons.length;
+    const { dLat, dLon, west, north } = gridGeoreference(lats, lons);
+    const nodata = `${NODATA}\0`;
+    // GTModelType geographic, GTRasterType pixel is area, GeographicType WGS84
+    const geoKeys = [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326];
+    // [tag, type, values]; types: 2 ASCII, 3 SHORT, 4 LONG, 12 DOUBLE. Tags in ascending order.
+    const entries = [
+        [256, 3, [nx]], [257, 3, [ny]], [258, 3, [32]], [259, 3, [1]], [262, 3, [1]],
+        [273, 4, [0]], [277, 3, [1]], [278, 3, [ny]], [279, 4, [nx * ny * 4]], [284, 3, [1]], [339, 3, [3]],
+        [33550, 12, [dLon, dLat, 0]], [33922, 12, [0, 0, 0, west, north, 0]], [34735, 3, geoKeys], [42113, 2, nodata]
+    ];
+    const size = { 2: 1, 3: 2, 4: 4, 12: 8 };
+    const ifdOffset = 8, ifdSize = 2 + entries.length * 12 + 4;
+    // values longer than 4 bytes follow the IFD (word aligned), then the pixel data
+    let extra = ifdOffset + ifdSize;
+    const placed = entries.map(([, type, values]) => {
+        const bytes = values.length * size[type];
+        if (bytes <= 4) return null;
+        const at = extra;
+        extra += bytes + (bytes % 2);
+        return at;
+    });
+    const dataOffset = extra + ((8 - extra % 8) % 8);
+    entries[5][2] = [dataOffset];
+
+    const buf = new ArrayBuffer(dataOffset + nx * ny * 4);
+    const view = new DataView(buf);
+    view.setUint16(0, 0x4949); view.setUint16(2, 42, true); view.setUint32(4, ifdOffset, true);
+    view.setUint16(ifdOffset, entries.length, true);
+    const writeValues = (at, type, values) => {
+        for (let k = 0; k < values.length; k++) {
+            if (type === 2) view.setUint8(at + k, values.charCodeAt(k));
+            else if (type === 3) view.setUint16(at + k * 2, values[k], true);
+            else if (type === 4) view.setUint32(at + k * 4, values[k], true);
+            else view.setFloat64(at + k * 8, values[k], true);
+        }
+    };
+    entries.forEach(([tag, type, values], n) => {
+        const e = ifdOffset + 2 + n * 12;
+        view.setUint16(e, tag, true);
+        view.setUint16(e + 2, type, true);
+        view.setUint32(e + 4, values.length, true);
+        writeValues(placed[n] === null ? e + 8 : placed[n], type, values);
+        if (placed[n] !== null) view.setUint32(e + 8, placed[n], true);
+    });
+    view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true);
+    let at = dataOffset;
+    for (const row of rasterRows(heights, pointVisible)) for (const h of row) { view.setFloat32(at, h, true); at += 4; }
+    return buf;
+}
+
+// Esri ASCII grid. Cells are rarely square in degrees, so unequal spacings use GDAL's dx / dy header keys.
+export function toAsciiGrid(heights, lats, lons, { pointVisible = null } = {}) {
+    const { dLat, dLon, west, south } = gridGeoreference(lats, lons);
+    const size = Math.abs(dLat - dLon) < 1e-12 ? [`cellsize ${dLat.toFixed(12)}`] : [`dx ${dLon.toFixed(12)}`, `dy ${dLat.toFixed(12)}`];
+    const header = [`ncols ${lons.length}`, `nrows ${lats.length}`, `xllcorner ${west.toFixed(12)}`, `yllcorner ${south.toFixed(12)}`, ...size, `NODATA_value ${NODATA}`];
+    return header.concat(rasterRows(heights, pointVisible).map(row => row.map(fmt).join(' '))).join('\n') + '\n';
+}
+
+// "lon lat elevation" per grid point, north row first, as GDAL's XYZ driver reads a regular grid
+export function toXyz(heights, lats, lons, { pointVisible = null } = {}) {
+    const lines = ['X Y Z'];
+    rasterRows(heights, pointVisible).forEach((row, r) => {
+        const lat = lats[lats.length - 1 - r].toFixed(9);
+        row.forEach((h, i) => lines.push(`${lons[i].toFixed(9)} ${lat} ${fmt(h)}`));
+    });
+    return lines.join('\n') + '\n';
+}
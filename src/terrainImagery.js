@@ -0,0 +1,131 @@
+// Terrain imagery
+// Builds a texture for the terrain from XYZ map tiles (mosaicked over the terrain bbox in Web Mercator)
+// or from a user image georeferenced by a world file, and maps it onto terrain geometry: every vertex's
+// local x, y goes back to lat/lon through the shared projection and then to the image pixel it covers.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154.0/build/three.module.js';
+import { metersToLatLon } from './projection.js';
+
+const TILE_SIZE = 256;
+const MAX_MERCATOR_LAT = 85.05112878;
+
+// Web Mercator world pixel coordinates of lat/lon at zoom z
+export function latLonToWorldPixel(lat, lon, z) {
+    const scale = TILE_SIZE * Math.pow(2, z);
+    const phi = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat)) * Math.PI / 180;
+    return {
+        x: (lon + 180) / 360 * scale,
+        y: (1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2 * scale,
+    };
+}
+
+// Highest zoom (<= maxZoom) at which bbox [s, w, n, e] fits in maxPixels on both axes
+export function pickTileZoom(bbox, maxPixels = 2048, maxZoom = 19) {
+    const [s, w, n, e] = bbox;
+    for (let z = maxZoom; z > 0; z--) {
+        const a = latLonToWorldPixel(n, w, z), b = latLonToWorldPixel(s, e, z);
+        if (b.x - a.x <= maxPixels && b.y - a.y <= maxPixels) return z;
+    }
+    return 0;
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load ${src}`));
+        img.src = src;
+    });
+}
+
+// Mosaic the tiles covering bbox into one canvas. tileUrl(z, x, y) gives each tile's URL.
+// onProgress({ done, total, failed }) is called as tiles arrive; missing tiles are left grey.
+// Returns { canvas, zoom, failed, uvAt(lat, lon) }.
+export async function buildTileMosaic(bbox, tileUrl, { maxPixels = 2048, maxZoom = 19, concurrency = 6, onProgress = null } = {}) {
+    const [s, w, n, e] = bbox;
+    const z = pickTileZoom(bbox, maxPixels, maxZoom);
+    const nw = latLonToWorldPixel(n, w, z), se = latLonToWorldPixel(s, e, z);
+    const width = Math.max(1, Math.ceil(se.x - nw.x)), height = Math.max(1, Math.ceil(se.y - nw.y));
+    const canvas = document.createElement('canvas');
+    canvas.width = width; canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#888';
+    ctx.fillRect(0, 0, width, height);
+
+    const tiles = [];
+    const last = Math.pow(2, z) - 1;
+    for (let ty = Math.floor(nw.y / TILE_SIZE); ty <= Math.min(last, Math.floor(se.y / TILE_SIZE)); ty++) {
+        for (let tx = Math.floor(nw.x / TILE_SIZE); tx <= Math.min(last, Math.floor(se.x / TILE_SIZE)); tx++) tiles.push({ tx, ty });
+    }
+    let done = 0, failed = 0, next = 0;
+    const worker = async () => {
+        while (next < tiles.length) {
+            const { tx, ty } = tiles[next++];
+            try {
+                const img = await loadImage(tileUrl(z, tx, ty));
+                ctx.drawImage(img, tx * TILE_SIZE - nw.x, ty * TILE_SIZE - nw.y, TILE_SIZE, TILE_SIZE);
+            } catch (err) { failed++; }
+            done++;
+            if (onProgress) onProgress({ done, total: tiles.length, failed });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, tiles.length) }, worker));
+
+    const uvAt = (lat, lon) => {
+        const p = latLonToWorldPixel(lat, lon, z);
+        return [(p.x - nw.x) / width, 1 - (p.y - nw.y) / height];
+    };
+    return { canvas, zoom: z, failed, uvAt };
+}
+
+// World file (.pgw / .jgw / .wld / .tfw) in degrees: pixel size x, rotation, rotation, pixel size y,
+// lon and lat of the centre of the upper-left pixel
+export function parseWorldFile(text) {
+    const v = String(text).trim().split(/\s+/).map(Number);
+    if (v.length < 6 || v.some(x => !Number.isFinite(x))) throw new Error('World file must hold 6 numbers');
+    const [A, D, B, E, C, F] = v;
+    if (D !== 0 || B !== 0) throw new Error('Rotated world files are not supported');
+    return { A, E, C, F };
+}
+
+// A user image as imagery. With a world file its pixels are placed by it (lat/lon degrees);
+// without one the image is stretched over fallbackBBox [s, w, n, e]. Returns { canvas, uvAt(lat, lon) }.
+export async function loadGeoreferencedImage(imageFile, worldFileText, fallbackBBox) {
+    const url = URL.createObjectURL(imageFile);
+    let img;
+    try { img = await loadImage(url); } finally { URL.revokeObjectURL(url); }
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth; canvas.height = img.naturalHeight;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    const W = canvas.width, H = canvas.height;
+    let geo;
+    if (worldFileText) geo = parseWorldFile(worldFileText);
+    else {
+        const [s, w, n, e] = fallbackBBox;
+        geo = { A: (e - w) / W, E: -(n - s) / H, C: w + (e - w) / W / 2, F: n - (n - s) / H / 2 };
+    }
+    const uvAt = (lat, lon) => [((lon - geo.C) / geo.A + 0.5) / W, 1 - ((lat - geo.F) / geo.E + 0.5) / H];
+    return { canvas, uvAt };
+}
+
+// Lambert material textured with the imagery canvas
+export function imageryMaterial(imagery) {
+    const texture = new THREE.CanvasTexture(imagery.canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.anisotropy = 4;
+    return new THREE.MeshLambertMaterial({ map: texture, side: THREE.DoubleSide });
+}
+
+// Add a uv attribute to geometry whose positions are local meters around origin
+export function applyImageryUVs(geometry, imagery, origin) {
+    const pos = geometry.attributes.position;
+    const uvs = new Float32Array(pos.count * 2);
+    for (let k = 0; k < pos.count; k++) {
+        const ll = metersToLatLon(pos.getX(k), pos.getY(k), origin);
+        const [u, v] = imagery.uvAt(ll.lat, ll.lon);
+        uvs[k * 2] = u; uvs[k * 2 + 1] = v;
+    }
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+}
@@ -0,0 +1,256 @@
+// Terrain level of detail
+// A quadtree of terrain chunks over the scanned bbox. Chunks near the camera are split into finer chunks
+// whose heights are fetched on demand; far chunks stay coarse. Chunk edges drop a skirt to hide cracks
+// between neighbours of different levels. Height data of loaded chunks is kept, so heightAt() always
+// answers from the finest chunk loaded at a point, even when it is not the one drawn.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154.0/build/three.module.js';
+import { latLonToMeters, metersToLatLon } from './projection.js';
+
+const DEFAULTS = {
+    chunkRes: 16,        // cells per chunk side
+    maxDepth: 4,         // deepest quadtree level (root = 0)
+    splitFactor: 1.6,    // split when camera distance < splitFactor * chunk diagonal
+    skirtFactor: 0.03,   // skirt depth as a fraction of the chunk diagonal
+    updateInterval: 250, // ms between quadtree updates
+};
+
+export class TerrainLod {
+    // opts:
+    //   scene, origin {lat, lon}, bbox [s, w, n, e]
+    //   baseHeights(lats, lons) -> heights[j][i] in scene units, synchronous (levels up to baseDepth, from the base grid)
+    //   fetchHeights(lats, lons) -> Promise<heights[j][i] | null> in scene units (finer levels)
+    //   baseDepth: deepest level that is no finer than the base grid (heightAt defers to the base grid up to it)
+    //   vertexColor(x, y, z) -> [r, g, b]
+    //   cellVisible(x, y) -> bool, optional (masks cells outside a polygon selection)
+    //   onLoad(bounds {minX, minY, maxX, maxY}, previousHeightAt(x, y)) called after a chunk's heights arrive
+    constructor(opts) {
+        Object.assign(this, DEFAULTS, opts);
+        this.group = new THREE.Group();
+        this.group.userData.terrainLod = true;
+        this.scene.add(this.group);
+        this.material = new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide });
+        this.baseDepth = this.baseDepth || 0;
+        this.loading = null;
+        this.lastUpdate = 0;
+        this.disposed = false;
+        const [s, w, n, e] = this.bbox;
+        this.root = this._node(0, s, w, n, e);
+        this._setBaseHeights(this.root);
+    }
+
+    _setBaseHeights(node) {
+        const { lats, lons } = this._axes(node);
+        this._setHeights(node, this.baseHeights(lats, lons));
+    }
+
+    _node(level, s, w, n, e) {
+        const c = latLonToMeters((s + n) / 2, (w + e) / 2, this.origin);
+        const sw = latLonToMeters(s, w, this.origin), ne = latLonToMeters(n, e, this.origin);
+        return { level, s, w, n, e, children: null, heights: null, mesh: null, failed: false, center: c, diag: Math.hypot(ne.x - sw.x, ne.y - sw.y) };
+    }
+
+    _axes(node) {
+        const r = this.chunkRes;
+        const lats = [], lons = [];
+        for (let k = 0; k <= r; k++) { lats.push(node.s + (node.n - node.s) * k / r); lons.push(node.w + (node.e - node.w) * k / r); }
+        return { lats, lons };
+    }
+
+    _setHeights(node, heights) {
+        const r = this.chunkRes;
+        const { lats, lons } = this._axes(node);
+        node.xy = [];
+        node.heights = heights;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let j = 0; j <= r; j++) {
+            node.xy.push([]);
+            for (let i = 0; i <= r; i++) {
+                const p = latLonToMeters(lats[j], lons[i], this.origin);
+                node.xy[j].push(p);
+                if (p.x < minX) minX = p.x; if (p.y < minY) minY = p.y;
+                if (p.x > maxX) maxX = p.x; if (p.y > maxY) maxY = p.y;
+            }
+        }
+        node.bounds = { minX, minY, maxX, maxY };
+        let sum = 0;
+        for (const row of heights) for (const h of row) sum += h;
+        node.center.z = sum / ((r + 1) * (r + 1));
+    }
+
+    _children(node) {
+        if (!node.children) {
+            const { s, w, n, e, level } = node;
+            const mLat = (s + n) / 2, mLon = (w + e) / 2;
+            node.children = [
+                this._node(level + 1, s, w, mLat, mLon), this._node(level + 1, s, mLon, mLat, e),
+                this._node(level + 1, mLat, w, n, mLon), this._node(level + 1, mLat, mLon, n, e),
+            ];
+            if (level + 1 <= this.baseDepth) node.children.forEach(k => this._setBaseHeights(k));
+        }
+        return node.children;
+    }
+
+    // Mesh of a chunk: (chunkRes + 1)^2 grid vertices plus a skirt hanging from its border
+    _buildMesh(node) {
+        const r = this.chunkRes, side = r + 1;
+        const skirt = Math.max(0.5, node.diag * this.skirtFactor);
+        const positions = [], colors = [], indices = [];
+        for (let j = 0; j <= r; j++) {
+            for (let i = 0; i <= r; i++) {
+                const p = node.xy[j][i], z = node.heights[j][i];
+                positions.push(p.x, p.y, z);
+                colors.push(...this.vertexColor(p.x, p.y, z));
+            }
+        }
+        for (let j = 0; j < r; j++) {
+            for (let i = 0; i < r; i++) {
+                if (this.cellVisible) {
+                    const a = node.xy[j][i], d = node.xy[j + 1][i + 1];
+                    if (!this.cellVisible((a.x + d.x) / 2, (a.y + d.y) / 2)) continue;
+                }
+                const a = j * side + i, b = a + 1, c = a + side, d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+        // skirt: walk the border and drop each edge vertex by `skirt`
+        const border = [];
+        for (let i = 0; i <= r; i++) border.push(i);
+        for (let j = 1; j <= r; j++) border.push(j * side + r);
+        for (let i = r - 1; i >= 0; i--) border.push(r * side + i);
+        for (let j = r - 1; j >= 0; j--) border.push(j * side);
+        const base = positions.length / 3;
+        for (const v of border) {
+            positions.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2] - skirt);
+            colors.push(colors[v * 3], colors[v * 3 + 1], colors[v * 3 + 2]);
+        }
+        for (let k = 0; k < border.length - 1; k++) {
+            const t0 = border[k], t1 = border[k + 1], b0 = base + k, b1 = base + k + 1;
+            indices.push(t0, b0, t1, t1, b0, b1);
+        }
+        const geom = new THREE.BufferGeometry();
+        geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geom.setIndex(indices);
+        geom.computeVertexNormals();
+        if (this.decorate) this.decorate(geom);
+        const mesh = new THREE.Mesh(geom, this.customMaterial || this.material);
+        mesh.userData.terrainChunk = { level: node.level };
+        return mesh;
+    }
+
+    // Fetch one missing chunk at a time, closest to the camera first
+    _load(node) {
+        this.loading = node;
+        const { lats, lons } = this._axes(node);
+        this.fetchHeights(lats, lons).then((heights) => {
+            this.loading = null;
+            if (this.disposed) return;
+            if (!heights || heights.length !== this.chunkRes + 1) { node.failed = true; return; }
+            const previous = (x, y) => this.heightAt(x, y, node);
+            this._setHeights(node, heights);
+            if (this.onLoad) this.onLoad(node.bounds, previous);
+        }).catch(() => { this.loading = null; node.failed = true; });
+    }
+
+    _wantsSplit(node, cam) {
+        if (node.level >= this.maxDepth) return false;
+        const dz = cam.z - (node.center.z || 0);
+        return Math.hypot(cam.x - node.center.x, cam.y - node.center.y, dz) < this.splitFactor * node.diag;
+    }
+
+    // Re-evaluate which chunks are drawn for the camera position (cheap; call every frame)
+    update(cam, now = performance.now()) {
+        if (this.disposed || now - this.lastUpdate < this.updateInterval) return;
+        this.lastUpdate = now;
+        const drawn = new Set(), wanted = [];
+        const visit = (node) => {
+            if (this._wantsSplit(node, cam)) {
+                const kids = this._children(node);
+                // only split once all four children have data, so the area is never left empty
+                if (kids.every(k => k.heights)) { kids.forEach(visit); return; }
+                for (const k of kids) if (!k.heights && !k.failed) wanted.push(k);
+            }
+            drawn.add(node);
+        };
+        visit(this.root);
+        this._forEach(this.root, (node) => {
+            if (drawn.has(node)) {
+                if (!node.mesh) { node.mesh = this._buildMesh(node); this.group.add(node.mesh); }
+            } else if (node.mesh) {
+                this.group.remove(node.mesh);
+                node.mesh.geometry.dispose();
+                node.mesh = null;
+            }
+        });
+        if (!this.loading && wanted.length) {
+            const d = (k) => Math.hypot(cam.x - k.center.x, cam.y - k.center.y);
+            wanted.sort((a, b) => d(a) - d(b));
+            this._load(wanted[0]);
+        }
+    }
+
+    _forEach(node, fn) {
+        fn(node);
+        if (node.children) for (const k of node.children) this._forEach(k, fn);
+    }
+
+    // Height (scene units) at local x, y from the finest chunk with data there; null outside the quadtree
+    // or when that chunk is no finer than the base grid. `skip` ignores one chunk (used to report the
+    // surface as it was before that chunk loaded).
+    heightAt(x, y, skip = null) {
+        const ll = metersToLatLon(x, y, this.origin);
+        const { lat, lon } = ll;
+        if (lat < this.root.s || lat > this.root.n || lon < this.root.w || lon > this.root.e) return null;
+        let node = this.root, best = this.root;
+        while (node.children) {
+            const mLat = (node.s + node.n) / 2, mLon = (node.w + node.e) / 2;
+            node = node.children[(lat >= mLat ? 2 : 0) + (lon >= mLon ? 1 : 0)];
+            if (!node.heights || node === skip) break;
+            best = node;
+        }
+        if (best.level <= this.baseDepth) return null;
+        const r = this.chunkRes;
+        const fx = Math.max(0, Math.min(r, (lon - best.w) / (best.e - best.w) * r));
+        const fy = Math.max(0, Math.min(r, (lat - best.s) / (best.n - best.s) * r));
+        const i0 = Math.min(r - 1, Math.floor(fx)), j0 = Math.min(r - 1, Math.floor(fy));
+        const sx = fx - i0, sy = fy - j0, h = best.heights;
+        const h0 = h[j0][i0] * (1 - sx) + h[j0][i0 + 1] * sx;
+        const h1 = h[j0 + 1][i0] * (1 - sx) + h[j0 + 1][i0 + 1] * sx;
+        return h0 * (1 - sy) + h1 * sy;
+    }
+
+    // Draw chunks with `material` (null = height colors); decorate(geometry) adds what the material needs, e.g. uvs.
+    // The material stays owned by the caller.
+    setMaterial(material, decorate = null) {
+        this.customMaterial = material;
+        this.decorate = decorate;
+        this._forEach(this.root, (node) => {
+            if (!node.mesh) return;
+            this.group.remove(node.mesh);
+            node.mesh.geometry.dispose();
+            node.mesh = null;
+        });
+        this.lastUpdate = 0;
+    }
+
+    // Number of chunks with height data (root included)
+    loadedCount() {
+        let n = 0;
+        this._forEach(this.root, (node) => { if (node.heights) n++; });
+        return n;
+    }
+
+    dispose() {
+        this.disposed = true;
+        this._forEach(this.root, (node) => { if (node.mesh) node.mesh.geometry.dispose(); });
+        this.scene.remove(this.group);
+        this.material.dispose();
+    }
+}
+
+// Deepest level whose cells are still at least minCellMeters across (finer than the DEM is wasted)
+export function lodDepthFor(sizeMeters, chunkRes = DEFAULTS.chunkRes, minCellMeters = 20, maxDepth = 6) {
+    const d = Math.floor(Math.log2(sizeMeters / (chunkRes * minCellMeters)));
+    return Math.max(0, Math.min(maxDepth, d));
+}
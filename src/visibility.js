@@ -0,0 +1,73 @@
+// Line of sight and viewshed
+// Works in local meters with real elevations (not the exaggerated scene heights). Sight lines are blocked by
+// the terrain, sampled along the line, and by building footprints extruded from their base to their top.
+
+import { pointInRing } from './geometry.js';
+
+// Obstacles from building footprints: [{ pts: [{x, y}], base, top, ref }] with base/top in meters above sea level
+export function buildingObstacles(list) {
+    return list.filter(b => b.pts && b.pts.length >= 3 && b.top > b.base).map(b => {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const p of b.pts) {
+            if (p.x < minX) minX = p.x; if (p.y < minY) minY = p.y;
+            if (p.x > maxX) maxX = p.x; if (p.y > maxY) maxY = p.y;
+        }
+        return { ...b, minX, minY, maxX, maxY };
+    });
+}
+
+// Parameters t in (0, 1) where segment a->b crosses the footprint outline
+function footprintCrossings(a, b, pts) {
+    const ts = [];
+    const rx = b.x - a.x, ry = b.y - a.y;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const p = pts[j], q = pts[i];
+        const sx = q.x - p.x, sy = q.y - p.y;
+        const den = rx * sy - ry * sx;
+        if (Math.abs(den) < 1e-12) continue;
+        const t = ((p.x - a.x) * sy - (p.y - a.y) * sx) / den;
+        const u = ((p.x - a.x) * ry - (p.y - a.y) * rx) / den;
+        if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t);
+    }
+    return ts;
+}
+
+// Sight line from `from` to `to` ({x, y, z}, z in meters above sea level).
+// terrainHeightAt(x, y) gives ground elevation in meters; step is the terrain sampling distance in meters.
+// Returns { visible, t, point: {x, y, z}, blocker: { type: 'terrain' } | { type: 'building', ref } } where t is the
+// fraction of the way to the first obstruction (1 when visible).
+export function lineOfSight(from, to, { terrainHeightAt, obstacles = [], step = 5 }) {
+    const dx = to.x - from.x, dy = to.y - from.y;
+    const len = Math.hypot(dx, dy);
+    const lineZ = (t) => from.z + (to.z - from.z) * t;
+    let best = { t: 1, blocker: null };
+
+    // terrain: the last sample is kept a step short of the target so its own ground doesn't hide it
+    const n = Math.max(1, Math.ceil(len / step));
+    for (let k = 1; k < n; k++) {
+        const t = k / n;
+        if (terrainHeightAt(from.x + dx * t, from.y + dy * t) > lineZ(t)) { best = { t, blocker: { type: 'terrain' } }; break; }
+    }
+
+    // buildings: the sight line's height is linear in t, so it is lowest inside a footprint where it crosses the outline
+    const minX = Math.min(from.x, to.x), maxX = Math.max(from.x, to.x), minY = Math.min(from.y, to.y), maxY = Math.max(from.y, to.y);
+    for (const o of obstacles) {
+        if (o.maxX < minX || o.minX > maxX || o.maxY < minY || o.minY > maxY) continue;
+        // an observer standing in or on a building sees out of it
+        if (pointInRing(from.x, from.y, o.pts)) continue;
+        for (const t of footprintCrossings(from, to, o.pts)) {
+            if (t >= best.t) continue;
+            const z = lineZ(t);
+            if (z < o.top && z > o.base) best = { t, blocker: { type: 'building', ref: o.ref } };
+        }
+    }
+    const point = { x: from.x + dx * best.t, y: from.y + dy * best.t, z: lineZ(best.t) };
+    return { visible: !best.blocker, t: best.t, point, blocker: best.blocker };
+}
+
+// Visibility of every target ({x, y, z}) from the observer; returns a Uint8Array of 1 (visible) / 0 (hidden)
+export function computeViewshed(observer, targets, opts) {
+    const out = new Uint8Array(targets.length);
+    targets.forEach((t, k) => { out[k] = lineOfSight(observer, t, opts).visible ? 1 : 0; });
+    return out;
+}
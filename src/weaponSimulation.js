@@ -1,17 +1,8 @@
 // Weapon Simulation Module
 // Simulates the impact of military weapons on a map or 3D environment
 
-// Simple helper: convert lat/lon to local meters using equirectangular approx
-function latLonToMeters(lat, lon, origin) {
-    const R = 6378137; // Earth radius
-    const dLat = (lat - origin.lat) * Math.PI / 180;
-    const dLon = (lon - origin.lon) * Math.PI / 180;
-    const x = R * dLon * Math.cos(origin.lat * Math.PI / 180);
-    const y = R * dLat;
-    return { x, y };
-}
-
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.154.0/build/three.module.js';
+import { latLonToMeters, metersToLatLon, bboxAreaKm2, polygonAreaKm2 } from './projection.js';
 
 export class Weapon {
     constructor(type, power, radius) {
@@ -613,13 +604,9 @@ export class WeaponSimulation {
                 }
                 if (sc === 0) continue;
                 const cx = sx / sc, cy = sy / sc;
-                // convert centroid to lat/lon using approximate inverse of latLonToMeters using origin
+                // convert centroid to lat/lon with the inverse projection
                 const origin = this.origin || { lat: 21.028511, lon: 105.804817 };
-                const R = 6378137;
-                const dLat = cy / R;
-                const dLon = cx / (R * Math.cos(origin.lat * Math.PI / 180));
-                const lat = origin.lat + (dLat * 180 / Math.PI);
-                const lon = origin.lon + (dLon * 180 / Math.PI);
+                const { lat, lon } = metersToLatLon(cx, cy, origin);
 
                 // sum damage from all impacts in scenario
                 let bDamage = 0;
@@ -641,11 +628,13 @@ export class WeaponSimulation {
     }
 
     // Estimate casualties given a scenario and simple population model.
-    // params: { bbox: [s,w,n,e], popTotal: number|null, popDensity: people_per_km2|null, mortalityRate: deaths_per_damageUnit }
+    // params: { bbox: [s,w,n,e], polygon?: [[lat,lon],...], popTotal: number|null, popDensity: people_per_km2|null, mortalityRate: deaths_per_damageUnit }
+    // With a polygon selection, density-based population uses the polygon's area instead of its bbox.
     estimateCasualtiesForScenario(scenario, params) {
         const out = { totalDamage: 0, totalPopulation: 0, estimatedDeaths: 0, perCell: [] };
         if (!scenario || !scenario.length) return out;
         const bbox = params && params.bbox ? params.bbox : null;
+        const polygon = params && Array.isArray(params.polygon) && params.polygon.length >= 3 ? params.polygon : null;
         const popTotal = params && typeof params.popTotal === 'number' && params.popTotal > 0 ? params.popTotal : null;
         const popDensity = params && typeof params.popDensity === 'number' && params.popDensity > 0 ? params.popDensity : null;
         const mortality = params && typeof params.mortalityRate === 'number' && params.mortalityRate > 0 ? params.mortalityRate : 0.01;
@@ -661,11 +650,7 @@ export class WeaponSimulation {
             if (popTotal) totalPop = popTotal;
             else if (popDensity && bbox) {
                 const [s, w, n, e] = bbox;
-                const avgLat = (s + n) / 2 * Math.PI / 180;
-                const R = 6371; // km
-                const latKm = (n - s) * Math.PI / 180 * R;
-                const lonKm = (e - w) * Math.PI / 180 * R * Math.cos(avgLat);
-                const areaKm2 = Math.abs(latKm * lonKm);
+                const areaKm2 = polygon ? polygonAreaKm2(polygon) : bboxAreaKm2([s, w, n, e]);
                 totalPop = popDensity * areaKm2;
             }
             out.totalPopulation = totalPop;
@@ -743,9 +728,7 @@ export class WeaponSimulation {
                         if (scnt === 0) continue;
                         const cx = sx / scnt, cy = sy / scnt;
                         const origin = this.origin || { lat: (s + n) / 2, lon: (w + e) / 2 };
-                        const R = 6378137;
-                        const dLat = cy / R; const dLon = cx / (R * Math.cos(origin.lat * Math.PI / 180));
-                        const lat = origin.lat + (dLat * 180 / Math.PI); const lon = origin.lon + (dLon * 180 / Math.PI);
+                        const { lat, lon } = metersToLatLon(cx, cy, origin);
                         // find cell
                         const rr = Math.floor(((lat - s) / (n - s)) * gridSize);
                         const cc = Math.floor(((lon - w) / (e - w)) * gridSize);
@@ -795,11 +778,7 @@ export class WeaponSimulation {
         let totalPop = 0;
         if (popTotal) totalPop = popTotal;
         else if (popDensity && bbox) {
-            const avgLat = (s + n) / 2 * Math.PI / 180;
-            const R = 6371; // km
-            const latKm = (n - s) * Math.PI / 180 * R;
-            const lonKm = (e - w) * Math.PI / 180 * R * Math.cos(avgLat);
-            const areaKm2 = Math.abs(latKm * lonKm);
+            const areaKm2 = polygon ? polygonAreaKm2(polygon) : bboxAreaKm2([s, w, n, e]);
             totalPop = popDensity * areaKm2;
         }
         out.totalPopulation = totalPop;
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOsmXml, clipOsmToBBox, readOsmFile } from '../src/osmImport.js';
+
+const byId = (elements, type, id) => elements.find(el => el.type === type && el.id === id);
+const ids = (elements, type) => elements.filter(el => el.type === type).map(el => el.id).sort((a, b) => a - b);
+
+test('XML entities in attribute values are decoded', () => {
+    const { elements } = parseOsmXml(`<?xml version="1.0"?>
+<osm version="0.6">
+  <node id="1" lat="21.0" lon="105.8">
+    <tag k="name" v="Ph&#7903; &quot;C&#x1ED5;&quot; &amp; Co &lt;1&gt;"/>
+    <tag k="note" v='it&apos;s &unknown; here'/>
+  </node>
+</osm>`);
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].tags.name, 'Phở "Cổ" & Co <1>');
+    // unknown named entities are left as written
+    assert.equal(elements[0].tags.note, "it's &unknown; here");
+});
+
+test('a multipolygon relation keeps its members, roles and tags', () => {
+    const { elements, bounds } = parseOsmXml(`<osm>
+  <bounds minlat="21" minlon="105" maxlat="22" maxlon="106"/>
+  <node id="1" lat="21.1" lon="105.1"/><node id="2" lat="21.1" lon="105.9"/>
+  <node id="3" lat="21.9" lon="105.9"/><node id="4" lat="21.9" lon="105.1"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/></way>
+  <way id="11"><nd ref="3"/><nd ref="4"/><nd ref="1"/></way>
+  <way id="12"><nd ref="2"/><nd ref="4"/></way>
+  <relation id="100">
+    <member type="way" ref="10" role="outer"/>
+    <member type="way" ref="11" role="outer"/>
+    <member type="way" ref="12" role="inner"/>
+    <tag k="type" v="multipolygon"/>
+    <tag k="building" v="yes"/>
+  </relation>
+</osm>`);
+    assert.deepEqual(bounds, [21, 105, 22, 106]);
+    assert.deepEqual(byId(elements, 'way', 10).nodes, [1, 2, 3]);
+    const rel = byId(elements, 'relation', 100);
+    assert.deepEqual(rel.tags, { type: 'multipolygon', building: 'yes' });
+    assert.deepEqual(rel.members, [
+        { type: 'way', ref: 10, role: 'outer' },
+        { type: 'way', ref: 11, role: 'outer' },
+        { type: 'way', ref: 12, role: 'inner' }
+    ]);
+});
+
+test('clipping keeps every node of a way that crosses the bbox', () => {
+    const osm = parseOsmXml(`<osm>
+  <node id="1" lat="0.5" lon="0.5"/><node id="2" lat="0.5" lon="5"/><node id="3" lat="5" lon="5"/>
+  <node id="4" lat="8" lon="8"/><node id="5" lat="9" lon="9"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/><tag k="highway" v="road"/></way>
+  <way id="11"><nd ref="4"/><nd ref="5"/></way>
+</osm>`);
+    const { elements } = clipOsmToBBox(osm, [0, 0, 1, 1]);
+    assert.deepEqual(ids(elements, 'way'), [10]);
+    // nodes 2 and 3 are outside but referenced by the kept way
+    assert.deepEqual(ids(elements, 'node'), [1, 2, 3]);
+});
+
+test('clipping keeps the complete member ways of a multipolygon touching the bbox', () => {
+    const osm = parseOsmXml(`<osm>
+  <node id="1" lat="0.5" lon="0.5"/><node id="2" lat="0.5" lon="5"/>
+  <node id="3" lat="5" lon="5"/><node id="4" lat="5" lon="0.5"/>
+  <node id="5" lat="6" lon="6"/><node id="6" lat="7" lon="6"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/></way>
+  <way id="11"><nd ref="3"/><nd ref="4"/></way>
+  <way id="12"><nd ref="5"/><nd ref="6"/></way>
+  <relation id="100">
+    <member type="way" ref="10" role="outer"/>
+    <member type="way" ref="11" role="outer"/>
+    <tag k="type" v="multipolygon"/>
+  </relation>
+</osm>`);
+    const { elements } = clipOsmToBBox(osm, [0, 0, 1, 1]);
+    // way 11 lies wholly outside but is needed to close the ring
+    assert.deepEqual(ids(elements, 'way'), [10, 11]);
+    assert.deepEqual(ids(elements, 'node'), [1, 2, 3, 4]);
+    assert.deepEqual(ids(elements, 'relation'), [100]);
+});
+
+test('readOsmFile parses XML bytes and clips them to the bbox', async () => {
+    const xml = '<osm><bounds minlat="0" minlon="0" maxlat="10" maxlon="10"/><node id="1" lat="0.5" lon="0.5"/><node id="2" lat="9" lon="9"/></osm>';
+    const { elements, bounds } = await readOsmFile('extract.osm', new TextEncoder().encode(xml), { bbox: [0, 0, 1, 1] });
+    assert.deepEqual(ids(elements, 'node'), [1]);
+    assert.deepEqual(bounds, [0, 0, 10, 10]);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { latLonToMeters, metersToLatLon } from '../src/projection.js';
+
+// metres per degree of latitude, and of longitude at `lat`, close enough to turn angle errors into distances
+const M_PER_DEG = 111320;
+
+function assertRoundTrip(lat, lon, origin, tolerance = 1e-3) {
+    const { x, y } = latLonToMeters(lat, lon, origin);
+    const back = metersToLatLon(x, y, origin);
+    const dNorth = (back.lat - lat) * M_PER_DEG;
+    const dEast = (back.lon - lon) * M_PER_DEG * Math.cos(lat * Math.PI / 180);
+    assert.ok(Math.hypot(dNorth, dEast) < tolerance, `(${lat}, ${lon}) about (${origin.lat}, ${origin.lon}) came back ${Math.hypot(dNorth, dEast)} m off`);
+    // and from the metre side
+    const again = latLonToMeters(back.lat, back.lon, origin);
+    assert.ok(Math.hypot(again.x - x, again.y - y) < tolerance);
+}
+
+test('origin maps to (0, 0)', () => {
+    const { x, y } = latLonToMeters(82.5, 15, { lat: 82.5, lon: 15 });
+    assert.ok(Math.abs(x) < 1e-9 && Math.abs(y) < 1e-9);
+});
+
+test('round trip at high latitudes', () => {
+    for (const origin of [{ lat: 80, lon: 15 }, { lat: 83, lon: -40 }, { lat: 85, lon: 120 }, { lat: -82, lon: 0 }]) {
+        for (let dLat = -0.5; dLat <= 0.5; dLat += 0.25) {
+            for (let dLon = -2; dLon <= 2; dLon += 1) assertRoundTrip(origin.lat + dLat, origin.lon + dLon, origin);
+        }
+    }
+});
+
+test('round trip over large extents (20 degrees and more from the origin)', () => {
+    const cases = [
+        [{ lat: 80, lon: 15 }, [[84, 45], [60, 35], [85, -10], [60, -5]]],
+        [{ lat: 85, lon: 0 }, [[84.9, 30], [65, 20], [70, -25]]],
+        [{ lat: 21, lon: 105.8 }, [[41, 125.8], [1, 85.8], [45, 105.8]]],
+    ];
+    for (const [origin, points] of cases) for (const [lat, lon] of points) assertRoundTrip(lat, lon, origin);
+});
+
+test('distances along the central meridian match the meridian arc', () => {
+    // 80 to 85 degrees north along one meridian: about 558.6 km on WGS84
+    const { x, y } = latLonToMeters(85, 20, { lat: 80, lon: 20 });
+    assert.ok(Math.abs(x) < 1e-6);
+    assert.ok(Math.abs(y - 558.6e3) < 0.5e3, `got ${y}`);
+});